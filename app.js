@@ -2,29 +2,91 @@
 
 const {
   DEFAULT_CAVITY_STATE,
+  CAVITY_LIMITS,
+  PROFILE_SAMPLES,
+  TOPOLOGIES,
+  ELEMENT_TYPES,
   clamp,
   formatNumber,
-  computeCavityMode,
+  formatFrequency,
+  formatDuration,
+  computeCavityPlanes,
+  computeSpectralProperties,
+  computeModeSpectrum,
+  airyLine,
+  cavityCoatings,
   stabilityLabel,
+  sanitizeCavityState,
   readCavityStateFromSearch,
+  sanitizeSettings,
+  readUrlState,
+  replaceUrlSoon,
   buildModeScanUrl,
+  buildViewerUrl,
+  parseElementList,
+  serializeElementList,
 } = window.CavityCore;
 
+const { captureContext, addExportButtons, summaryRows } = window.ExportTools;
+const { readSession, writeSession, sameCavity, createLibraryPanel } = window.ConfigLibrary;
+
 const DEFAULT_STATE = {
   ...DEFAULT_CAVITY_STATE,
   yMaxMm: 0.5,
+  spectrumOrder: 6,
+  spectrumSpanFsr: 1,
+  profileSamples: PROFILE_SAMPLES,
 };
 
+// Display settings outside the cavity state, kept in the URL, the session and saved configurations.
+const VIEW_KEYS = ["yMaxMm", "spectrumOrder", "spectrumSpanFsr", "profileSamples"];
+
+// Ring mirrors with R = 0 are flat; `topologies` limits a control to the listed cavity types.
 const geometryDefs = [
-  { key: "r1Mm", label: "R1", min: 0, max: 1000, step: 0.01, unit: "mm" },
-  { key: "r2Mm", label: "R2", min: 0, max: 1000, step: 0.01, unit: "mm" },
-  { key: "lMm", label: "Length L", min: 0, max: 1000, step: 0.01, unit: "mm" },
+  { key: "r1Mm", label: "R1", astigmaticLabel: "R1 x", topologies: [0, 1, 2], min: 0, max: 1000, step: 0.01, unit: "mm" },
+  { key: "r2Mm", label: "R2", astigmaticLabel: "R2 x", topologies: [0, 1, 2], min: 0, max: 1000, step: 0.01, unit: "mm" },
+  { key: "r1yMm", label: "R1 y", astigmaticOnly: true, topologies: [0, 1, 2], min: 0, max: 1000, step: 0.01, unit: "mm" },
+  { key: "r2yMm", label: "R2 y", astigmaticOnly: true, topologies: [0, 1, 2], min: 0, max: 1000, step: 0.01, unit: "mm" },
+  { key: "r3Mm", label: "R3", topologies: [1], min: 0, max: 1000, step: 0.01, unit: "mm" },
+  {
+    key: "lMm",
+    label: "Length L",
+    topologyLabels: { 1: "Arm M1-M2", 2: "Short arm" },
+    topologies: [0, 1, 2],
+    min: 0,
+    max: 1000,
+    step: 0.01,
+    unit: "mm",
+  },
+  { key: "arm2Mm", label: "Long arm", topologies: [2], min: 0, max: 1000, step: 0.01, unit: "mm" },
+  { key: "foldDeg", label: "Fold AOI [deg]", topologies: [1, 2], min: 0, max: 44, step: 0.1, unit: "deg" },
 ];
 
 const opticsDefs = [
   { key: "wavelengthNm", label: "Wavelength [nm]", min: 400, max: 2000, step: 1, unit: "nm" },
   { key: "nCenter", label: "n_center", min: 1.0, max: 3.0, step: 0.01, unit: "" },
   { key: "yMaxMm", label: "Y max", min: 0.01, max: 50.0, step: 0.01, unit: "mm" },
+  { key: "spectrumOrder", label: "Max n+m", min: 1, max: 20, step: 1, unit: "" },
+  { key: "spectrumSpanFsr", label: "Span [FSR]", min: 1, max: 5, step: 1, unit: "FSR" },
+  { key: "profileSamples", label: "Profile samples", min: 100, max: 10000, step: 100, unit: "" },
+];
+
+const PLANE_STYLES = {
+  x: { axis: "x", fill: "rgba(70, 130, 180, 0.24)", line: "steelblue", dash: [], waistColor: "crimson", marker: "#c62828" },
+  y: { axis: "y", fill: "rgba(230, 140, 40, 0.12)", line: "#d9822b", dash: [6, 4], waistColor: "#b7791f", marker: "#e08a1e" },
+};
+
+const SPECTRUM_COLORS = ["#1f2933", "#1c6bb1", "#2a9d8f", "#7b5ea7", "#c1772b", "#5a7d2a", "#a23e6b", "#3d5a80"];
+const DEGENERACY_STYLES = {
+  overlap: { band: "rgba(198, 40, 40, 0.16)", line: "#c62828" },
+  near: { band: "rgba(232, 160, 32, 0.2)", line: "#b7791f" },
+};
+
+const coatingDefs = [
+  { key: "reflectivity1", label: "R mirror 1", ...CAVITY_LIMITS.reflectivity1, step: 0.00001, unit: "" },
+  { key: "reflectivity2", label: "R mirror 2", ...CAVITY_LIMITS.reflectivity2, step: 0.00001, unit: "" },
+  { key: "loss1Ppm", label: "Loss M1 [ppm]", ...CAVITY_LIMITS.loss1Ppm, step: 1, unit: "ppm" },
+  { key: "loss2Ppm", label: "Loss M2 [ppm]", ...CAVITY_LIMITS.loss2Ppm, step: 1, unit: "ppm" },
 ];
 
 const state = {
@@ -36,20 +98,44 @@ const linearControls = new Map();
 
 const geometryRoot = document.getElementById("geometryControls");
 const opticsRoot = document.getElementById("opticsControls");
+const coatingRoot = document.getElementById("coatingControls");
+const elementEditor = document.getElementById("elementEditor");
 const summaryGrid = document.getElementById("summaryGrid");
+const spectralGrid = document.getElementById("spectralGrid");
 const profileStatus = document.getElementById("profileStatus");
 const stabilityStatus = document.getElementById("stabilityStatus");
 const profileCanvas = document.getElementById("profileCanvas");
 const stabilityCanvas = document.getElementById("stabilityCanvas");
+const spectrumCanvas = document.getElementById("spectrumCanvas");
+const spectrumStatus = document.getElementById("spectrumStatus");
 const resetButton = document.getElementById("resetButton");
+let astigmaticToggle = null;
+let topologySelect = null;
+let elementEditorSource = null;
 const openModeScanButton = document.getElementById("openModeScanButton");
+const libraryRoot = document.getElementById("libraryControls");
+const libraryStatus = document.getElementById("libraryStatus");
+
+// Planes and spectrum of the last render, redrawn when a plot is exported.
+let lastRender = null;
+// Scan-page settings from the URL, passed on unread to the scan page.
+let scanParams = {};
 
 function applyInitialStateFromUrl() {
-  if (window.location.search) {
-    Object.assign(state, DEFAULT_STATE, readCavityStateFromSearch(window.location.search));
-    return;
-  }
-  Object.assign(state, DEFAULT_STATE);
+  // URL settings win over the session, which only fills in what a link lacks.
+  const urlState = readUrlState(window.location.search, opticsDefs.filter((def) => VIEW_KEYS.includes(def.key)));
+  Object.assign(state, DEFAULT_STATE, urlState.cavity);
+  applyViewSettings(readSession().view);
+  Object.assign(state, urlState.settings);
+  scanParams = urlState.passthrough;
+}
+
+function viewSettings() {
+  return Object.fromEntries(VIEW_KEYS.map((key) => [key, state[key]]));
+}
+
+function applyViewSettings(view) {
+  Object.assign(state, sanitizeSettings(view || {}, opticsDefs.filter((def) => VIEW_KEYS.includes(def.key))));
 }
 
 function createCenteredControl(def) {
@@ -73,7 +159,7 @@ function createCenteredControl(def) {
   row.append(label, slider, number);
   geometryRoot.appendChild(row);
 
-  centeredControlState.set(def.key, { slider, number });
+  centeredControlState.set(def.key, { row, label, slider, number });
 
   slider.addEventListener("input", () => {
     state[def.key] = Number(slider.value);
@@ -95,7 +181,168 @@ function createCenteredControl(def) {
   syncCenteredControl(def.key);
 }
 
-function createLinearControl(def) {
+function createToggleControl(key, labelText, description, root) {
+  const row = document.createElement("div");
+  row.className = "control-row toggle-row";
+
+  const label = document.createElement("label");
+  label.className = "control-label";
+  label.textContent = labelText;
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = Boolean(state[key]);
+
+  const note = document.createElement("span");
+  note.className = "toggle-note";
+  note.textContent = description;
+
+  row.append(label, checkbox, note);
+  root.appendChild(row);
+
+  checkbox.addEventListener("change", () => {
+    state[key] = checkbox.checked ? 1 : 0;
+    render();
+  });
+
+  return checkbox;
+}
+
+function createSelectControl(key, labelText, options, root) {
+  const row = document.createElement("div");
+  row.className = "control-row select-row";
+
+  const label = document.createElement("label");
+  label.className = "control-label";
+  label.textContent = labelText;
+
+  const select = document.createElement("select");
+  options.forEach((option) => {
+    const item = document.createElement("option");
+    item.value = String(option.value);
+    item.textContent = option.label;
+    select.appendChild(item);
+  });
+  select.value = String(state[key]);
+
+  row.append(label, select);
+  root.appendChild(row);
+
+  select.addEventListener("change", () => {
+    state[key] = Number(select.value);
+    render();
+  });
+
+  return select;
+}
+
+function setElements(elements) {
+  state.elements = serializeElementList(elements);
+  render();
+}
+
+function buildElementEditor() {
+  const elements = parseElementList(state.elements);
+  elementEditorSource = state.elements;
+  elementEditor.innerHTML = "";
+  const counters = {};
+
+  elements.forEach((element, index) => {
+    const isEnd = index === 0 || index === elements.length - 1;
+    const row = document.createElement("div");
+    row.className = "element-row";
+
+    const name = document.createElement("span");
+    name.className = "control-label";
+    if (isEnd) {
+      name.textContent = index === 0 ? "M1" : "M2";
+    } else {
+      counters[element.type] = (counters[element.type] || 0) + 1;
+      name.textContent = `${ELEMENT_TYPES[element.type].short} ${counters[element.type]}`;
+    }
+    row.appendChild(name);
+
+    if (!isEnd) {
+      const select = document.createElement("select");
+      Object.entries(ELEMENT_TYPES).forEach(([type, spec]) => {
+        const option = document.createElement("option");
+        option.value = type;
+        option.textContent = spec.label;
+        select.appendChild(option);
+      });
+      select.value = element.type;
+      select.addEventListener("change", () => {
+        // Switching kind starts from that kind's defaults.
+        const replacement = { type: select.value };
+        ELEMENT_TYPES[select.value].params.forEach((param) => {
+          replacement[param.key] = param.default;
+        });
+        elements[index] = replacement;
+        setElements(elements);
+      });
+      row.appendChild(select);
+    }
+
+    ELEMENT_TYPES[element.type].params.forEach((param) => {
+      const field = document.createElement("label");
+      field.className = "element-param";
+      const number = document.createElement("input");
+      number.type = "number";
+      number.min = String(param.min);
+      number.max = String(param.max);
+      number.step = String(param.step);
+      number.value = String(element[param.key]);
+      number.addEventListener("change", () => {
+        if (!Number.isFinite(number.valueAsNumber)) {
+          return;
+        }
+        element[param.key] = clamp(number.valueAsNumber, param.min, param.max);
+        number.value = String(element[param.key]);
+        // Value edits keep the editor in place so focus is not lost.
+        elementEditorSource = serializeElementList(elements);
+        setElements(elements);
+      });
+      field.append(`${param.label}${param.unit ? ` [${param.unit}]` : ""}`, number);
+      row.appendChild(field);
+    });
+
+    if (!isEnd) {
+      const actions = document.createElement("span");
+      actions.className = "element-actions";
+      [
+        ["Up", index > 1, () => elements.splice(index - 1, 0, elements.splice(index, 1)[0])],
+        ["Down", index < elements.length - 2, () => elements.splice(index + 1, 0, elements.splice(index, 1)[0])],
+        ["Remove", true, () => elements.splice(index, 1)],
+      ].forEach(([text, enabled, action]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "ghost-button";
+        button.textContent = text;
+        button.disabled = !enabled;
+        button.addEventListener("click", () => {
+          action();
+          setElements(elements);
+        });
+        actions.appendChild(button);
+      });
+      row.appendChild(actions);
+    }
+
+    elementEditor.appendChild(row);
+  });
+
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.className = "ghost-button";
+  addButton.textContent = "Add element";
+  addButton.addEventListener("click", () => {
+    elements.splice(elements.length - 1, 0, { type: "gap", lengthMm: ELEMENT_TYPES.gap.params[0].default });
+    setElements(elements);
+  });
+  elementEditor.appendChild(addButton);
+}
+
+function createLinearControl(def, root = opticsRoot) {
   const row = document.createElement("div");
   row.className = "control-row";
 
@@ -114,7 +361,7 @@ function createLinearControl(def) {
   number.step = String(def.step);
 
   row.append(label, slider, number);
-  opticsRoot.appendChild(row);
+  root.appendChild(row);
 
   linearControls.set(def.key, { slider, number });
 
@@ -146,6 +393,10 @@ function syncCenteredControl(key) {
     ? clamp(Math.round(state[key]), def.min, def.max)
     : clamp(state[key], def.min, def.max);
   state[key] = value;
+  control.row.hidden = (Boolean(def.astigmaticOnly) && !state.astigmatic)
+    || (Boolean(def.topologies) && !def.topologies.includes(state.topology));
+  const baseLabel = (def.topologyLabels && def.topologyLabels[state.topology]) || def.label;
+  control.label.textContent = state.astigmatic && def.astigmaticLabel ? def.astigmaticLabel : baseLabel;
   control.slider.min = String(def.min);
   control.slider.max = String(def.max);
   control.slider.value = String(value);
@@ -163,6 +414,10 @@ function setupCanvas(canvas) {
   const rect = canvas.getBoundingClientRect();
   const cssWidth = Math.max(320, Math.round(rect.width));
   const cssHeight = Math.max(260, Math.round(rect.height));
+  const exportContext = captureContext(canvas, cssWidth, cssHeight);
+  if (exportContext) {
+    return { ctx: exportContext, width: cssWidth, height: cssHeight };
+  }
   const dpr = window.devicePixelRatio || 1;
   const targetWidth = Math.round(cssWidth * dpr);
   const targetHeight = Math.round(cssHeight * dpr);
@@ -251,7 +506,84 @@ function drawAxisTicks(ctx, config) {
   ctx.restore();
 }
 
-function drawProfilePlot(mode, errorText, inputs) {
+function drawEnvelope(ctx, mode, mapX, mapY, style) {
+  const zMm = mode.z.map((value) => value * 1e3);
+  const wMm = mode.w.map((value) => value * 1e3);
+
+  ctx.beginPath();
+  ctx.moveTo(mapX(zMm[0]), mapY(wMm[0]));
+  for (let i = 1; i < zMm.length; i += 1) {
+    ctx.lineTo(mapX(zMm[i]), mapY(wMm[i]));
+  }
+  for (let i = zMm.length - 1; i >= 0; i -= 1) {
+    ctx.lineTo(mapX(zMm[i]), mapY(-wMm[i]));
+  }
+  ctx.closePath();
+  ctx.fillStyle = style.fill;
+  ctx.fill();
+
+  ctx.save();
+  ctx.setLineDash(style.dash);
+  ctx.strokeStyle = style.line;
+  ctx.lineWidth = 2;
+  [1, -1].forEach((sign) => {
+    ctx.beginPath();
+    ctx.moveTo(mapX(zMm[0]), mapY(sign * wMm[0]));
+    for (let i = 1; i < zMm.length; i += 1) {
+      ctx.lineTo(mapX(zMm[i]), mapY(sign * wMm[i]));
+    }
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+const ELEMENT_STYLES = {
+  lens: { fill: "rgba(90, 180, 190, 0.3)", line: "#2f7f88" },
+  slab: { fill: "rgba(110, 150, 225, 0.22)", line: "#4a6fb5" },
+  brewster: { fill: "rgba(150, 120, 215, 0.24)", line: "#6d55a8" },
+};
+
+function drawElementBodies(ctx, elements, mapX, mapY, heightMm) {
+  const top = mapY(heightMm);
+  const bottom = mapY(-heightMm);
+  ctx.save();
+  ctx.lineWidth = 1;
+  elements.forEach((item) => {
+    const style = ELEMENT_STYLES[item.type];
+    if (!style) {
+      return;
+    }
+    const left = mapX(item.start * 1e3);
+    const right = Math.max(left + 3, mapX((item.start + item.length) * 1e3));
+    ctx.beginPath();
+    if (item.type === "lens") {
+      ctx.ellipse((left + right) / 2, (top + bottom) / 2, (right - left) / 2 + 3, (bottom - top) / 2, 0, 0, 2 * Math.PI);
+    } else if (item.type === "brewster") {
+      // Lean the plate to hint at the Brewster tilt.
+      const lean = Math.min(12, (bottom - top) * 0.1);
+      ctx.moveTo(left + lean, top);
+      ctx.lineTo(right + lean, top);
+      ctx.lineTo(right - lean, bottom);
+      ctx.lineTo(left - lean, bottom);
+      ctx.closePath();
+    } else {
+      ctx.rect(left, top, right - left, bottom - top);
+    }
+    ctx.fillStyle = style.fill;
+    ctx.strokeStyle = style.line;
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = "600 11px Segoe UI";
+    ctx.fillStyle = style.line;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillText(item.label, (left + right) / 2, bottom + 2);
+  });
+  ctx.restore();
+}
+
+function drawProfilePlot(planes, inputs) {
   const { ctx, width, height } = setupCanvas(profileCanvas);
   ctx.clearRect(0, 0, width, height);
 
@@ -294,6 +626,10 @@ function drawProfilePlot(mode, errorText, inputs) {
     ctx.stroke();
   }
 
+  if (planes.topology === 3) {
+    drawElementBodies(ctx, planes.layout.elements, mapX, mapY, Math.max(0.05, inputs.yMaxMm));
+  }
+
   const zeroY = mapY(0);
   ctx.strokeStyle = "rgba(31, 41, 51, 0.3)";
   ctx.beginPath();
@@ -301,64 +637,51 @@ function drawProfilePlot(mode, errorText, inputs) {
   ctx.lineTo(margin.left + plotW, zeroY);
   ctx.stroke();
 
-  if (mode) {
-    const zMm = mode.z.map((value) => value * 1e3);
-    const wMm = mode.w.map((value) => value * 1e3);
-
-    ctx.beginPath();
-    ctx.moveTo(mapX(zMm[0]), mapY(wMm[0]));
-    for (let i = 1; i < zMm.length; i += 1) {
-      ctx.lineTo(mapX(zMm[i]), mapY(wMm[i]));
-    }
-    for (let i = zMm.length - 1; i >= 0; i -= 1) {
-      ctx.lineTo(mapX(zMm[i]), mapY(-wMm[i]));
-    }
-    ctx.closePath();
-    ctx.fillStyle = "rgba(70, 130, 180, 0.24)";
-    ctx.fill();
-
-    ctx.strokeStyle = "steelblue";
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(mapX(zMm[0]), mapY(wMm[0]));
-    for (let i = 1; i < zMm.length; i += 1) {
-      ctx.lineTo(mapX(zMm[i]), mapY(wMm[i]));
-    }
-    ctx.stroke();
-
-    ctx.beginPath();
-    ctx.moveTo(mapX(zMm[0]), mapY(-wMm[0]));
-    for (let i = 1; i < zMm.length; i += 1) {
-      ctx.lineTo(mapX(zMm[i]), mapY(-wMm[i]));
-    }
-    ctx.stroke();
-
-    const zWaistMm = mode.zWaist * 1e3;
-    ctx.save();
-    ctx.setLineDash([7, 5]);
-    ctx.strokeStyle = "crimson";
-    ctx.lineWidth = 1.3;
-    ctx.beginPath();
-    ctx.moveTo(mapX(zWaistMm), margin.top);
-    ctx.lineTo(mapX(zWaistMm), margin.top + plotH);
-    ctx.stroke();
-    ctx.restore();
-
+  const available = [PLANE_STYLES.x, PLANE_STYLES.y]
+    .filter((style) => (style.axis === "x" || planes.astigmatic) && planes[style.axis].mode);
+
+  if (available.length) {
+    available.forEach((style) => {
+      const { mode } = planes[style.axis];
+      drawEnvelope(ctx, mode, mapX, mapY, style);
+
+      // Rings have one waist per arm; only the ones that fall inside their arm are drawn.
+      const waists = mode.arms ? mode.arms.filter((arm) => arm.inside).map((arm) => arm.zWaist) : [mode.zWaist];
+      ctx.save();
+      ctx.setLineDash([7, 5]);
+      ctx.strokeStyle = style.waistColor;
+      ctx.lineWidth = 1.3;
+      waists.forEach((zWaist) => {
+        ctx.beginPath();
+        ctx.moveTo(mapX(zWaist * 1e3), margin.top);
+        ctx.lineTo(mapX(zWaist * 1e3), margin.top + plotH);
+        ctx.stroke();
+      });
+      ctx.restore();
+    });
+
+    const labelText = planes.astigmatic
+      ? available.map((style) => {
+        const { mode } = planes[style.axis];
+        return `${style.axis}: waist ${formatNumber(mode.w0 * 1e3, 4)} mm at ${formatNumber(mode.zWaist * 1e3, 2)} mm`;
+      }).join("    ")
+      : `Waist position: ${formatNumber(planes.x.mode.zWaist * 1e3, 2)} mm    Waist radius: ${formatNumber(planes.x.mode.w0 * 1e3, 4)} mm`;
     drawRoundedLabel(
       ctx,
       margin.left + plotW / 2,
       margin.top + 16,
-      `Waist position: ${formatNumber(zWaistMm, 2)} mm    Waist radius: ${formatNumber(mode.w0 * 1e3, 4)} mm`,
+      labelText,
       "rgba(255, 255, 255, 0.95)",
       "#d3dbe6",
       "#1f2933",
     );
-  } else if (errorText) {
+  }
+  if (planes.error) {
     drawRoundedLabel(
       ctx,
       margin.left + plotW / 2,
-      margin.top + 16,
-      errorText,
+      available.length ? margin.top + 48 : margin.top + 16,
+      planes.error,
       "rgba(255, 255, 255, 0.95)",
       "#e3b3b3",
       "#b33f3f",
@@ -366,21 +689,44 @@ function drawProfilePlot(mode, errorText, inputs) {
   }
 
   const mirrorH = Math.max(0.05, inputs.yMaxMm);
-  const leftX = mapX(-mirrorW);
-  const cavityLeft = mapX(0);
-  const cavityRight = mapX(lMm);
-  const rightX = mapX(lMm + mirrorW);
   const mirrorTop = mapY(mirrorH);
   const mirrorBottom = mapY(-mirrorH);
   const mirrorHeight = mirrorBottom - mirrorTop;
+  const ring = planes.topology === 1 || planes.topology === 2;
+  // The unrolled ring path returns to M1, so M1 is drawn at both ends.
+  const mirrors = ring
+    ? [...planes.layout.mirrors, { label: "M1", z: planes.layout.pathLength }]
+    : planes.layout.mirrors;
 
   ctx.fillStyle = "#4f5d6b";
   ctx.strokeStyle = "#3c4854";
   ctx.lineWidth = 1;
-  ctx.fillRect(leftX, mirrorTop, cavityLeft - leftX, mirrorHeight);
-  ctx.strokeRect(leftX, mirrorTop, cavityLeft - leftX, mirrorHeight);
-  ctx.fillRect(cavityRight, mirrorTop, rightX - cavityRight, mirrorHeight);
-  ctx.strokeRect(cavityRight, mirrorTop, rightX - cavityRight, mirrorHeight);
+  mirrors.forEach((mirror, index) => {
+    const zMm = mirror.z * 1e3;
+    let left = mapX(zMm - mirrorW / 2);
+    let right = mapX(zMm + mirrorW / 2);
+    if (index === 0) {
+      left = mapX(zMm - mirrorW);
+      right = mapX(zMm);
+    } else if (index === mirrors.length - 1) {
+      left = mapX(zMm);
+      right = mapX(zMm + mirrorW);
+    }
+    ctx.fillRect(left, mirrorTop, right - left, mirrorHeight);
+    ctx.strokeRect(left, mirrorTop, right - left, mirrorHeight);
+  });
+
+  if (planes.topology !== 0) {
+    ctx.save();
+    ctx.font = "600 11px Segoe UI";
+    ctx.fillStyle = "#3c4854";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    mirrors.forEach((mirror) => {
+      ctx.fillText(mirror.label, mapX(mirror.z * 1e3), mirrorBottom + 2);
+    });
+    ctx.restore();
+  }
 
   ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
   ctx.strokeRect(margin.left, margin.top, plotW, plotH);
@@ -411,7 +757,8 @@ function drawProfilePlot(mode, errorText, inputs) {
   ctx.fillText("Cavity Mode Profile (side view)", width / 2, 22);
   ctx.font = "12px Segoe UI";
   ctx.fillStyle = "#5e6d7d";
-  ctx.fillText("z (mm)", margin.left + plotW / 2, height - 14);
+  const axisTitles = { 0: "z (mm)", 3: "z along the optical axis (mm)" };
+  ctx.fillText(axisTitles[planes.topology] || "z along the unrolled ring (mm)", margin.left + plotW / 2, height - 14);
 
   ctx.save();
   ctx.translate(margin.left - 38, margin.top + plotH / 2);
@@ -419,9 +766,15 @@ function drawProfilePlot(mode, errorText, inputs) {
   ctx.fillText("y (mm)", 0, 0);
   ctx.restore();
 
-  const modeText = mode
-    ? `w(M1) ${formatNumber(mode.wM1 * 1e3, 4)} mm, w(M2) ${formatNumber(mode.wM2 * 1e3, 4)} mm`
-    : "Mode not defined for this geometry";
+  const describe = (mode) => `w(M1) ${formatNumber(mode.wM1 * 1e3, 4)} mm, w(M2) ${formatNumber(mode.wM2 * 1e3, 4)} mm`;
+  let modeText = "Mode not defined for this geometry";
+  if (planes.error) {
+    modeText = "Mode not defined for this geometry";
+  } else if (planes.astigmatic) {
+    modeText = `x: ${describe(planes.x.mode)}; y: ${describe(planes.y.mode)}`;
+  } else {
+    modeText = describe(planes.x.mode);
+  }
   profileStatus.textContent = modeText;
 }
 
@@ -499,7 +852,7 @@ function fillStabilityRegions(ctx, mapX, mapY, bounds, colors, samples) {
   ctx.restore();
 }
 
-function drawStabilityPlot(g1, g2) {
+function drawStabilityPlot(planes) {
   const { ctx, width, height } = setupCanvas(stabilityCanvas);
   ctx.clearRect(0, 0, width, height);
 
@@ -575,9 +928,27 @@ function drawStabilityPlot(g1, g2) {
   ctx.lineTo(margin.left + plotW, mapY(0));
   ctx.stroke();
 
-  drawStar(ctx, mapX(g1), mapY(g2), 10, "#c62828");
+  const axes = planes.astigmatic ? ["x", "y"] : ["x"];
+  axes.forEach((axis) => {
+    const { g1, g2 } = planes[axis];
+    drawStar(ctx, mapX(g1), mapY(g2), 10, PLANE_STYLES[axis].marker);
+    if (planes.astigmatic) {
+      ctx.save();
+      ctx.font = "600 12px Segoe UI";
+      ctx.fillStyle = PLANE_STYLES[axis].marker;
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+      ctx.fillText(axis, mapX(g1) + 11, mapY(g2) - 9);
+      ctx.restore();
+    }
+  });
 
-  const [statusText, statusColor] = stabilityLabel(g1, g2);
+  const labels = axes.map((axis) => stabilityLabel(planes[axis].g1, planes[axis].g2));
+  const statusText = planes.astigmatic
+    ? axes.map((axis, index) => `${axis}: ${labels[index][0]}`).join("   ")
+    : labels[0][0];
+  const unstable = labels.find(([label]) => label === "UNSTABLE");
+  const statusColor = unstable ? unstable[1] : labels[0][1];
   drawRoundedLabel(
     ctx,
     margin.left + plotW / 2,
@@ -611,41 +982,184 @@ function drawStabilityPlot(g1, g2) {
   ctx.fillText("Cavity Stability Diagram", width / 2, 22);
   ctx.font = "12px Segoe UI";
   ctx.fillStyle = "#5e6d7d";
-  ctx.fillText("g1 = 1 - L/R1", margin.left + plotW / 2, height - 14);
+  ctx.fillText(
+    planes.topology === 0 ? "g1 = 1 - L/R1" : "equivalent g1 = g2, with g1*g2 = (1 + (A+D)/2) / 2",
+    margin.left + plotW / 2,
+    height - 14,
+  );
 
   ctx.save();
   ctx.translate(margin.left - 38, margin.top + plotH / 2);
   ctx.rotate(-Math.PI / 2);
-  ctx.fillText("g2 = 1 - L/R2", 0, 0);
+  ctx.fillText(planes.topology === 0 ? "g2 = 1 - L/R2" : "equivalent g2", 0, 0);
   ctx.restore();
 
-  stabilityStatus.textContent = `Current (${formatNumber(g1, 3)}, ${formatNumber(g2, 3)})`;
+  stabilityStatus.textContent = axes
+    .map((axis) => `${planes.astigmatic ? `${axis} ` : "Current "}(${formatNumber(planes[axis].g1, 3)}, ${formatNumber(planes[axis].g2, 3)})`)
+    .join(", ");
 }
 
-function updateSummary(mode, errorText, g1, g2) {
-  const rows = [
-    ["R1", `${formatNumber(state.r1Mm, 2)} mm`],
-    ["R2", `${formatNumber(state.r2Mm, 2)} mm`],
-    ["Length", `${formatNumber(state.lMm, 2)} mm`],
-    ["Wavelength", `${state.wavelengthNm.toFixed(0)} nm`],
-    ["g1", formatNumber(g1, 4)],
-    ["g2", formatNumber(g2, 4)],
-    ["Status", stabilityLabel(g1, g2)[0]],
-    ["n_center", formatNumber(state.nCenter, 2)],
-  ];
+function airyPeakInInterval(center, left, right, finesse) {
+  // Sampling at pixel resolution would skip narrow lines, so take the exact
+  // maximum of the Airy function over each pixel column instead.
+  const nearest = center + Math.round(((left + right) / 2) - center);
+  const closest = clamp(nearest, left, right);
+  return airyLine(closest - nearest, finesse);
+}
+
+function drawSpectrumPlot(spectrum, spectral, errorText) {
+  const { ctx, width, height } = setupCanvas(spectrumCanvas);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  const margin = { left: 56, right: 20, top: 38, bottom: 44 };
+  const plotW = width - margin.left - margin.right;
+  const plotH = height - margin.top - margin.bottom;
+  const span = state.spectrumSpanFsr;
+  const xMin = -0.1;
+  const xMax = span + 0.1;
+  const yMin = 0;
+  const yMax = 1.25;
+
+  const mapX = (value) => margin.left + ((value - xMin) / (xMax - xMin)) * plotW;
+  const mapY = (value) => margin.top + (1 - (value - yMin) / (yMax - yMin)) * plotH;
+
+  ctx.strokeStyle = "rgba(90, 112, 138, 0.18)";
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= 6; i += 1) {
+    const gy = margin.top + (i / 6) * plotH;
+    ctx.beginPath();
+    ctx.moveTo(margin.left, gy);
+    ctx.lineTo(margin.left + plotW, gy);
+    ctx.stroke();
+  }
+  for (let q = 0; q <= span; q += 1) {
+    ctx.beginPath();
+    ctx.moveTo(mapX(q), margin.top);
+    ctx.lineTo(mapX(q), margin.top + plotH);
+    ctx.stroke();
+  }
+
+  if (spectrum) {
+    const { families } = spectrum;
+    const bandHalfWidth = Math.max(spectrum.linewidthFsr * 2, (xMax - xMin) / plotW * 3);
+
+    families.forEach((family) => {
+      const style = DEGENERACY_STYLES[family.degeneracy];
+      if (!style) {
+        return;
+      }
+      for (let q = Math.floor(xMin); q <= Math.ceil(xMax); q += 1) {
+        const center = q + family.offsetFsr;
+        if (center < xMin || center > xMax) {
+          continue;
+        }
+        ctx.fillStyle = style.band;
+        ctx.fillRect(mapX(center - bandHalfWidth), margin.top, mapX(center + bandHalfWidth) - mapX(center - bandHalfWidth), plotH);
+      }
+    });
+
+    [...families].reverse().forEach((family) => {
+      const style = DEGENERACY_STYLES[family.degeneracy];
+      ctx.strokeStyle = style ? style.line : SPECTRUM_COLORS[family.order % SPECTRUM_COLORS.length];
+      ctx.lineWidth = family.order === 0 || style ? 2 : 1.3;
+      ctx.beginPath();
+      for (let px = 0; px <= plotW; px += 1) {
+        const left = xMin + ((xMax - xMin) * px) / plotW;
+        const right = xMin + ((xMax - xMin) * (px + 1)) / plotW;
+        const value = airyPeakInInterval(family.offsetFsr, left, right, spectral.finesse);
+        if (px === 0) {
+          ctx.moveTo(margin.left + px, mapY(value));
+        } else {
+          ctx.lineTo(margin.left + px, mapY(value));
+        }
+      }
+      ctx.stroke();
+    });
+
+    ctx.save();
+    ctx.font = "600 11px Segoe UI";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    const isNear = (a, b) => Math.abs(a.offsetFsr - b.offsetFsr) < 0.02;
+    // Split astigmatic families of one order cluster together; label the cluster
+    // by its order and stack labels of coincident clusters so they stay readable.
+    const labelled = families.filter((family, index) => !families
+      .some((other, otherIndex) => otherIndex < index && other.order === family.order && isNear(other, family)));
+    labelled.forEach((family, index) => {
+      const style = DEGENERACY_STYLES[family.degeneracy];
+      const clustered = families.some((other) => other !== family && other.order === family.order && isNear(other, family));
+      const text = clustered ? String(family.order) : family.label;
+      const stacked = labelled.filter((other, otherIndex) => otherIndex < index && isNear(other, family)).length;
+      ctx.fillStyle = style ? style.line : SPECTRUM_COLORS[family.order % SPECTRUM_COLORS.length];
+      for (let q = Math.floor(xMin); q <= Math.ceil(xMax); q += 1) {
+        const center = q + family.offsetFsr;
+        if (center < xMin || center > xMax) {
+          continue;
+        }
+        ctx.fillText(text, mapX(center), mapY(1.02) - stacked * 12);
+      }
+    });
+    ctx.restore();
 
-  if (mode) {
-    rows.push(["Waist z", `${formatNumber(mode.zWaist * 1e3, 2)} mm`]);
-    rows.push(["Waist radius", `${formatNumber(mode.w0 * 1e3, 4)} mm`]);
-    rows.push(["Rayleigh range", `${formatNumber(mode.zR * 1e3, 2)} mm`]);
-    rows.push(["Waist at Mirror1", `${formatNumber(mode.wM1 * 1e3, 4)} mm`]);
-    rows.push(["Waist at Mirror2", `${formatNumber(mode.wM2 * 1e3, 4)} mm`]);
+    const flagged = families.filter((family) => family.degeneracy !== "none");
+    spectrumStatus.textContent = flagged.length
+      ? `Near TEM00: ${flagged.map((family) => `${family.modes.length > 1 ? "n+m=" : "TEM"}${family.label} (${formatNumber(family.detuningFsr, 4)} FSR)`).join(", ")}`
+      : `No family within ${formatNumber(spectrum.linewidthFsr * 5, 4)} FSR of TEM00`;
   } else {
-    rows.push(["Mode", "Unavailable"]);
-    rows.push(["Reason", errorText || "Unknown"]);
+    drawRoundedLabel(
+      ctx,
+      margin.left + plotW / 2,
+      margin.top + plotH / 2,
+      errorText || "Mode not defined for this geometry",
+      "rgba(255, 255, 255, 0.95)",
+      "#e3b3b3",
+      "#b33f3f",
+    );
+    spectrumStatus.textContent = "Spectrum unavailable";
   }
 
-  summaryGrid.innerHTML = "";
+  ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+  ctx.strokeRect(margin.left, margin.top, plotW, plotH);
+
+  const xTicks = [];
+  for (let i = 0; i <= span * 4; i += 1) {
+    xTicks.push(i / 4);
+  }
+  drawAxisTicks(ctx, {
+    xTicks,
+    yTicks: [0, 0.25, 0.5, 0.75, 1.0],
+    mapX,
+    mapY,
+    margin,
+    plotW,
+    plotH,
+    xFormatter: (tick) => formatNumber(tick, 2),
+    yFormatter: (tick) => formatNumber(tick, 2),
+  });
+
+  ctx.fillStyle = "#1f2933";
+  ctx.font = "600 16px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.fillText("Transverse Mode Frequency Spectrum", width / 2, 22);
+  ctx.font = "12px Segoe UI";
+  ctx.fillStyle = "#5e6d7d";
+  ctx.fillText(
+    `(nu - nu00) / FSR    FSR = ${formatFrequency(spectral.fsrHz)}, FWHM = ${formatFrequency(spectral.linewidthHz)}`,
+    margin.left + plotW / 2,
+    height - 14,
+  );
+
+  ctx.save();
+  ctx.translate(margin.left - 38, margin.top + plotH / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText("Airy transmission", 0, 0);
+  ctx.restore();
+}
+
+function fillSummaryGrid(grid, rows) {
+  grid.innerHTML = "";
   rows.forEach(([term, value]) => {
     const wrapper = document.createElement("div");
     const dt = document.createElement("dt");
@@ -653,60 +1167,323 @@ function updateSummary(mode, errorText, g1, g2) {
     dt.textContent = term;
     dd.textContent = value;
     wrapper.append(dt, dd);
-    summaryGrid.appendChild(wrapper);
+    grid.appendChild(wrapper);
   });
 }
 
-function render() {
+function updateSpectralSummary(spectral, astigmatic, parityX = 0) {
+  const rows = [
+    ["FSR", formatFrequency(spectral.fsrHz)],
+    ["Finesse", formatNumber(spectral.finesse, 1)],
+    ["Linewidth (FWHM)", formatFrequency(spectral.linewidthHz)],
+    ["Q factor", spectral.qFactor.toExponential(3)],
+    ["Photon lifetime", formatDuration(spectral.photonLifetimeS)],
+    ["Round-trip loss", `${formatNumber(spectral.roundTripLoss * 100, 3)} %`],
+    ["Peak transmission", `${formatNumber(spectral.peakTransmission * 100, 2)} %`],
+  ];
+  if (spectral.coatingNote) {
+    rows.push(["Coatings", spectral.coatingNote]);
+  }
+
+  if (spectral.transverse) {
+    const axes = astigmatic ? ["x", "y"] : ["x"];
+    axes.forEach((axis) => {
+      const suffix = astigmatic ? ` ${axis}` : "";
+      const { gouyRoundTrip, spacingHz } = spectral.transverse[axis];
+      rows.push([`Round-trip Gouy${suffix}`, `${formatNumber((gouyRoundTrip * 180) / Math.PI, 2)} deg`]);
+      rows.push([`Transverse spacing${suffix}`, formatFrequency(spacingHz)]);
+      rows.push([`Spacing / FSR${suffix}`, formatNumber(spacingHz / spectral.fsrHz, 4)]);
+    });
+    if (parityX) {
+      rows.push(["Odd-n modes", "Shifted by FSR / 2 (image flip)"]);
+    }
+  } else {
+    rows.push(["Transverse spacing", "Unavailable"]);
+  }
+
+  fillSummaryGrid(spectralGrid, rows);
+}
+
+function updateRingSummary(planes) {
+  const { x, y, layout } = planes;
+  const pair = (xValue, yValue) => `${xValue} / ${yValue}`;
+  const topology = TOPOLOGIES.find((item) => item.value === planes.topology);
+  const stable = (plane) => (plane.mode ? "STABLE" : "UNSTABLE");
+  const rows = [
+    ["Topology", topology.label],
+    ["Round trip", `${formatNumber(layout.roundTripLength * 1e3, 2)} mm`],
+    ["Wavelength", `${state.wavelengthNm.toFixed(0)} nm`],
+    ["n_center", formatNumber(state.nCenter, 2)],
+  ];
+
+  layout.mirrors.forEach((mirror) => {
+    const radius = mirror.radius.x === 0 && mirror.radius.y === 0
+      ? "flat"
+      : `${pair(formatNumber(mirror.radius.x * 1e3, 2), formatNumber(mirror.radius.y * 1e3, 2))} mm`;
+    rows.push([`${mirror.label} R x / y`, radius]);
+    rows.push([`${mirror.label} AOI`, `${formatNumber((mirror.aoi * 180) / Math.PI, 2)} deg`]);
+    if (Number.isFinite(mirror.focal) || Number.isFinite(mirror.focalY)) {
+      rows.push([`${mirror.label} f tan / sag`, `${pair(formatNumber(mirror.focal * 1e3, 2), formatNumber(mirror.focalY * 1e3, 2))} mm`]);
+    }
+  });
+  layout.arms.forEach((arm) => {
+    rows.push([`Arm ${arm.label}`, `${formatNumber(arm.length * 1e3, 2)} mm`]);
+  });
+
+  rows.push(["Status x / y", pair(stable(x), stable(y))]);
+  rows.push(["Stable in both planes", x.mode && y.mode ? "Yes" : "No"]);
+
+  if (!planes.error) {
+    // Waist positions are measured from the start of each arm; a waist outside
+    // the arm is the virtual waist of that arm's beam.
+    layout.arms.forEach((arm, index) => {
+      const ax = x.mode.arms[index];
+      const ay = y.mode.arms[index];
+      const position = (mode) => `${formatNumber((mode.zWaist - arm.start) * 1e3, 2)}${mode.inside ? "" : "*"}`;
+      rows.push([`Waist ${arm.label}`, `${pair(formatNumber(ax.w0 * 1e3, 4), formatNumber(ay.w0 * 1e3, 4))} mm`]);
+      const note = ax.inside && ay.inside ? "" : " (* virtual)";
+      rows.push([`Waist z ${arm.label}`, `${pair(position(ax), position(ay))} mm${note}`]);
+    });
+    rows.push(["Waist at Mirror1", `${pair(formatNumber(x.mode.wM1 * 1e3, 4), formatNumber(y.mode.wM1 * 1e3, 4))} mm`]);
+    rows.push(["Waist at Mirror2", `${pair(formatNumber(x.mode.wM2 * 1e3, 4), formatNumber(y.mode.wM2 * 1e3, 4))} mm`]);
+  } else {
+    rows.push(["Mode", "Unavailable"]);
+    rows.push(["Reason", planes.error]);
+  }
+
+  fillSummaryGrid(summaryGrid, rows);
+}
+
+function describeElement(item) {
+  const mm = (value) => `${formatNumber(value, 2)} mm`;
+  if (item.type === "mirror") {
+    const radius = item.rocMm === 0 ? "flat" : `R ${mm(item.rocMm)}`;
+    return item.aoiDeg > 0 ? `${radius}, AOI ${formatNumber(item.aoiDeg, 1)} deg` : radius;
+  }
+  if (item.type === "gap") {
+    return mm(item.lengthMm);
+  }
+  if (item.type === "lens") {
+    return `R ${formatNumber(item.r1Mm, 1)} / ${formatNumber(item.r2Mm, 1)}, t ${mm(item.thicknessMm)}, n ${formatNumber(item.index, 3)}`;
+  }
+  if (item.type === "slab") {
+    const thermal = item.thermalMm > 0 ? `, f_th ${mm(item.thermalMm)}` : "";
+    return `${mm(item.lengthMm)}, n ${formatNumber(item.index, 3)}${thermal}`;
+  }
+  return `t ${mm(item.thicknessMm)}, n ${formatNumber(item.index, 3)}`;
+}
+
+function updateElementSummary(planes) {
+  const { x, y, layout, astigmatic } = planes;
+  const pair = (xValue, yValue) => (astigmatic ? `${xValue} / ${yValue}` : xValue);
+  const suffix = astigmatic ? " x / y" : "";
+  const stable = (plane) => (plane.mode ? "STABLE" : "UNSTABLE");
+  const rows = [
+    ["Topology", "Element list"],
+    ["Axis length", `${formatNumber(layout.pathLength * 1e3, 2)} mm`],
+    ["Optical round trip", `${formatNumber(layout.opticalRoundTrip * 1e3, 2)} mm`],
+    ["Wavelength", `${state.wavelengthNm.toFixed(0)} nm`],
+    ["n_center (gaps)", formatNumber(state.nCenter, 2)],
+  ];
+  layout.elements.forEach((item) => {
+    rows.push([item.label, describeElement(item)]);
+  });
+  rows.push([`Status${suffix}`, pair(stable(x), stable(y))]);
+
+  if (!planes.error) {
+    rows.push(["Waist radius", `${pair(formatNumber(x.mode.w0 * 1e3, 4), formatNumber(y.mode.w0 * 1e3, 4))} mm`]);
+    rows.push(["Waist z", `${pair(formatNumber(x.mode.zWaist * 1e3, 2), formatNumber(y.mode.zWaist * 1e3, 2))} mm`]);
+    // Elements without a waist inside report their smallest spot, at one face.
+    x.mode.elements.forEach((entry, index) => {
+      const other = y.mode.elements[index];
+      const kind = entry.inside && other.inside ? "waist" : "min w";
+      rows.push([`${entry.label} ${kind}`, `${pair(formatNumber(entry.w * 1e3, 4), formatNumber(other.w * 1e3, 4))} mm`]);
+    });
+    rows.push(["Waist at Mirror1", `${pair(formatNumber(x.mode.wM1 * 1e3, 4), formatNumber(y.mode.wM1 * 1e3, 4))} mm`]);
+    rows.push(["Waist at Mirror2", `${pair(formatNumber(x.mode.wM2 * 1e3, 4), formatNumber(y.mode.wM2 * 1e3, 4))} mm`]);
+  } else {
+    rows.push(["Mode", "Unavailable"]);
+    rows.push(["Reason", planes.error]);
+  }
+
+  fillSummaryGrid(summaryGrid, rows);
+}
+
+function updateSummary(planes) {
+  if (planes.topology === 3) {
+    updateElementSummary(planes);
+    return;
+  }
+  if (planes.topology !== 0) {
+    updateRingSummary(planes);
+    return;
+  }
+
+  const { x, y, astigmatic } = planes;
+  const pair = (xValue, yValue) => (astigmatic ? `${xValue} / ${yValue}` : xValue);
+  const suffix = astigmatic ? " x / y" : "";
+  const rows = [
+    [`R1${suffix}`, `${pair(formatNumber(x.r1Mm, 2), formatNumber(y.r1Mm, 2))} mm`],
+    [`R2${suffix}`, `${pair(formatNumber(x.r2Mm, 2), formatNumber(y.r2Mm, 2))} mm`],
+    ["Length", `${formatNumber(state.lMm, 2)} mm`],
+    ["Wavelength", `${state.wavelengthNm.toFixed(0)} nm`],
+    [`g1${suffix}`, pair(formatNumber(x.g1, 4), formatNumber(y.g1, 4))],
+    [`g2${suffix}`, pair(formatNumber(x.g2, 4), formatNumber(y.g2, 4))],
+    [`Status${suffix}`, pair(stabilityLabel(x.g1, x.g2)[0], stabilityLabel(y.g1, y.g2)[0])],
+    ["n_center", formatNumber(state.nCenter, 2)],
+  ];
+
+  if (!planes.error) {
+    const mx = x.mode;
+    const my = y.mode;
+    rows.push(["Waist z", `${pair(formatNumber(mx.zWaist * 1e3, 2), formatNumber(my.zWaist * 1e3, 2))} mm`]);
+    rows.push(["Waist radius", `${pair(formatNumber(mx.w0 * 1e3, 4), formatNumber(my.w0 * 1e3, 4))} mm`]);
+    rows.push(["Rayleigh range", `${pair(formatNumber(mx.zR * 1e3, 2), formatNumber(my.zR * 1e3, 2))} mm`]);
+    rows.push(["Waist at Mirror1", `${pair(formatNumber(mx.wM1 * 1e3, 4), formatNumber(my.wM1 * 1e3, 4))} mm`]);
+    rows.push(["Waist at Mirror2", `${pair(formatNumber(mx.wM2 * 1e3, 4), formatNumber(my.wM2 * 1e3, 4))} mm`]);
+  } else {
+    rows.push(["Mode", "Unavailable"]);
+    rows.push(["Reason", planes.error || "Unknown"]);
+  }
+
+  fillSummaryGrid(summaryGrid, rows);
+}
+
+function syncAllControls() {
+  Object.assign(state, sanitizeCavityState(state));
+  topologySelect.value = String(state.topology);
+  astigmaticToggle.checked = Boolean(state.astigmatic);
+  astigmaticToggle.parentElement.hidden = state.topology === 3;
+  elementEditor.hidden = state.topology !== 3;
+  if (state.elements !== elementEditorSource) {
+    buildElementEditor();
+  }
   geometryDefs.forEach((def) => syncCenteredControl(def.key));
   opticsDefs.forEach((def) => syncLinearControl(def.key));
+  Object.assign(state, sanitizeCavityState(state));
+  coatingDefs.forEach((def) => syncLinearControl(def.key));
+}
+
+function render() {
+  syncAllControls();
 
-  const r1 = state.r1Mm * 1e-3;
-  const r2 = state.r2Mm * 1e-3;
-  const length = state.lMm * 1e-3;
   const wavelength = state.wavelengthNm * 1e-9;
-  const nCenter = state.nCenter;
-  const g1 = 1 - length / r1;
-  const g2 = 1 - length / r2;
+  const planes = computeCavityPlanes(state, state.profileSamples);
+
+  drawProfilePlot(planes, { length: planes.layout.pathLength, yMaxMm: state.yMaxMm });
+  drawStabilityPlot(planes);
+  updateSummary(planes);
+  const spectral = computeSpectralProperties(planes.layout.opticalRoundTrip, wavelength, cavityCoatings(state), planes);
+  const spectrum = spectral.transverse
+    ? computeModeSpectrum(
+      spectral.transverse.x.gouyRoundTrip,
+      spectral.transverse.y.gouyRoundTrip,
+      state.spectrumOrder,
+      spectral.finesse,
+      planes.parityX,
+    )
+    : null;
+  drawSpectrumPlot(spectrum, spectral, planes.error);
+  updateSpectralSummary(spectral, planes.astigmatic, planes.parityX);
+  lastRender = { planes, spectral, spectrum };
+  writeSession({ view: viewSettings() });
+  replaceUrlSoon(buildViewerUrl(window.location.href, state, { ...viewSettings(), ...scanParams }));
+}
 
-  let mode = null;
-  let errorText = null;
-  try {
-    mode = computeCavityMode(r1, r2, length, wavelength, nCenter);
-  } catch (error) {
-    errorText = error.message;
+function profileTable() {
+  // Envelope samples from computeCavityMode; both planes share the z grid.
+  const { planes } = lastRender;
+  if (!planes.x.mode) {
+    return null;
   }
+  const toMm = (values) => Float64Array.from(values, (value) => value * 1e3);
+  const columns = [
+    { name: "z [mm]", values: toMm(planes.x.mode.z) },
+    { name: planes.astigmatic ? "w x [mm]" : "w [mm]", values: toMm(planes.x.mode.w) },
+  ];
+  if (planes.astigmatic && planes.y.mode) {
+    columns.push({ name: "w y [mm]", values: toMm(planes.y.mode.w) });
+  }
+  return { columns };
+}
 
-  drawProfilePlot(mode, errorText, { length, yMaxMm: state.yMaxMm });
-  drawStabilityPlot(g1, g2);
-  updateSummary(mode, errorText, g1, g2);
+function createExports() {
+  const parameters = () => ({ ...state });
+  const redrawProfile = () => drawProfilePlot(lastRender.planes, { length: lastRender.planes.layout.pathLength, yMaxMm: state.yMaxMm });
+  [
+    {
+      root: "profileExport",
+      name: "cavity-profile",
+      title: "Cavity mode profile",
+      data: profileTable,
+      plot: { canvas: profileCanvas, redraw: redrawProfile },
+    },
+    {
+      root: "stabilityExport",
+      name: "cavity-stability",
+      title: "Cavity stability diagram",
+      plot: { canvas: stabilityCanvas, redraw: () => drawStabilityPlot(lastRender.planes) },
+    },
+    {
+      root: "spectrumExport",
+      name: "cavity-spectrum",
+      title: "Transverse mode frequency spectrum",
+      plot: {
+        canvas: spectrumCanvas,
+        redraw: () => drawSpectrumPlot(lastRender.spectrum, lastRender.spectral, lastRender.planes.error),
+      },
+    },
+    { root: "spectralExport", name: "cavity-spectral", title: "Spectral properties", data: () => ({ rows: summaryRows(spectralGrid) }) },
+    { root: "summaryExport", name: "cavity-summary", title: "Cavity summary", data: () => ({ rows: summaryRows(summaryGrid) }) },
+  ].forEach(({ root, ...item }) => addExportButtons(document.getElementById(root), { ...item, parameters }));
 }
 
 function resetDefaults() {
   Object.assign(state, DEFAULT_STATE);
-  if (window.location.search) {
-    window.history.replaceState(null, "", window.location.pathname);
-  }
-  geometryDefs.forEach((def) => syncCenteredControl(def.key));
-  opticsDefs.forEach((def) => syncLinearControl(def.key));
+  syncAllControls();
+  render();
+}
+
+function captureConfiguration() {
+  // The input beam comes from the last scan-page session when it was set up
+  // for this same cavity.
+  const session = readSession();
+  return {
+    cavity: sanitizeCavityState(state),
+    view: viewSettings(),
+    scan: sameCavity(session.cavity, state) ? session.scan : null,
+  };
+}
+
+function applyConfiguration(config) {
+  writeSession({ cavity: config.cavity, view: config.view, scan: config.scan });
+  Object.assign(state, DEFAULT_STATE, config.cavity);
+  applyViewSettings(config.view);
+  // The scan page takes the configuration's beam from the session instead.
+  scanParams = {};
+  syncAllControls();
   render();
 }
 
 function openModeScan() {
-  window.location.href = buildModeScanUrl(window.location.href, state);
+  window.location.href = buildModeScanUrl(window.location.href, state, { ...scanParams, ...viewSettings() });
 }
 
 function init() {
   applyInitialStateFromUrl();
+  topologySelect = createSelectControl("topology", "Topology", TOPOLOGIES, geometryRoot);
+  astigmaticToggle = createToggleControl("astigmatic", "Astigmatic", "Separate x and y mirror radii", geometryRoot);
   geometryDefs.forEach(createCenteredControl);
-  opticsDefs.forEach(createLinearControl);
+  opticsDefs.forEach((def) => createLinearControl(def));
+  coatingDefs.forEach((def) => createLinearControl(def, coatingRoot));
   resetButton.addEventListener("click", resetDefaults);
   openModeScanButton.addEventListener("click", openModeScan);
+  createExports();
+  createLibraryPanel(libraryRoot, libraryStatus, { capture: captureConfiguration, apply: applyConfiguration });
   window.addEventListener("pageshow", () => {
     if (!window.location.search) {
       applyInitialStateFromUrl();
-      geometryDefs.forEach((def) => syncCenteredControl(def.key));
-      opticsDefs.forEach((def) => syncLinearControl(def.key));
+      syncAllControls();
       render();
     }
   });
@@ -0,0 +1,188 @@
+"use strict";
+
+// Times the scan-averaged camera image of mode-simulation.js against the
+// previous implementation, which stored a 2D field per resonance group and
+// summed W_pq G_p G_q^* over every pair of groups, and reports the largest
+// difference between the two normalized images. The reference W is averaged
+// over a dense uniform scan, REFERENCE_SAMPLES_PER_FSR per FSR, outside the
+// timing, against the closed-form W of the fast path. The fast column is the
+// whole simulateModeScan run; the reference column is the image alone.
+//
+//   node benchmark/mode-scan-benchmark.js
+//
+// The reference is skipped where its group fields would not fit in memory
+// or it would run for minutes.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const REFERENCE_MAX_BYTES = 600e6;
+const REFERENCE_MAX_WORK = 4e9;
+const REFERENCE_SAMPLES_PER_FSR = 4000;
+
+function loadSimulation() {
+  const context = { Math, Number, Array, Object, Map, Set, Error, String, ArrayBuffer, Float64Array, Int32Array };
+  context.self = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "mode-simulation.js"), "utf8"), context);
+  return context.ModeSimulation;
+}
+
+const { getBasis, simulateModeScan, normalize, linspace, cavityTransfer, transferAmplitudes } = loadSimulation();
+
+function makeJob(settings) {
+  // A 100 mm linear cavity at 1064 nm with a misaligned input beam, so that
+  // every order carries some power.
+  const waist = 200e-6;
+  const astigmatic = Boolean(settings.astigmatic);
+  const x = { wMirror: waist, rocMm: 100, gouyRoundTrip: 2.1 };
+  const y = astigmatic ? { wMirror: 1.1 * waist, rocMm: 120, gouyRoundTrip: 1.7 } : x;
+  return {
+    beam: { waist: 1.15 * waist, roc: 0.15 },
+    wavelength: 1064e-9,
+    mirror: { x, y },
+    halfSize: 4 * Math.max(x.wMirror, y.wMirror),
+    nPix: settings.nPix,
+    nScan: 481,
+    basis: settings.basis || 0,
+    nMax: settings.nMax,
+    inputP: settings.inputP || 0,
+    inputL: settings.inputL || 0,
+    xOffUm: 120,
+    yOffUm: -80,
+    xTiltUrad: 400,
+    yTiltUrad: 150,
+    scanRangeFsr: 2,
+    astigmatic,
+    parityX: 0,
+    coatings: [{ reflectivity: 0.99, transmission: 0.009 }, { reflectivity: 0.99, transmission: 0.009 }],
+    fsrHz: 1.5e9,
+  };
+}
+
+function referenceCorrelation(job, result) {
+  // W_pq = <t_p t_q^*> at the midpoints of a dense uniform scan; the scan
+  // spans whole FSRs, where the midpoint rule converges fast.
+  const { rtAmp, ttAmp } = transferAmplitudes(job.coatings);
+  const samples = Math.round(2 * job.scanRangeFsr * REFERENCE_SAMPLES_PER_FSR);
+  const step = (2 * job.scanRangeFsr) / samples;
+  const dLFsr = linspace(-job.scanRangeFsr + (step / 2), job.scanRangeFsr - (step / 2), samples);
+  const transfer = result.groups.map((group) => {
+    const re = new Float64Array(samples);
+    const im = new Float64Array(samples);
+    dLFsr.forEach((value, i) => {
+      const t = cavityTransfer((2 * Math.PI * value) + group.gouyPhase, rtAmp, ttAmp);
+      re[i] = t.re;
+      im[i] = t.im;
+    });
+    return { re, im };
+  });
+
+  const count = transfer.length;
+  const weights = [];
+  for (let p = 0; p < count; p += 1) {
+    for (let q = 0; q < count; q += 1) {
+      let weightRe = 0;
+      let weightIm = 0;
+      for (let i = 0; i < samples; i += 1) {
+        weightRe += (transfer[p].re[i] * transfer[q].re[i]) + (transfer[p].im[i] * transfer[q].im[i]);
+        weightIm += (transfer[p].im[i] * transfer[q].re[i]) - (transfer[p].re[i] * transfer[q].im[i]);
+      }
+      weights.push({ re: weightRe / samples, im: weightIm / samples });
+    }
+  }
+  return weights;
+}
+
+function referenceImage(job, result, weights) {
+  // The previous algorithm, fed with the same mode coefficients and groups.
+  const { mirror, wavelength, halfSize, nPix, nMax } = job;
+  const basisX = getBasis(mirror.x.wMirror, mirror.x.rocMm * 1e-3, wavelength, halfSize, nPix, nMax);
+  const basisY = getBasis(mirror.y.wMirror, mirror.y.rocMm * 1e-3, wavelength, halfSize, nPix, nMax);
+  const { size, re, im, group } = result.modes;
+  const groupImages = result.groups.map(() => ({
+    re: new Float64Array(nPix * nPix),
+    im: new Float64Array(nPix * nPix),
+  }));
+  for (let mode = 0; mode < re.length; mode += 1) {
+    if (group[mode] < 0) {
+      continue;
+    }
+    const n = mode % size;
+    const m = (mode - n) / size;
+    const image = groupImages[group[mode]];
+    for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+      for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+        const outerRe = (basisY.uRe[m][yIndex] * basisX.uRe[n][xIndex]) - (basisY.uIm[m][yIndex] * basisX.uIm[n][xIndex]);
+        const outerIm = (basisY.uRe[m][yIndex] * basisX.uIm[n][xIndex]) + (basisY.uIm[m][yIndex] * basisX.uRe[n][xIndex]);
+        const pixel = (yIndex * nPix) + xIndex;
+        image.re[pixel] += (re[mode] * outerRe) - (im[mode] * outerIm);
+        image.im[pixel] += (re[mode] * outerIm) + (im[mode] * outerRe);
+      }
+    }
+  }
+
+  const count = result.groups.length;
+  const image = new Float64Array(nPix * nPix);
+  for (let p = 0; p < count; p += 1) {
+    for (let q = 0; q < count; q += 1) {
+      const { re: weightRe, im: weightIm } = weights[(p * count) + q];
+      const imageP = groupImages[p];
+      const imageQ = groupImages[q];
+      for (let pixel = 0; pixel < image.length; pixel += 1) {
+        const prodRe = (imageP.re[pixel] * imageQ.re[pixel]) + (imageP.im[pixel] * imageQ.im[pixel]);
+        const prodIm = (imageP.im[pixel] * imageQ.re[pixel]) - (imageP.re[pixel] * imageQ.im[pixel]);
+        image[pixel] += (weightRe * prodRe) - (weightIm * prodIm);
+      }
+    }
+  }
+  return normalize(image.map((value) => Math.max(0, value))).values;
+}
+
+function timed(run) {
+  const start = process.hrtime.bigint();
+  const value = run();
+  return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+const CASES = [
+  { label: "HG, old defaults", nPix: 96, nMax: 10 },
+  { label: "HG", nPix: 96, nMax: 15 },
+  { label: "HG", nPix: 256, nMax: 15 },
+  { label: "HG", nPix: 256, nMax: 30 },
+  { label: "HG", nPix: 512, nMax: 30 },
+  { label: "HG astigmatic", nPix: 96, nMax: 10, astigmatic: true },
+  { label: "HG astigmatic", nPix: 256, nMax: 30, astigmatic: true },
+  { label: "LG_1,2 input", nPix: 256, nMax: 30, basis: 1, inputP: 1, inputL: 2 },
+];
+
+console.log("case                    nPix  nMax  groups   fast [ms]   reference [ms]   max |difference|");
+CASES.forEach((settings) => {
+  const job = makeJob(settings);
+  const fast = timed(() => simulateModeScan(job));
+  const groups = fast.value.groups.length;
+  const bytes = groups * settings.nPix * settings.nPix * 16;
+  const work = groups * groups * settings.nPix * settings.nPix;
+  let reference = "skipped";
+  let difference = "";
+  if (bytes <= REFERENCE_MAX_BYTES && work <= REFERENCE_MAX_WORK) {
+    const weights = referenceCorrelation(job, fast.value);
+    const slow = timed(() => referenceImage(job, fast.value, weights));
+    let largest = 0;
+    slow.value.forEach((value, pixel) => {
+      largest = Math.max(largest, Math.abs(value - fast.value.cameraImage[pixel]));
+    });
+    reference = slow.ms.toFixed(0);
+    difference = largest.toExponential(1);
+  }
+  console.log([
+    settings.label.padEnd(22),
+    String(settings.nPix).padStart(5),
+    String(settings.nMax).padStart(5),
+    String(groups).padStart(7),
+    fast.ms.toFixed(0).padStart(11),
+    reference.padStart(16),
+    difference.padStart(18),
+  ].join(" "));
+});
@@ -7,18 +7,104 @@
     lMm: 25,
     wavelengthNm: 780,
     nCenter: 1.0,
+    reflectivity1: 0.995,
+    reflectivity2: 0.995,
+    loss1Ppm: 0,
+    loss2Ppm: 0,
+    astigmatic: 0,
+    r1yMm: 50,
+    r2yMm: 50,
+    topology: 0,
+    r3Mm: 0,
+    arm2Mm: 100,
+    foldDeg: 5,
+    elements: "mirror:50,0|gap:10|slab:10,1.8,0|gap:10|mirror:50,0",
   });
 
+  // Version of the URL schema written by buildViewerUrl and buildModeScanUrl.
+  const URL_STATE_VERSION = 2;
+
+  // Also the slider limits of the coating controls on both pages.
   const CAVITY_LIMITS = Object.freeze({
     r1Mm: { min: 0, max: 1000 },
     r2Mm: { min: 0, max: 1000 },
     lMm: { min: 0, max: 1000 },
     wavelengthNm: { min: 400, max: 2000 },
     nCenter: { min: 1.0, max: 3.0 },
+    reflectivity1: { min: 0.5, max: 0.99999 },
+    reflectivity2: { min: 0.5, max: 0.99999 },
+    loss1Ppm: { min: 0, max: 100000 },
+    loss2Ppm: { min: 0, max: 100000 },
+    astigmatic: { min: 0, max: 1 },
+    r1yMm: { min: 0, max: 1000 },
+    r2yMm: { min: 0, max: 1000 },
+    topology: { min: 0, max: 3 },
+    r3Mm: { min: 0, max: 1000 },
+    arm2Mm: { min: 0, max: 1000 },
+    foldDeg: { min: 0, max: 44 },
   });
 
+  const TOPOLOGIES = Object.freeze([
+    { value: 0, label: "Linear (2 mirrors)" },
+    { value: 1, label: "Ring (3 mirrors)" },
+    { value: 2, label: "Bow-tie (4 mirrors)" },
+    { value: 3, label: "Element list (linear)" },
+  ]);
+
+  // Parameters of each element kind, in the order they are stored in the
+  // `elements` string ("type:v1,v2|type:..."). Radii of 0 mean flat.
+  const ELEMENT_TYPES = Object.freeze({
+    mirror: {
+      label: "Mirror",
+      short: "Fold",
+      params: [
+        { key: "rocMm", label: "R", unit: "mm", min: 0, max: 10000, step: 0.1, default: 50 },
+        { key: "aoiDeg", label: "AOI", unit: "deg", min: 0, max: 60, step: 0.1, default: 0 },
+      ],
+    },
+    gap: {
+      label: "Gap",
+      short: "Gap",
+      params: [
+        { key: "lengthMm", label: "L", unit: "mm", min: 0, max: 1000, step: 0.01, default: 10 },
+      ],
+    },
+    lens: {
+      label: "Thick lens",
+      short: "Lens",
+      params: [
+        { key: "r1Mm", label: "R1", unit: "mm", min: -10000, max: 10000, step: 0.1, default: 50 },
+        { key: "r2Mm", label: "R2", unit: "mm", min: -10000, max: 10000, step: 0.1, default: -50 },
+        { key: "thicknessMm", label: "t", unit: "mm", min: 0, max: 100, step: 0.01, default: 3 },
+        { key: "index", label: "n", unit: "", min: 1, max: 4, step: 0.001, default: 1.5 },
+      ],
+    },
+    slab: {
+      label: "Crystal / slab",
+      short: "Slab",
+      params: [
+        { key: "lengthMm", label: "L", unit: "mm", min: 0, max: 200, step: 0.01, default: 10 },
+        { key: "index", label: "n", unit: "", min: 1, max: 4, step: 0.001, default: 1.8 },
+        { key: "thermalMm", label: "f_th", unit: "mm", min: 0, max: 100000, step: 1, default: 0 },
+      ],
+    },
+    brewster: {
+      label: "Brewster plate",
+      short: "Plate",
+      params: [
+        { key: "thicknessMm", label: "t", unit: "mm", min: 0, max: 50, step: 0.01, default: 3 },
+        { key: "index", label: "n", unit: "", min: 1, max: 4, step: 0.001, default: 1.45 },
+      ],
+    },
+  });
+
+  const SPEED_OF_LIGHT = 299792458;
   const EXACT_TOL = 1e-3;
   const NEAR_TOL = 0.08;
+  // Families closer to TEM00 than this many linewidths are flagged as near-degenerate.
+  const NEAR_DEGENERATE_LINEWIDTHS = 5;
+  // Points along the cavity axis in a mode profile.
+  const PROFILE_SAMPLES = 1000;
 
   function clamp(value, min, max) {
     return Math.min(Math.max(value, min), max);
@@ -28,7 +114,30 @@
     return Number(value).toFixed(digits);
   }
 
+  function formatFrequency(hz, digits = 3) {
+    const units = [[1e9, "GHz"], [1e6, "MHz"], [1e3, "kHz"]];
+    for (const [scale, unit] of units) {
+      if (Math.abs(hz) >= scale) {
+        return `${formatNumber(hz / scale, digits)} ${unit}`;
+      }
+    }
+    return `${formatNumber(hz, digits)} Hz`;
+  }
+
+  function formatDuration(seconds, digits = 3) {
+    const units = [[1, "s"], [1e-3, "ms"], [1e-6, "us"]];
+    for (const [scale, unit] of units) {
+      if (Math.abs(seconds) >= scale) {
+        return `${formatNumber(seconds / scale, digits)} ${unit}`;
+      }
+    }
+    return `${formatNumber(seconds * 1e9, digits)} ns`;
+  }
+
   function sanitizeNumber(value, fallback, limits) {
+    if (value === null || value === undefined || value === "") {
+      return fallback;
+    }
     const parsed = Number(value);
     if (!Number.isFinite(parsed)) {
       return fallback;
@@ -37,45 +146,182 @@
   }
 
   function sanitizeCavityState(source = {}) {
-    return {
-      r1Mm: sanitizeNumber(source.r1Mm, DEFAULT_CAVITY_STATE.r1Mm, CAVITY_LIMITS.r1Mm),
-      r2Mm: sanitizeNumber(source.r2Mm, DEFAULT_CAVITY_STATE.r2Mm, CAVITY_LIMITS.r2Mm),
-      lMm: sanitizeNumber(source.lMm, DEFAULT_CAVITY_STATE.lMm, CAVITY_LIMITS.lMm),
-      wavelengthNm: sanitizeNumber(source.wavelengthNm, DEFAULT_CAVITY_STATE.wavelengthNm, CAVITY_LIMITS.wavelengthNm),
-      nCenter: sanitizeNumber(source.nCenter, DEFAULT_CAVITY_STATE.nCenter, CAVITY_LIMITS.nCenter),
-    };
+    const clean = {};
+    Object.keys(CAVITY_LIMITS).forEach((key) => {
+      clean[key] = sanitizeNumber(source[key], DEFAULT_CAVITY_STATE[key], CAVITY_LIMITS[key]);
+    });
+    clean.elements = serializeElementList(parseElementList(source.elements || DEFAULT_CAVITY_STATE.elements));
+
+    // Keep R + loss <= 1 so the derived transmission stays physical.
+    [["reflectivity1", "loss1Ppm"], ["reflectivity2", "loss2Ppm"]].forEach(([rKey, lossKey]) => {
+      clean[lossKey] = Math.min(clean[lossKey], (1 - clean[rKey]) * 1e6);
+    });
+
+    // Without astigmatism the y radii simply follow the x radii.
+    clean.topology = Math.round(clean.topology);
+    clean.astigmatic = Math.round(clean.astigmatic);
+    if (!clean.astigmatic) {
+      clean.r1yMm = clean.r1Mm;
+      clean.r2yMm = clean.r2Mm;
+    }
+    return clean;
   }
 
   function readCavityStateFromSearch(search) {
     const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
-    return sanitizeCavityState({
-      r1Mm: params.get("r1Mm"),
-      r2Mm: params.get("r2Mm"),
-      lMm: params.get("lMm"),
-      wavelengthNm: params.get("wavelengthNm"),
-      nCenter: params.get("nCenter"),
+    const source = {};
+    Object.keys(DEFAULT_CAVITY_STATE).forEach((key) => {
+      source[key] = params.get(key);
     });
+    return sanitizeCavityState(source);
   }
 
-  function buildModeScanUrl(baseHref, cavityState) {
-    const url = new URL("mode-scan.html", baseHref);
-    const cleanState = sanitizeCavityState(cavityState);
-    Object.entries(cleanState).forEach(([key, value]) => {
-      url.searchParams.set(key, String(value));
+  function mirrorCoating(reflectivity, lossPpm) {
+    const loss = lossPpm * 1e-6;
+    return {
+      reflectivity,
+      loss,
+      transmission: Math.max(0, 1 - reflectivity - loss),
+    };
+  }
+
+  function cavityCoatings(cavityState) {
+    return [
+      mirrorCoating(cavityState.reflectivity1, cavityState.loss1Ppm),
+      mirrorCoating(cavityState.reflectivity2, cavityState.loss2Ppm),
+    ];
+  }
+
+  function peakTransmission(coatings) {
+    const [m1, m2] = coatings;
+    const rr = Math.sqrt(m1.reflectivity * m2.reflectivity);
+    return (m1.transmission * m2.transmission) / ((1 - rr) ** 2);
+  }
+
+  function sanitizeSettings(source, defs) {
+    // Page settings from a URL, checked against their control definitions:
+    // numbers are clamped to [min, max] (and rounded when the step is 1),
+    // `options` restrict the allowed values and `text` keeps a string.
+    // Missing or unreadable values are left out.
+    const clean = {};
+    defs.forEach((def) => {
+      const raw = source[def.key];
+      if (raw === null || raw === undefined || raw === "") {
+        return;
+      }
+      if (def.text) {
+        clean[def.key] = String(raw);
+        return;
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      if (def.options) {
+        if (def.options.some((option) => option.value === value)) {
+          clean[def.key] = value;
+        }
+        return;
+      }
+      clean[def.key] = clamp(def.step === 1 ? Math.round(value) : value, def.min, def.max);
     });
-    return url.toString();
+    return clean;
+  }
+
+  function readUrlState(search, defs = []) {
+    // Links without `v` predate the versioned schema and only carry the
+    // cavity. From version 2 on, each page also stores its own settings, and
+    // parameters that belong to the other page are passed through unread so
+    // they survive switching between the two pages.
+    const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+    const version = Number(params.get("v")) || 1;
+    const cavity = readCavityStateFromSearch(params);
+    if (version < 2) {
+      return { version, cavity, settings: {}, passthrough: {} };
+    }
+    const known = new Set(["v", ...Object.keys(DEFAULT_CAVITY_STATE), ...defs.map((def) => def.key)]);
+    return {
+      version,
+      cavity,
+      settings: sanitizeSettings(Object.fromEntries(params), defs),
+      passthrough: Object.fromEntries(Array.from(params).filter(([key]) => !known.has(key))),
+    };
   }
 
-  function buildViewerUrl(baseHref, cavityState) {
-    const url = new URL("index.html", baseHref);
+  function buildStateUrl(page, baseHref, cavityState, settings = {}) {
+    const url = new URL(page, baseHref);
+    url.searchParams.set("v", String(URL_STATE_VERSION));
     const cleanState = sanitizeCavityState(cavityState);
     Object.entries(cleanState).forEach(([key, value]) => {
       url.searchParams.set(key, String(value));
     });
+    Object.entries(settings).forEach(([key, value]) => {
+      url.searchParams.set(key, String(value));
+    });
     return url.toString();
   }
 
-  function computeCavityMode(r1, r2, length, wavelength, nCenter) {
+  function buildModeScanUrl(baseHref, cavityState, settings = {}) {
+    return buildStateUrl("mode-scan.html", baseHref, cavityState, settings);
+  }
+
+  function buildViewerUrl(baseHref, cavityState, settings = {}) {
+    return buildStateUrl("index.html", baseHref, cavityState, settings);
+  }
+
+  let urlUpdateTimer = null;
+
+  function replaceUrlSoon(href) {
+    // Browsers throttle history updates, so a slider drag only writes its
+    // final state.
+    window.clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = window.setTimeout(() => {
+      window.history.replaceState(null, "", href);
+    }, 300);
+  }
+
+  const prop = (distance) => [
+    [1, distance],
+    [0, 1],
+  ];
+
+  const lens = (focalLength) => [
+    [1, 0],
+    [-1 / focalLength, 1],
+  ];
+
+  const matMul = (m1, m2) => [
+    [
+      m1[0][0] * m2[0][0] + m1[0][1] * m2[1][0],
+      m1[0][0] * m2[0][1] + m1[0][1] * m2[1][1],
+    ],
+    [
+      m1[1][0] * m2[0][0] + m1[1][1] * m2[1][0],
+      m1[1][0] * m2[0][1] + m1[1][1] * m2[1][1],
+    ],
+  ];
+
+  function roundTripEigenmode(M) {
+    const [[A, B], [C, D]] = M;
+    const disc = Math.max(0, 4 - (A + D) ** 2);
+    // The round-trip matrix has eigenvalues exp(+-i*psi); the sign of B picks the
+    // branch so negative-g cavities land in (pi, 2*pi) instead of folding back.
+    const halfTrace = clamp((A + D) / 2, -1, 1);
+    const gouyRoundTrip = (Math.atan2(Math.sign(B) * Math.sqrt(1 - halfTrace * halfTrace), halfTrace)
+      + 2 * Math.PI) % (2 * Math.PI);
+    return {
+      gouyRoundTrip,
+      qReal: (A - D) / (2 * C),
+      qImag: Math.sqrt(disc) / (2 * Math.abs(C)),
+    };
+  }
+
+  function beamRadius(qReal, qImag, lambdaMedium) {
+    const invImag = -qImag / (qReal * qReal + qImag * qImag);
+    return Math.sqrt(-lambdaMedium / (Math.PI * invImag));
+  }
+
+  function computeCavityMode(r1, r2, length, wavelength, nCenter, sampleCount = PROFILE_SAMPLES) {
     if (r1 <= 0 || r2 <= 0) {
       throw new Error("Mirror ROC must be positive.");
     }
@@ -90,29 +336,7 @@
     }
 
     const lambdaMedium = wavelength / nCenter;
-
-    const prop = (distance) => [
-      [1, distance],
-      [0, 1],
-    ];
-
-    const mirror = (radius) => [
-      [1, 0],
-      [-2 / radius, 1],
-    ];
-
-    const matMul = (m1, m2) => [
-      [
-        m1[0][0] * m2[0][0] + m1[0][1] * m2[1][0],
-        m1[0][0] * m2[0][1] + m1[0][1] * m2[1][1],
-      ],
-      [
-        m1[1][0] * m2[0][0] + m1[1][1] * m2[1][0],
-        m1[1][0] * m2[0][1] + m1[1][1] * m2[1][1],
-      ],
-    ];
-
-    const M = matMul(matMul(matMul(mirror(r1), prop(length)), mirror(r2)), prop(length));
+    const M = matMul(matMul(matMul(lens(r1 / 2), prop(length)), lens(r2 / 2)), prop(length));
     const A = M[0][0];
     const C = M[1][0];
     const D = M[1][1];
@@ -127,10 +351,7 @@
       throw new Error("Near-planar cavity (C ~ 0): Gaussian mode is not confined.");
     }
 
-    const disc = Math.max(0, 4 - (A + D) ** 2);
-    const qReal = (A - D) / (2 * C);
-    const qImag = Math.sqrt(disc) / (2 * Math.abs(C));
-    const sampleCount = 1000;
+    const { gouyRoundTrip, qReal, qImag } = roundTripEigenmode(M);
     const z = [];
     const w = [];
     let minIndex = 0;
@@ -138,10 +359,7 @@
 
     for (let i = 0; i < sampleCount; i += 1) {
       const zi = (length * i) / (sampleCount - 1);
-      const re = qReal + zi;
-      const denom = re * re + qImag * qImag;
-      const invImag = -qImag / denom;
-      const wi = Math.sqrt(-lambdaMedium / (Math.PI * invImag));
+      const wi = beamRadius(qReal + zi, qImag, lambdaMedium);
       z.push(zi);
       w.push(wi);
       if (wi < minW) {
@@ -158,9 +376,611 @@
       zR: Math.PI * w[minIndex] ** 2 / lambdaMedium,
       wM1: w[0],
       wM2: w[w.length - 1],
+      rocM1: r1,
+      rocM2: r2,
       g1,
       g2,
+      gouyRoundTrip,
+    };
+  }
+
+  function mirrorFocalLengths(radius, aoi) {
+    // A curved mirror hit at angle aoi focuses the tangential plane more
+    // strongly than the sagittal plane. A zero radius stands for a flat mirror.
+    if (radius === 0) {
+      return { tangential: Infinity, sagittal: Infinity };
+    }
+    return {
+      tangential: (radius * Math.cos(aoi)) / 2,
+      sagittal: radius / (2 * Math.cos(aoi)),
+    };
+  }
+
+  function ringLayout(cavityState) {
+    const first = cavityState.lMm * 1e-3;
+    const fold = (cavityState.foldDeg * Math.PI) / 180;
+    const radii = (x, y) => ({ x: x * 1e-3, y: y * 1e-3 });
+    let mirrors;
+    let armLengths;
+
+    if (cavityState.topology === 1) {
+      // Isosceles triangle: M1 and M2 share the fold angle, M3 closes the ring.
+      const side = first / (2 * Math.cos(2 * fold));
+      mirrors = [
+        { label: "M1", radius: radii(cavityState.r1Mm, cavityState.r1yMm), aoi: fold },
+        { label: "M2", radius: radii(cavityState.r2Mm, cavityState.r2yMm), aoi: fold },
+        { label: "M3", radius: radii(cavityState.r3Mm, cavityState.r3Mm), aoi: Math.PI / 2 - 2 * fold },
+      ];
+      armLengths = [first, side, side];
+    } else {
+      // Symmetric bow-tie: parallel short and long arms joined by crossing diagonals.
+      const long = cavityState.arm2Mm * 1e-3;
+      const diagonal = (first + long) / (2 * Math.cos(2 * fold));
+      mirrors = [
+        { label: "M1", radius: radii(cavityState.r1Mm, cavityState.r1yMm), aoi: fold },
+        { label: "M2", radius: radii(cavityState.r2Mm, cavityState.r2yMm), aoi: fold },
+        { label: "M3", radius: radii(0, 0), aoi: fold },
+        { label: "M4", radius: radii(0, 0), aoi: fold },
+      ];
+      armLengths = [first, diagonal, long, diagonal];
+    }
+
+    let start = 0;
+    const arms = armLengths.map((length, index) => {
+      const arm = {
+        label: `${mirrors[index].label}-${mirrors[(index + 1) % mirrors.length].label}`,
+        start,
+        length,
+      };
+      start += length;
+      return arm;
+    });
+    mirrors.forEach((mirror, index) => {
+      mirror.z = arms[index].start;
+      mirror.focal = mirrorFocalLengths(mirror.radius.x, mirror.aoi).tangential;
+      mirror.focalY = mirrorFocalLengths(mirror.radius.y, mirror.aoi).sagittal;
+    });
+    return {
+      mirrors,
+      arms,
+      pathLength: start,
+      roundTripLength: start,
+      opticalRoundTrip: start * cavityState.nCenter,
+    };
+  }
+
+  function traceRoundTrip(ops, wavelength, name, sampleCount = PROFILE_SAMPLES) {
+    // ops describe one round trip in reduced form (q / n), starting at the
+    // reference plane: spaces carry a reduced length, lenses a reduced power.
+    // A space may also scale the spot size, which is how the tangential beam
+    // expands inside a Brewster plate.
+    let M = [[1, 0], [0, 1]];
+    ops.forEach((op) => {
+      M = matMul(op.kind === "space" ? prop(op.reduced) : lens(1 / op.power), M);
+    });
+    const halfTraceRaw = (M[0][0] + M[1][1]) / 2;
+    if (Math.abs(halfTraceRaw) > 1 + 1e-9) {
+      throw new Error(`Unstable ${name}: (A+D)/2=${halfTraceRaw.toFixed(4)}.`);
+    }
+    if (Math.abs(M[1][0]) < 1e-14) {
+      throw new Error(`Near-planar ${name} (C ~ 0): Gaussian mode is not confined.`);
+    }
+
+    const { gouyRoundTrip, qReal, qImag } = roundTripEigenmode(M);
+    const sampled = ops.filter((op) => op.kind === "space" && op.sample);
+    const sampledLength = sampled.reduce((sum, op) => sum + op.length, 0);
+    const z = [];
+    const w = [];
+    const segments = [];
+    let qRe = qReal;
+    let qIm = qImag;
+
+    ops.forEach((op) => {
+      if (op.kind === "lens") {
+        // 1/q' = 1/q - P
+        const invRe = qRe / (qRe * qRe + qIm * qIm) - op.power;
+        const invIm = -qIm / (qRe * qRe + qIm * qIm);
+        qRe = invRe / (invRe * invRe + invIm * invIm);
+        qIm = -invIm / (invRe * invRe + invIm * invIm);
+        return;
+      }
+
+      const scale = op.scale || 1;
+      const axisPerReduced = op.reduced > 0 ? op.length / op.reduced : 0;
+      if (op.sample && op.length > 0) {
+        const samples = Math.max(20, Math.round((sampleCount * op.length) / sampledLength));
+        for (let i = 0; i < samples; i += 1) {
+          const zi = (op.length * i) / (samples - 1);
+          z.push(op.start + zi);
+          w.push(scale * beamRadius(qRe + (op.reduced * i) / (samples - 1), qIm, wavelength));
+        }
+      }
+      const zWaistLocal = -qRe * axisPerReduced;
+      const edge = 1e-9 * op.length;
+      segments.push({
+        label: op.label,
+        element: op.element,
+        sample: Boolean(op.sample),
+        w0: scale * Math.sqrt((wavelength * qIm) / Math.PI),
+        zWaist: op.start + zWaistLocal,
+        zR: qIm * axisPerReduced,
+        inside: op.length > 0 && zWaistLocal >= -edge && zWaistLocal <= op.length + edge,
+        wStart: scale * beamRadius(qRe, qIm, wavelength),
+        wEnd: scale * beamRadius(qRe + op.reduced, qIm, wavelength),
+        // Positive for a beam converging onto the next plane, like a mirror ROC.
+        rocStart: qRe === 0 ? Infinity : -(op.index || 1) * (qRe * qRe + qIm * qIm) / qRe,
+      });
+      qRe += op.reduced;
+    });
+
+    // Map onto the g1*g2 = (1 + (A+D)/2) / 2 of an equivalent symmetric linear cavity.
+    const gProduct = (1 + halfTraceRaw) / 2;
+    const gEquivalent = Math.sqrt(Math.abs(gProduct));
+    return {
+      z,
+      w,
+      segments,
+      gouyRoundTrip,
+      g1: gEquivalent,
+      g2: gProduct >= 0 ? gEquivalent : -gEquivalent,
+    };
+  }
+
+  function primaryWaist(segments) {
+    const shown = segments.filter((segment) => segment.sample);
+    const real = shown.filter((segment) => segment.inside);
+    return (real.length ? real : shown).reduce((best, segment) => (segment.w0 < best.w0 ? segment : best));
+  }
+
+  function computeRingMode(focalLengths, arms, wavelength, nCenter, sampleCount = PROFILE_SAMPLES) {
+    if (arms.some((arm) => !(arm.length > 0) || !Number.isFinite(arm.length))) {
+      throw new Error("Every ring arm must have a positive length.");
+    }
+    if (nCenter <= 0) {
+      throw new Error("Center refractive index must be positive.");
+    }
+
+    // Arm i runs from mirror i to mirror i + 1; the round trip starts just after M1.
+    const count = arms.length;
+    const ops = [];
+    arms.forEach((arm, index) => {
+      ops.push({
+        kind: "space",
+        label: arm.label,
+        start: arm.start,
+        length: arm.length,
+        reduced: arm.length / nCenter,
+        index: nCenter,
+        sample: true,
+      });
+      ops.push({ kind: "lens", power: nCenter / focalLengths[(index + 1) % count] });
+    });
+
+    const trace = traceRoundTrip(ops, wavelength, "ring", sampleCount);
+    const primary = primaryWaist(trace.segments);
+    return {
+      z: trace.z,
+      w: trace.w,
+      w0: primary.w0,
+      zWaist: primary.zWaist,
+      zR: primary.zR,
+      wM1: trace.segments[0].wStart,
+      wM2: trace.segments[1].wStart,
+      rocM1: trace.segments[0].rocStart,
+      rocM2: trace.segments[1].rocStart,
+      g1: trace.g1,
+      g2: trace.g2,
+      gouyRoundTrip: trace.gouyRoundTrip,
+      arms: trace.segments,
+    };
+  }
+
+  function parseElementList(text) {
+    const elements = String(text || "")
+      .split("|")
+      .map((entry) => {
+        const [type, values = ""] = entry.split(":");
+        const spec = ELEMENT_TYPES[type && type.trim()];
+        if (!spec) {
+          return null;
+        }
+        const numbers = values.split(",");
+        const element = { type: type.trim() };
+        spec.params.forEach((param, index) => {
+          element[param.key] = sanitizeNumber(numbers[index], param.default, param);
+        });
+        return element;
+      })
+      .filter(Boolean);
+
+    // The list always starts and ends on a cavity mirror.
+    if (!elements.length || elements[0].type !== "mirror") {
+      elements.unshift({ type: "mirror", rocMm: 50, aoiDeg: 0 });
+    }
+    if (elements.length === 1 || elements[elements.length - 1].type !== "mirror") {
+      elements.push({ type: "mirror", rocMm: 50, aoiDeg: 0 });
+    }
+    return elements;
+  }
+
+  function serializeElementList(elements) {
+    return elements
+      .map((element) => `${element.type}:${ELEMENT_TYPES[element.type].params.map((param) => element[param.key]).join(",")}`)
+      .join("|");
+  }
+
+  function elementLayout(cavityState) {
+    const elements = parseElementList(cavityState.elements);
+    const n0 = cavityState.nCenter;
+    const counters = {};
+    let z = 0;
+    let optical = 0;
+    const mirrors = [];
+    const placed = elements.map((element, index) => {
+      let label = index === 0 ? "M1" : "M2";
+      if (index > 0 && index < elements.length - 1) {
+        counters[element.type] = (counters[element.type] || 0) + 1;
+        label = `${ELEMENT_TYPES[element.type].short} ${counters[element.type]}`;
+      }
+      let length = 0;
+      let medium = n0;
+      if (element.type === "gap") {
+        length = element.lengthMm * 1e-3;
+      } else if (element.type === "lens") {
+        length = element.thicknessMm * 1e-3;
+        medium = element.index;
+      } else if (element.type === "slab") {
+        length = element.lengthMm * 1e-3;
+        medium = element.index;
+      } else if (element.type === "brewster") {
+        // Path through a plate of thickness t at Brewster incidence.
+        length = (element.thicknessMm * 1e-3 * Math.sqrt(element.index ** 2 + 1)) / element.index;
+        medium = element.index;
+      }
+      const item = { ...element, label, start: z, length, index: medium, aoi: ((element.aoiDeg || 0) * Math.PI) / 180 };
+      if (element.type === "mirror") {
+        item.z = z;
+        item.focal = mirrorFocalLengths(element.rocMm * 1e-3, item.aoi).tangential;
+        item.focalY = mirrorFocalLengths(element.rocMm * 1e-3, item.aoi).sagittal;
+        mirrors.push(item);
+      }
+      z += length;
+      optical += length * medium;
+      return item;
+    });
+
+    return {
+      elements: placed,
+      mirrors,
+      arms: placed.filter((item) => item.length > 0),
+      pathLength: z,
+      roundTripLength: 2 * z,
+      opticalRoundTrip: 2 * optical,
+    };
+  }
+
+  function elementOps(item, axis, n0) {
+    const tangential = axis === "x";
+    const space = (extra) => ({
+      kind: "space",
+      label: item.label,
+      element: item.label,
+      start: item.start,
+      length: item.length,
+      reduced: item.length / item.index,
+      index: item.index,
+      ...extra,
+    });
+
+    if (item.type === "gap") {
+      return [space()];
+    }
+    if (item.type === "mirror") {
+      const focal = tangential ? item.focal : item.focalY;
+      return [{ kind: "lens", power: n0 / focal }];
+    }
+    if (item.type === "lens") {
+      // Surface powers (n2 - n1) / R with R > 0 when the centre of curvature
+      // lies after the surface; a zero radius is a flat face.
+      const surface = (radiusMm, n1, n2) => (radiusMm === 0 ? 0 : (n2 - n1) / (radiusMm * 1e-3));
+      return [
+        { kind: "lens", power: surface(item.r1Mm, n0, item.index) },
+        space(),
+        { kind: "lens", power: surface(item.r2Mm, item.index, n0) },
+      ];
+    }
+    if (item.type === "slab") {
+      if (item.thermalMm === 0) {
+        return [space()];
+      }
+      // The thermal lens sits as a thin lens in the middle of the slab.
+      const half = item.length / 2;
+      return [
+        space({ length: half, reduced: half / item.index }),
+        { kind: "lens", power: 1 / (item.thermalMm * 1e-3) },
+        space({ start: item.start + half, length: half, reduced: half / item.index }),
+      ];
+    }
+    // Brewster plate: the tangential beam is widened by n inside and sees an
+    // effective length L / n^3; the sagittal beam just sees L / n.
+    const n = item.index;
+    return [tangential
+      ? space({ reduced: item.length / (n ** 3), scale: n })
+      : space()];
+  }
+
+  function computeElementMode(layout, axis, wavelength, nCenter, sampleCount = PROFILE_SAMPLES) {
+    const { elements } = layout;
+    if (layout.pathLength <= 0) {
+      throw new Error("Element list needs a positive optical length.");
+    }
+    if (nCenter <= 0) {
+      throw new Error("Center refractive index must be positive.");
+    }
+
+    // Standing-wave round trip: out through the inner elements, reflect on M2,
+    // back through them in reverse order and reflect on M1. Surface powers are
+    // the same in both directions in reduced form, so the return pass simply
+    // replays the outbound operations backwards.
+    const inner = elements.slice(1, -1);
+    const outbound = inner.flatMap((item) => elementOps(item, axis, nCenter).map((op) => ({ ...op, sample: true })));
+    const inbound = outbound.slice().reverse().map((op) => ({ ...op, sample: false }));
+    const ops = [
+      ...outbound,
+      ...elementOps(elements[elements.length - 1], axis, nCenter),
+      ...inbound,
+      ...elementOps(elements[0], axis, nCenter),
+    ];
+
+    const trace = traceRoundTrip(ops, wavelength, "cavity", sampleCount);
+    const forward = trace.segments.filter((segment) => segment.sample);
+    const returning = trace.segments.find((segment) => !segment.sample);
+    const primary = primaryWaist(trace.segments);
+    const elementWaists = inner
+      .filter((item) => item.length > 0)
+      .map((item) => {
+        const parts = forward.filter((segment) => segment.element === item.label);
+        const inside = parts.filter((segment) => segment.inside);
+        if (inside.length) {
+          const best = inside.reduce((a, b) => (b.w0 < a.w0 ? b : a));
+          return { label: item.label, type: item.type, w: best.w0, z: best.zWaist, inside: true };
+        }
+        const first = parts[0];
+        const last = parts[parts.length - 1];
+        return first.wStart <= last.wEnd
+          ? { label: item.label, type: item.type, w: first.wStart, z: item.start, inside: false }
+          : { label: item.label, type: item.type, w: last.wEnd, z: item.start + item.length, inside: false };
+      });
+
+    return {
+      z: trace.z,
+      w: trace.w,
+      w0: primary.w0,
+      zWaist: primary.zWaist,
+      zR: primary.zR,
+      wM1: forward[0].wStart,
+      wM2: forward[forward.length - 1].wEnd,
+      rocM1: forward[0].rocStart,
+      rocM2: returning.rocStart,
+      g1: trace.g1,
+      g2: trace.g2,
+      gouyRoundTrip: trace.gouyRoundTrip,
+      arms: forward,
+      elements: elementWaists,
+    };
+  }
+
+  function computeCavityPlanes(cavityState, sampleCount = PROFILE_SAMPLES) {
+    if (cavityState.topology === 1 || cavityState.topology === 2) {
+      return computeRingPlanes(cavityState, sampleCount);
+    }
+    if (cavityState.topology === 3) {
+      return computeElementPlanes(cavityState, sampleCount);
+    }
+
+    const length = cavityState.lMm * 1e-3;
+    const wavelength = cavityState.wavelengthNm * 1e-9;
+    const solvePlane = (r1Mm, r2Mm) => {
+      const r1 = r1Mm * 1e-3;
+      const r2 = r2Mm * 1e-3;
+      const plane = {
+        r1Mm,
+        r2Mm,
+        g1: 1 - length / r1,
+        g2: 1 - length / r2,
+        mode: null,
+        error: null,
+      };
+      try {
+        plane.mode = computeCavityMode(r1, r2, length, wavelength, cavityState.nCenter, sampleCount);
+      } catch (error) {
+        plane.error = error.message;
+      }
+      return plane;
+    };
+
+    const astigmatic = cavityState.astigmatic === 1;
+    const x = solvePlane(cavityState.r1Mm, cavityState.r2Mm);
+    const y = astigmatic ? solvePlane(cavityState.r1yMm, cavityState.r2yMm) : x;
+    let error = null;
+    if (x.error || y.error) {
+      error = astigmatic
+        ? [x.error && `x: ${x.error}`, y.error && `y: ${y.error}`].filter(Boolean).join(" ")
+        : x.error;
+    }
+    const layout = {
+      mirrors: [{ label: "M1", z: 0, aoi: 0 }, { label: "M2", z: length, aoi: 0 }],
+      arms: [{ label: "M1-M2", start: 0, length }],
+      pathLength: length,
+      roundTripLength: 2 * length,
+      opticalRoundTrip: 2 * cavityState.nCenter * length,
+    };
+    return { topology: 0, astigmatic, x, y, error, layout, parityX: 0 };
+  }
+
+  function computeRingPlanes(cavityState, sampleCount) {
+    const wavelength = cavityState.wavelengthNm * 1e-9;
+    const layout = ringLayout(cavityState);
+    // At zero fold the ring folds back on itself and the triangle's M3 is hit
+    // at grazing incidence, where its tangential focal length vanishes.
+    const foldError = cavityState.foldDeg > 0 ? null : "A ring cavity needs a fold angle above 0 deg.";
+    const solvePlane = (axis) => {
+      const tangential = axis === "x";
+      const plane = {
+        r1Mm: tangential ? cavityState.r1Mm : cavityState.r1yMm,
+        r2Mm: tangential ? cavityState.r2Mm : cavityState.r2yMm,
+        focalLengths: layout.mirrors.map((mirror) => (tangential ? mirror.focal : mirror.focalY)),
+        g1: NaN,
+        g2: NaN,
+        mode: null,
+        error: foldError,
+      };
+      if (foldError) {
+        return plane;
+      }
+      try {
+        plane.mode = computeRingMode(plane.focalLengths, layout.arms, wavelength, cavityState.nCenter, sampleCount);
+        plane.g1 = plane.mode.g1;
+        plane.g2 = plane.mode.g2;
+      } catch (error) {
+        plane.error = error.message;
+      }
+      return plane;
     };
+
+    // x is the tangential plane of the ring, y the sagittal plane.
+    const x = solvePlane("x");
+    const y = solvePlane("y");
+    let error = foldError;
+    if (!error && (x.error || y.error)) {
+      error = [x.error && `x: ${x.error}`, y.error && `y: ${y.error}`].filter(Boolean).join(" ");
+    }
+    return {
+      topology: cavityState.topology,
+      astigmatic: true,
+      x,
+      y,
+      error,
+      layout,
+      // An odd number of reflections mirrors the image in the ring plane every
+      // round trip, which adds pi to the round-trip phase of odd-n modes.
+      parityX: layout.mirrors.length % 2 === 1 ? Math.PI : 0,
+    };
+  }
+
+  function computeElementPlanes(cavityState, sampleCount) {
+    const wavelength = cavityState.wavelengthNm * 1e-9;
+    const layout = elementLayout(cavityState);
+    const [first, last] = [layout.elements[0], layout.elements[layout.elements.length - 1]];
+    const solvePlane = (axis) => {
+      const plane = {
+        r1Mm: first.rocMm,
+        r2Mm: last.rocMm,
+        g1: NaN,
+        g2: NaN,
+        mode: null,
+        error: null,
+      };
+      try {
+        plane.mode = computeElementMode(layout, axis, wavelength, cavityState.nCenter, sampleCount);
+        plane.g1 = plane.mode.g1;
+        plane.g2 = plane.mode.g2;
+      } catch (error) {
+        plane.error = error.message;
+      }
+      return plane;
+    };
+
+    // Tilted mirrors and Brewster plates make the cavity astigmatic; x is
+    // their tangential plane.
+    const astigmatic = layout.elements.some((item) => item.type === "brewster" || (item.type === "mirror" && item.aoi > 0));
+    const x = solvePlane("x");
+    const y = astigmatic ? solvePlane("y") : x;
+    let error = null;
+    if (x.error || y.error) {
+      error = astigmatic
+        ? [x.error && `x: ${x.error}`, y.error && `y: ${y.error}`].filter(Boolean).join(" ")
+        : x.error;
+    }
+    return { topology: 3, astigmatic, x, y, error, layout, parityX: 0 };
+  }
+
+  function computeSpectralProperties(opticalRoundTrip, wavelength, coatings, planes = null) {
+    // Only M1 and M2 carry coatings; the other mirrors of a ring are taken
+    // as lossless, which `coatingNote` says when there are any.
+    const [m1, m2] = coatings;
+    const lossless = planes && planes.layout.mirrors ? planes.layout.mirrors.slice(2).map((mirror) => mirror.label) : [];
+    const rr = Math.sqrt(m1.reflectivity * m2.reflectivity);
+    const fsrHz = SPEED_OF_LIGHT / opticalRoundTrip;
+    const finesse = (Math.PI * Math.sqrt(rr)) / (1 - rr);
+    const linewidthHz = fsrHz / finesse;
+    const frequencyHz = SPEED_OF_LIGHT / wavelength;
+
+    return {
+      fsrHz,
+      finesse,
+      linewidthHz,
+      qFactor: frequencyHz / linewidthHz,
+      photonLifetimeS: 1 / (2 * Math.PI * linewidthHz),
+      roundTripLoss: 1 - (rr * rr),
+      peakTransmission: peakTransmission(coatings),
+      coatingNote: lossless.length ? `M1 / M2 only; ${lossless.join(" and ")} lossless` : null,
+      transverse: planes && !planes.error
+        ? {
+          x: { gouyRoundTrip: planes.x.mode.gouyRoundTrip, spacingHz: (fsrHz * planes.x.mode.gouyRoundTrip) / (2 * Math.PI) },
+          y: { gouyRoundTrip: planes.y.mode.gouyRoundTrip, spacingHz: (fsrHz * planes.y.mode.gouyRoundTrip) / (2 * Math.PI) },
+        }
+        : null,
+    };
+  }
+
+  function wrapFsr(value) {
+    return value - Math.round(value);
+  }
+
+  function airyLine(detuningFsr, finesse) {
+    const coefficient = ((2 * finesse) / Math.PI) ** 2;
+    const s = Math.sin(Math.PI * detuningFsr);
+    return 1 / (1 + coefficient * s * s);
+  }
+
+  function computeModeSpectrum(gouyX, gouyY, maxOrder, finesse, parityX = 0) {
+    const linewidthFsr = 1 / finesse;
+    const families = [];
+    const phaseX = gouyX + parityX;
+
+    for (let order = 0; order <= maxOrder; order += 1) {
+      // Without astigmatism every TEM_nm with the same n+m shares one frequency;
+      // otherwise each (n, m) pair resonates on its own.
+      const split = Math.abs(phaseX - gouyY) > 1e-12;
+      const members = split
+        ? Array.from({ length: order + 1 }, (_, n) => [[n, order - n]])
+        : [Array.from({ length: order + 1 }, (_, n) => [n, order - n])];
+
+      members.forEach((modes) => {
+        const [n, m] = modes[0];
+        const offsetFsr = (((n * phaseX) + (m * gouyY)) / (2 * Math.PI)) % 1;
+        const detuningFsr = wrapFsr(offsetFsr);
+        const separation = Math.abs(detuningFsr);
+        let degeneracy = "none";
+        if (order > 0 && separation < linewidthFsr) {
+          degeneracy = "overlap";
+        } else if (order > 0 && separation < NEAR_DEGENERATE_LINEWIDTHS * linewidthFsr) {
+          degeneracy = "near";
+        }
+        families.push({
+          order,
+          label: split ? `${n},${m}` : String(order),
+          modes,
+          offsetFsr,
+          detuningFsr,
+          modeCount: modes.length,
+          degeneracy,
+        });
+      });
+    }
+
+    return { linewidthFsr, families };
   }
 
   function stabilityLabel(g1, g2) {
@@ -189,13 +1009,33 @@
   window.CavityCore = Object.freeze({
     CAVITY_LIMITS,
     DEFAULT_CAVITY_STATE,
+    URL_STATE_VERSION,
+    SPEED_OF_LIGHT,
+    PROFILE_SAMPLES,
+    TOPOLOGIES,
+    ELEMENT_TYPES,
     clamp,
     formatNumber,
+    formatFrequency,
+    formatDuration,
     sanitizeCavityState,
     readCavityStateFromSearch,
+    sanitizeSettings,
+    readUrlState,
+    replaceUrlSoon,
+    mirrorCoating,
+    cavityCoatings,
+    peakTransmission,
     buildViewerUrl,
     buildModeScanUrl,
     computeCavityMode,
+    mirrorFocalLengths,
+    parseElementList,
+    serializeElementList,
+    computeCavityPlanes,
+    computeSpectralProperties,
+    computeModeSpectrum,
+    airyLine,
     stabilityLabel,
   });
 })();
@@ -0,0 +1,308 @@
+"use strict";
+
+(() => {
+  const { sanitizeCavityState } = window.CavityCore;
+
+  const LIBRARY_KEY = "cavityModeViewer.library";
+  // Last view and scan settings, so they survive navigating between pages.
+  const SESSION_KEY = "cavityModeViewer.session";
+  const FILE_FORMAT = "cavity-mode-viewer-configurations";
+  const FILE_VERSION = 1;
+
+  function readStorage(key, fallback) {
+    try {
+      const text = window.localStorage.getItem(key);
+      return text ? JSON.parse(text) : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function plainSettings(source) {
+    // Nested objects of finite numbers and strings; anything else is dropped.
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+      return null;
+    }
+    const clean = {};
+    Object.entries(source).forEach(([key, value]) => {
+      if ((typeof value === "number" && Number.isFinite(value)) || typeof value === "string") {
+        clean[key] = value;
+      } else if (value && typeof value === "object") {
+        const nested = plainSettings(value);
+        if (nested) {
+          clean[key] = nested;
+        }
+      }
+    });
+    return clean;
+  }
+
+  function sanitizeConfiguration(source) {
+    if (!source || typeof source !== "object") {
+      return null;
+    }
+    const name = String(source.name || "").trim();
+    if (!name || !source.cavity || typeof source.cavity !== "object") {
+      return null;
+    }
+    const savedAt = Number.isNaN(Date.parse(source.savedAt)) ? new Date().toISOString() : String(source.savedAt);
+    return {
+      name,
+      savedAt,
+      cavity: sanitizeCavityState(source.cavity),
+      view: plainSettings(source.view),
+      scan: plainSettings(source.scan),
+    };
+  }
+
+  function listConfigurations() {
+    const stored = readStorage(LIBRARY_KEY, []);
+    return (Array.isArray(stored) ? stored : [])
+      .map(sanitizeConfiguration)
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function storeConfigurations(list) {
+    if (!writeStorage(LIBRARY_KEY, list)) {
+      throw new Error("The browser refused to store the configuration library.");
+    }
+  }
+
+  function saveConfiguration(config) {
+    // A configuration with the same name is replaced.
+    const clean = sanitizeConfiguration({ ...config, savedAt: new Date().toISOString() });
+    if (!clean) {
+      throw new Error("A configuration needs a name.");
+    }
+    storeConfigurations([...listConfigurations().filter((item) => item.name !== clean.name), clean]);
+    return clean;
+  }
+
+  function uniqueName(base, taken) {
+    let name = `${base} (copy)`;
+    for (let index = 2; taken.has(name); index += 1) {
+      name = `${base} (copy ${index})`;
+    }
+    return name;
+  }
+
+  function duplicateConfiguration(name) {
+    const list = listConfigurations();
+    const source = list.find((item) => item.name === name);
+    if (!source) {
+      return null;
+    }
+    const copy = { ...source, name: uniqueName(name, new Set(list.map((item) => item.name))) };
+    storeConfigurations([...list, copy]);
+    return copy;
+  }
+
+  function deleteConfiguration(name) {
+    storeConfigurations(listConfigurations().filter((item) => item.name !== name));
+  }
+
+  function exportConfigurations(names = null) {
+    const list = listConfigurations().filter((item) => !names || names.includes(item.name));
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, configurations: list }, null, 2);
+  }
+
+  function importConfigurations(text) {
+    // Accepts a library file or a single configuration; names already in the
+    // library are replaced. Returns the imported names.
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON.");
+    }
+    if (parsed && parsed.format === FILE_FORMAT && parsed.version > FILE_VERSION) {
+      throw new Error(`The file uses library version ${parsed.version}; this page reads up to ${FILE_VERSION}.`);
+    }
+    const sources = parsed && Array.isArray(parsed.configurations) ? parsed.configurations : [parsed];
+    const imported = sources.map(sanitizeConfiguration).filter(Boolean);
+    if (!imported.length) {
+      throw new Error("The file contains no cavity configurations.");
+    }
+    const names = new Set(imported.map((item) => item.name));
+    storeConfigurations([...listConfigurations().filter((item) => !names.has(item.name)), ...imported]);
+    return Array.from(names);
+  }
+
+  function readSession() {
+    const session = readStorage(SESSION_KEY, {});
+    return {
+      cavity: session && session.cavity ? sanitizeCavityState(session.cavity) : null,
+      view: plainSettings(session && session.view),
+      scan: plainSettings(session && session.scan),
+    };
+  }
+
+  function writeSession(parts) {
+    writeStorage(SESSION_KEY, { ...readStorage(SESSION_KEY, {}), ...parts });
+  }
+
+  function sameCavity(a, b) {
+    return Boolean(a && b) && JSON.stringify(sanitizeCavityState(a)) === JSON.stringify(sanitizeCavityState(b));
+  }
+
+  function describeConfiguration(config) {
+    const date = new Date(config.savedAt);
+    return `${config.name} (${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })})`;
+  }
+
+  function createLibraryPanel(root, status, page) {
+    // page: { capture() -> configuration without a name, apply(configuration) }
+    const nameRow = document.createElement("div");
+    nameRow.className = "library-row";
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.className = "library-name";
+    nameInput.placeholder = "Configuration name";
+    nameInput.spellcheck = false;
+    const saveButton = document.createElement("button");
+    saveButton.type = "button";
+    saveButton.className = "primary-button";
+    saveButton.textContent = "Save";
+    nameRow.append(nameInput, saveButton);
+
+    const list = document.createElement("select");
+    list.className = "library-list";
+    list.size = 5;
+
+    const actions = document.createElement("div");
+    actions.className = "library-actions";
+    const button = (label, handler) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "ghost-button";
+      item.textContent = label;
+      item.addEventListener("click", handler);
+      actions.appendChild(item);
+      return item;
+    };
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.hidden = true;
+
+    const selected = () => listConfigurations().find((item) => item.name === list.value) || null;
+    const report = (text) => {
+      status.textContent = text;
+    };
+    const refresh = (selectName = list.value) => {
+      const configs = listConfigurations();
+      list.innerHTML = "";
+      configs.forEach((config) => {
+        const option = document.createElement("option");
+        option.value = config.name;
+        option.textContent = describeConfiguration(config);
+        list.appendChild(option);
+      });
+      list.value = configs.some((config) => config.name === selectName) ? selectName : "";
+      sync();
+    };
+    const guarded = (action) => () => {
+      try {
+        action();
+      } catch (error) {
+        report(error.message);
+      }
+    };
+
+    saveButton.addEventListener("click", guarded(() => {
+      const saved = saveConfiguration({ ...page.capture(), name: nameInput.value });
+      refresh(saved.name);
+      report(`Saved ${saved.name}.`);
+    }));
+    nameInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        saveButton.click();
+      }
+    });
+    list.addEventListener("change", () => {
+      nameInput.value = list.value;
+      sync();
+    });
+    list.addEventListener("dblclick", () => loadButton.click());
+
+    const loadButton = button("Load", () => {
+      const config = selected();
+      if (config) {
+        report(`Loaded ${config.name}.`);
+        page.apply(config);
+      }
+    });
+    const duplicateButton = button("Duplicate", guarded(() => {
+      const copy = duplicateConfiguration(list.value);
+      if (copy) {
+        refresh(copy.name);
+        nameInput.value = copy.name;
+        report(`Saved ${copy.name}.`);
+      }
+    }));
+    const deleteButton = button("Delete", guarded(() => {
+      const { value } = list;
+      if (value && window.confirm(`Delete the configuration "${value}"?`)) {
+        deleteConfiguration(value);
+        refresh();
+        report(`Deleted ${value}.`);
+      }
+    }));
+    const exportButton = button("Export", () => {
+      const names = list.value ? [list.value] : null;
+      const fileName = list.value ? `${list.value.replace(/[^\w.-]+/g, "_")}.json` : "cavity-configurations.json";
+      window.ExportTools.download(fileName, exportConfigurations(names), "application/json");
+    });
+    button("Import", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      if (!fileInput.files.length) {
+        return;
+      }
+      const file = fileInput.files[0];
+      fileInput.value = "";
+      try {
+        const names = importConfigurations(await file.text());
+        refresh(names[0]);
+        report(`Imported ${names.length} configuration${names.length === 1 ? "" : "s"} from ${file.name}.`);
+      } catch (error) {
+        report(`${file.name}: ${error.message}`);
+      }
+    });
+
+    function sync() {
+      const hasSelection = Boolean(list.value);
+      [loadButton, duplicateButton, deleteButton].forEach((item) => {
+        item.disabled = !hasSelection;
+      });
+      exportButton.textContent = hasSelection ? "Export" : "Export all";
+      exportButton.disabled = !list.children.length;
+    }
+
+    root.append(nameRow, list, actions, fileInput);
+    refresh();
+    report(list.children.length ? "Saved in this browser." : "No saved configurations in this browser yet.");
+  }
+
+  window.ConfigLibrary = Object.freeze({
+    listConfigurations,
+    saveConfiguration,
+    duplicateConfiguration,
+    deleteConfiguration,
+    exportConfigurations,
+    importConfigurations,
+    readSession,
+    writeSession,
+    sameCavity,
+    createLibraryPanel,
+  });
+})();
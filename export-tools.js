@@ -0,0 +1,513 @@
+"use strict";
+
+(() => {
+  // PNG exports are drawn at this many device pixels per CSS pixel.
+  const PNG_SCALE = 4;
+  const ARC_SEGMENT = Math.PI / 36;
+
+  let pendingCapture = null;
+  let measureContext = null;
+
+  function plainValue(value) {
+    return ArrayBuffer.isView(value) ? Array.from(value) : value;
+  }
+
+  function csvField(value) {
+    const text = typeof value === "number" && !Number.isFinite(value) ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  }
+
+  function tableRows(table) {
+    // Tables are column lists, a matrix with its x and y axes, or term/value rows.
+    if (table.columns) {
+      const length = Math.max(...table.columns.map((column) => column.values.length));
+      const rows = [table.columns.map((column) => column.name)];
+      for (let i = 0; i < length; i += 1) {
+        rows.push(table.columns.map((column) => (i < column.values.length ? column.values[i] : "")));
+      }
+      return rows;
+    }
+    if (table.matrix) {
+      const { x, y, values, label } = table.matrix;
+      const rows = [[label, ...x]];
+      y.forEach((yValue, row) => {
+        rows.push([yValue, ...Array.from(values.subarray(row * x.length, (row + 1) * x.length))]);
+      });
+      return rows;
+    }
+    return [["Quantity", "Value"], ...table.rows];
+  }
+
+  function toCsv(title, table, parameters) {
+    const lines = [`# ${title}`, `# parameters: ${JSON.stringify(parameters)}`];
+    tableRows(table).forEach((row) => lines.push(row.map(csvField).join(",")));
+    return `${lines.join("\n")}\n`;
+  }
+
+  function toJson(title, table, parameters) {
+    const data = {};
+    if (table.columns) {
+      table.columns.forEach((column) => {
+        data[column.name] = plainValue(column.values);
+      });
+    } else if (table.matrix) {
+      const { x, y, values, label } = table.matrix;
+      Object.assign(data, {
+        label,
+        x: plainValue(x),
+        y: plainValue(y),
+        values: y.map((_, row) => Array.from(values.subarray(row * x.length, (row + 1) * x.length))),
+      });
+    } else {
+      table.rows.forEach(([term, value]) => {
+        data[term] = value;
+      });
+    }
+    return JSON.stringify({ title, exported: new Date().toISOString(), parameters, data }, null, 2);
+  }
+
+  function summaryRows(grid) {
+    return Array.from(grid.children, (item) => [
+      item.querySelector("dt").textContent,
+      item.querySelector("dd").textContent,
+    ]);
+  }
+
+  function download(fileName, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function textChunk(keyword, text) {
+    // tEXt is Latin-1, so anything beyond it is written as a JSON \u escape.
+    const escaped = text.replace(/[^\x20-\x7e\n]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`);
+    const body = Uint8Array.from(`tEXt${keyword}\0${escaped}`, (char) => char.charCodeAt(0));
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length - 4);
+    chunk.set(body, 4);
+    view.setUint32(body.length + 4, crc32(body));
+    return chunk;
+  }
+
+  function embedPngText(bytes, entries) {
+    // Text chunks go right after IHDR, which always ends at byte 33.
+    const chunks = Object.entries(entries).map(([keyword, text]) => textChunk(keyword, text));
+    const head = bytes.subarray(0, 33);
+    return new Blob([head, ...chunks, bytes.subarray(33)], { type: "image/png" });
+  }
+
+  function svgColor(color) {
+    const match = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(String(color));
+    return match ? { paint: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, opacity: Number(match[4]) } : { paint: String(color), opacity: 1 };
+  }
+
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[char]);
+  }
+
+  function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+    return [
+      (a1 * a2) + (c1 * b2),
+      (b1 * a2) + (d1 * b2),
+      (a1 * c2) + (c1 * d2),
+      (b1 * c2) + (d1 * d2),
+      (a1 * e2) + (c1 * f2) + e1,
+      (b1 * e2) + (d1 * f2) + f1,
+    ];
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  function fontAttributes(font) {
+    // Separate attributes rather than the CSS shorthand, which not every SVG
+    // reader understands. Plots use "[weight] <size>px <family>".
+    const match = /^(?:(\w+)\s+)?([\d.]+)px\s+(.+)$/.exec(font);
+    if (!match) {
+      return `style="font: ${escapeXml(font)}"`;
+    }
+    const weight = match[1] ? ` font-weight="${escapeXml(match[1])}"` : "";
+    return `font-family="${escapeXml(match[3])}" font-size="${match[2]}"${weight}`;
+  }
+
+  class SvgContext {
+    // Records the subset of CanvasRenderingContext2D the plots use as SVG
+    // elements. Paths are stored in page coordinates, arcs as short lines.
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.elements = [];
+      this.clipPaths = [];
+      this.path = [];
+      this.stack = [];
+      this.imageSmoothingEnabled = true;
+      Object.assign(this, {
+        fillStyle: "#000000",
+        strokeStyle: "#000000",
+        lineWidth: 1,
+        font: "10px sans-serif",
+        textAlign: "start",
+        textBaseline: "alphabetic",
+        dash: [],
+        matrix: [1, 0, 0, 1, 0, 0],
+        clipId: null,
+      });
+    }
+
+    save() {
+      const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, dash, matrix, clipId, imageSmoothingEnabled } = this;
+      this.stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, dash, matrix, clipId, imageSmoothingEnabled });
+    }
+
+    restore() {
+      Object.assign(this, this.stack.pop() || {});
+    }
+
+    setTransform(a, b, c, d, e, f) {
+      this.matrix = [a, b, c, d, e, f];
+    }
+
+    translate(x, y) {
+      this.matrix = multiply(this.matrix, [1, 0, 0, 1, x, y]);
+    }
+
+    rotate(angle) {
+      this.matrix = multiply(this.matrix, [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);
+    }
+
+    scale(x, y) {
+      this.matrix = multiply(this.matrix, [x, 0, 0, y, 0, 0]);
+    }
+
+    setLineDash(dash) {
+      this.dash = Array.from(dash);
+    }
+
+    point(x, y) {
+      const [a, b, c, d, e, f] = this.matrix;
+      return [(a * x) + (c * y) + e, (b * x) + (d * y) + f];
+    }
+
+    beginPath() {
+      this.path = [];
+      this.user = null;
+    }
+
+    moveTo(x, y) {
+      this.path.push(["M", ...this.point(x, y)]);
+      this.user = [x, y];
+      this.start = [x, y];
+    }
+
+    lineTo(x, y) {
+      this.path.push([this.path.length ? "L" : "M", ...this.point(x, y)]);
+      this.user = [x, y];
+    }
+
+    closePath() {
+      this.path.push(["Z"]);
+      if (this.start) {
+        this.user = this.start;
+      }
+    }
+
+    rect(x, y, width, height) {
+      this.moveTo(x, y);
+      this.lineTo(x + width, y);
+      this.lineTo(x + width, y + height);
+      this.lineTo(x, y + height);
+      this.closePath();
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+      let sweep = endAngle - startAngle;
+      if (counterclockwise && sweep > 0) {
+        sweep -= 2 * Math.PI;
+      } else if (!counterclockwise && sweep < 0) {
+        sweep += 2 * Math.PI;
+      }
+      sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, sweep));
+      const steps = Math.max(2, Math.ceil(Math.abs(sweep) / ARC_SEGMENT));
+      for (let i = 0; i <= steps; i += 1) {
+        const angle = startAngle + ((sweep * i) / steps);
+        const ex = radiusX * Math.cos(angle);
+        const ey = radiusY * Math.sin(angle);
+        const px = x + (ex * Math.cos(rotation)) - (ey * Math.sin(rotation));
+        const py = y + (ex * Math.sin(rotation)) + (ey * Math.cos(rotation));
+        this.lineTo(px, py);
+      }
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+      this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    arcTo(x1, y1, x2, y2, radius) {
+      // Tangent arc from the current point towards (x1, y1), then along to (x2, y2).
+      const [x0, y0] = this.user || [x1, y1];
+      const ax = x0 - x1;
+      const ay = y0 - y1;
+      const bx = x2 - x1;
+      const by = y2 - y1;
+      const lengthA = Math.hypot(ax, ay);
+      const lengthB = Math.hypot(bx, by);
+      const cross = (ax * by) - (ay * bx);
+      if (!radius || !lengthA || !lengthB || Math.abs(cross) < 1e-9) {
+        this.lineTo(x1, y1);
+        return;
+      }
+      const angle = Math.acos(Math.max(-1, Math.min(1, ((ax * bx) + (ay * by)) / (lengthA * lengthB))));
+      const tangent = radius / Math.tan(angle / 2);
+      const start = [x1 + ((ax / lengthA) * tangent), y1 + ((ay / lengthA) * tangent)];
+      const end = [x1 + ((bx / lengthB) * tangent), y1 + ((by / lengthB) * tangent)];
+      const side = Math.sign(cross);
+      const center = [start[0] - ((ay / lengthA) * radius * side), start[1] + ((ax / lengthA) * radius * side)];
+      this.lineTo(...start);
+      this.arc(
+        center[0],
+        center[1],
+        radius,
+        Math.atan2(start[1] - center[1], start[0] - center[0]),
+        Math.atan2(end[1] - center[1], end[0] - center[0]),
+        side > 0,
+      );
+    }
+
+    pathData() {
+      return this.path.map(([command, x, y]) => (command === "Z" ? "Z" : `${command}${round(x)} ${round(y)}`)).join("");
+    }
+
+    lineScale() {
+      const [a, b, c, d] = this.matrix;
+      return Math.sqrt(Math.abs((a * d) - (b * c)));
+    }
+
+    clipAttribute() {
+      return this.clipId ? ` clip-path="url(#${this.clipId})"` : "";
+    }
+
+    fillAttributes() {
+      const { paint, opacity } = svgColor(this.fillStyle);
+      return `fill="${escapeXml(paint)}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ""}`;
+    }
+
+    strokeAttributes() {
+      const { paint, opacity } = svgColor(this.strokeStyle);
+      const scale = this.lineScale();
+      const dash = this.dash.length ? ` stroke-dasharray="${this.dash.map((value) => round(value * scale)).join(" ")}"` : "";
+      return `fill="none" stroke="${escapeXml(paint)}"${opacity < 1 ? ` stroke-opacity="${opacity}"` : ""} stroke-width="${round(this.lineWidth * scale)}"${dash}`;
+    }
+
+    fill() {
+      if (this.path.length) {
+        this.elements.push(`<path d="${this.pathData()}" ${this.fillAttributes()}${this.clipAttribute()}/>`);
+      }
+    }
+
+    stroke() {
+      if (this.path.length) {
+        this.elements.push(`<path d="${this.pathData()}" ${this.strokeAttributes()}${this.clipAttribute()}/>`);
+      }
+    }
+
+    clip() {
+      const id = `clip${this.clipPaths.length + 1}`;
+      const parent = this.clipId ? ` clip-path="url(#${this.clipId})"` : "";
+      this.clipPaths.push(`<clipPath id="${id}"${parent}><path d="${this.pathData()}"/></clipPath>`);
+      this.clipId = id;
+    }
+
+    fillRect(x, y, width, height) {
+      const { path, user, start } = this;
+      this.beginPath();
+      this.rect(x, y, width, height);
+      this.fill();
+      Object.assign(this, { path, user, start });
+    }
+
+    strokeRect(x, y, width, height) {
+      const { path, user, start } = this;
+      this.beginPath();
+      this.rect(x, y, width, height);
+      this.stroke();
+      Object.assign(this, { path, user, start });
+    }
+
+    clearRect() {
+      // Every plot paints its own background right after clearing.
+    }
+
+    measureText(text) {
+      if (!measureContext) {
+        measureContext = document.createElement("canvas").getContext("2d");
+      }
+      measureContext.font = this.font;
+      return measureContext.measureText(text);
+    }
+
+    fillText(text, x, y) {
+      const anchor = { center: "middle", right: "end", end: "end" }[this.textAlign] || "start";
+      // Baselines as an em shift; dominant-baseline is not read everywhere.
+      const shift = { top: "0.8em", hanging: "0.8em", middle: "0.35em", bottom: "-0.22em" }[this.textBaseline];
+      const [a, b, c, d, e, f] = this.matrix.map(round);
+      this.elements.push(
+        `<text x="${round(x)}" y="${round(y)}" transform="matrix(${a} ${b} ${c} ${d} ${e} ${f})" ${this.fillAttributes()} `
+        + `${fontAttributes(this.font)} text-anchor="${anchor}"${shift ? ` dy="${shift}"` : ""} xml:space="preserve"`
+        + `${this.clipAttribute()}>${escapeXml(text)}</text>`,
+      );
+    }
+
+    drawImage(image, x, y, width = image.width, height = image.height) {
+      const [a, b, c, d, e, f] = this.matrix.map(round);
+      const rendering = this.imageSmoothingEnabled ? "" : " style=\"image-rendering: pixelated\" image-rendering=\"optimizeSpeed\"";
+      this.elements.push(
+        `<image xlink:href="${image.toDataURL("image/png")}" x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" `
+        + `preserveAspectRatio="none" transform="matrix(${a} ${b} ${c} ${d} ${e} ${f})"${rendering}${this.clipAttribute()}/>`,
+      );
+    }
+
+    toSvg(title, parameters) {
+      const metadata = JSON.stringify(parameters, null, 2).replace(/]]>/g, "]]]]><![CDATA[>");
+      return [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+        `<title>${escapeXml(title)}</title>`,
+        `<metadata id="parameters"><![CDATA[${metadata}]]></metadata>`,
+        `<defs>${this.clipPaths.join("")}</defs>`,
+        ...this.elements,
+        "</svg>",
+        "",
+      ].join("\n");
+    }
+  }
+
+  function captureContext(canvas, width, height) {
+    // setupCanvas asks first: while a plot is being exported its drawing goes
+    // to a high-resolution offscreen canvas or an SVG recorder instead.
+    if (!pendingCapture || pendingCapture.source !== canvas) {
+      return null;
+    }
+    if (pendingCapture.format === "svg") {
+      pendingCapture.ctx = new SvgContext(width, height);
+    } else {
+      const target = document.createElement("canvas");
+      target.width = Math.round(width * PNG_SCALE);
+      target.height = Math.round(height * PNG_SCALE);
+      pendingCapture.ctx = target.getContext("2d");
+      pendingCapture.ctx.setTransform(PNG_SCALE, 0, 0, PNG_SCALE, 0, 0);
+      pendingCapture.target = target;
+    }
+    return pendingCapture.ctx;
+  }
+
+  async function renderPlot(canvas, format, redraw, title, parameters) {
+    pendingCapture = { source: canvas, format };
+    let capture = null;
+    try {
+      redraw();
+    } finally {
+      capture = pendingCapture;
+      pendingCapture = null;
+    }
+    if (!capture.ctx) {
+      throw new Error("The plot did not redraw.");
+    }
+    if (format === "svg") {
+      return new Blob([capture.ctx.toSvg(title, parameters)], { type: "image/svg+xml" });
+    }
+    const blob = await new Promise((resolve) => capture.target.toBlob(resolve, "image/png"));
+    if (!blob) {
+      throw new Error("The PNG could not be created.");
+    }
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return embedPngText(bytes, {
+      Title: title,
+      Software: "Interactive Cavity Mode Viewer",
+      Parameters: JSON.stringify(parameters),
+    });
+  }
+
+  function addExportButtons(root, item) {
+    // item: { name, title, parameters(), data() -> table or null, plot: { canvas, redraw } }
+    const actions = [];
+    if (item.data) {
+      actions.push(["CSV", () => {
+        const table = item.data();
+        if (table) {
+          download(`${item.name}.csv`, toCsv(item.title, table, item.parameters()), "text/csv");
+        }
+      }]);
+      actions.push(["JSON", () => {
+        const table = item.data();
+        if (table) {
+          download(`${item.name}.json`, toJson(item.title, table, item.parameters()), "application/json");
+        }
+      }]);
+    }
+    if (item.plot) {
+      ["png", "svg"].forEach((format) => {
+        actions.push([format.toUpperCase(), async () => {
+          const blob = await renderPlot(item.plot.canvas, format, item.plot.redraw, item.title, item.parameters());
+          download(`${item.name}.${format}`, blob);
+        }]);
+      });
+    }
+    // A failed export is reported next to the buttons until the next one.
+    const status = document.createElement("span");
+    status.className = "export-status";
+    status.setAttribute("role", "status");
+    actions.forEach(([label, run]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "ghost-button export-button";
+      button.textContent = label;
+      button.title = `Export ${item.title} as ${label}`;
+      button.addEventListener("click", async () => {
+        status.textContent = "";
+        try {
+          await run();
+        } catch (error) {
+          status.textContent = `${label} export failed: ${error.message}`;
+        }
+      });
+      root.appendChild(button);
+    });
+    root.appendChild(status);
+  }
+
+  window.ExportTools = Object.freeze({
+    PNG_SCALE,
+    toCsv,
+    toJson,
+    summaryRows,
+    download,
+    embedPngText,
+    SvgContext,
+    captureContext,
+    renderPlot,
+    addExportButtons,
+  });
+})();
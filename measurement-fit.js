@@ -0,0 +1,326 @@
+"use strict";
+
+(() => {
+  // Measured scope traces are reduced to at most this many bin averages
+  // before they are compared with the simulation.
+  const TRACE_BINS = 2000;
+  const MIN_TRACE_POINTS = 10;
+
+  function parseTraceCsv(text) {
+    // Two numeric columns per row (time or piezo voltage, then signal). Scope
+    // header and metadata lines are skipped; the last text row before the
+    // data names the axes when it has two fields.
+    const rows = [];
+    let header = null;
+    String(text).split(/\r?\n/).forEach((line) => {
+      const fields = line.trim().split(/\s*[,;\t]\s*|\s+/).filter(Boolean).map((field) => field.replace(/^"|"$/g, ""));
+      if (fields.length < 2) {
+        return;
+      }
+      const values = fields.slice(0, 2).map(Number);
+      if (values.every(Number.isFinite)) {
+        rows.push(values);
+      } else if (!rows.length) {
+        header = fields.slice(0, 2);
+      }
+    });
+    if (rows.length < MIN_TRACE_POINTS) {
+      return null;
+    }
+
+    rows.sort((a, b) => a[0] - b[0]);
+    return {
+      x: Float64Array.from(rows, (row) => row[0]),
+      y: Float64Array.from(rows, (row) => row[1]),
+      xLabel: header ? header[0] : "x",
+      yLabel: header ? header[1] : "signal",
+    };
+  }
+
+  function binTrace(trace, maxPoints = TRACE_BINS) {
+    // Averaging consecutive samples matches the bin-averaged model transmission.
+    const count = Math.min(trace.x.length, maxPoints);
+    const x = new Float64Array(count);
+    const y = new Float64Array(count);
+    for (let bin = 0; bin < count; bin += 1) {
+      const start = Math.floor((bin * trace.x.length) / count);
+      const end = Math.floor(((bin + 1) * trace.x.length) / count);
+      for (let i = start; i < end; i += 1) {
+        x[bin] += trace.x[i];
+        y[bin] += trace.y[i];
+      }
+      x[bin] /= end - start;
+      y[bin] /= end - start;
+    }
+    return { ...trace, x, y };
+  }
+
+  function findTem00Peaks(trace) {
+    // The closest pair among the maxima reaching 80 % of the highest one, on
+    // the assumption that TEM00 dominates, so the pair is one FSR apart.
+    // Samples closer than 5 % of the trace span count as the same resonance.
+    const { x, y } = trace;
+    const span = x[x.length - 1] - x[0];
+    const order = Array.from(y.keys()).sort((a, b) => y[b] - y[a]);
+    const floor = y[order[order.length - 1]];
+    const threshold = floor + (0.8 * (y[order[0]] - floor));
+    const peaks = [];
+    for (const index of order) {
+      if (y[index] < threshold) {
+        break;
+      }
+      if (peaks.every((peak) => Math.abs(x[index] - peak) > 0.05 * span)) {
+        peaks.push(x[index]);
+      }
+    }
+    if (peaks.length < 2) {
+      return null;
+    }
+    peaks.sort((a, b) => a - b);
+    let best = 0;
+    for (let i = 1; i < peaks.length - 1; i += 1) {
+      if (peaks[i + 1] - peaks[i] < peaks[best + 1] - peaks[best]) {
+        best = i;
+      }
+    }
+    return [peaks[best], peaks[best + 1]];
+  }
+
+  function linearizeTrace(x, peakA, peakB, fsrBetween) {
+    // Linear map from the trace axis to dL in FSR that puts peak A on an
+    // integer FSR, shifted by whole FSRs so the trace is centered near zero.
+    const scale = fsrBetween / (peakB - peakA);
+    const start = (x[0] - peakA) * scale;
+    const end = (x[x.length - 1] - peakA) * scale;
+    const shift = Math.round((start + end) / 2);
+    return Float64Array.from(x, (value) => ((value - peakA) * scale) - shift);
+  }
+
+  function parseImageCsv(text) {
+    // One image row per line, top row first; rows are cut to the shortest one.
+    const rows = String(text)
+      .split(/\r?\n/)
+      .map((line) => line.trim().split(/\s*[,;\t]\s*|\s+/).filter(Boolean).map(Number))
+      .filter((row) => row.length >= 2 && row.every(Number.isFinite));
+    if (rows.length < 2) {
+      return null;
+    }
+    const width = Math.min(...rows.map((row) => row.length));
+    const height = rows.length;
+    const data = new Float64Array(width * height);
+    rows.forEach((row, y) => {
+      for (let x = 0; x < width; x += 1) {
+        data[(y * width) + x] = row[x];
+      }
+    });
+    return { width, height, data };
+  }
+
+  function imageCentroid(image) {
+    // Intensity centroid in pixel coordinates above the darkest pixel.
+    const { width, height, data } = image;
+    let floor = Number.POSITIVE_INFINITY;
+    for (let i = 0; i < data.length; i += 1) {
+      floor = Math.min(floor, data[i]);
+    }
+    let sum = 0;
+    let sumX = 0;
+    let sumY = 0;
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const value = data[(y * width) + x] - floor;
+        sum += value;
+        sumX += value * (x + 0.5);
+        sumY += value * (y + 0.5);
+      }
+    }
+    return sum > 0 ? { x: sumX / sum, y: sumY / sum } : { x: width / 2, y: height / 2 };
+  }
+
+  function integralImage(image) {
+    // Summed-area table: entry (i, j) sums the pixels left of column i and
+    // above row j. The pixel at (x, y) covers [x, x + 1) x [y, y + 1).
+    const { width, height, data } = image;
+    const stride = width + 1;
+    const table = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y += 1) {
+      let row = 0;
+      for (let x = 0; x < width; x += 1) {
+        row += data[(y * width) + x];
+        table[((y + 1) * stride) + x + 1] = table[(y * stride) + x + 1] + row;
+      }
+    }
+    return { width, height, table };
+  }
+
+  function boxMean(integral, u, v, half) {
+    // Mean over the square of half-width `half` pixels centered on (u, v),
+    // or NaN when it leaves the image. The area integral of a pixelated
+    // image is bilinear inside each pixel, so fractional boxes are exact.
+    const { width, height, table } = integral;
+    if (u - half < 0 || v - half < 0 || u + half > width || v + half > height) {
+      return NaN;
+    }
+    const stride = width + 1;
+    const at = (x, y) => {
+      const x0 = Math.min(Math.floor(x), width - 1);
+      const y0 = Math.min(Math.floor(y), height - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+      const index = (y0 * stride) + x0;
+      return ((1 - fx) * (1 - fy) * table[index])
+        + (fx * (1 - fy) * table[index + 1])
+        + ((1 - fx) * fy * table[index + stride])
+        + (fx * fy * table[index + stride + 1]);
+    };
+    const sum = at(u + half, v + half) - at(u - half, v + half) - at(u + half, v - half) + at(u - half, v - half);
+    return sum / (4 * half * half);
+  }
+
+  function linearScale(model, data) {
+    // Least-squares gain and offset so that data ~ gain * model + offset.
+    const count = model.length;
+    let sumM = 0;
+    let sumD = 0;
+    let sumMM = 0;
+    let sumMD = 0;
+    for (let i = 0; i < count; i += 1) {
+      sumM += model[i];
+      sumD += data[i];
+      sumMM += model[i] * model[i];
+      sumMD += model[i] * data[i];
+    }
+    const det = (count * sumMM) - (sumM * sumM);
+    if (Math.abs(det) < 1e-300) {
+      return { gain: 0, offset: sumD / count };
+    }
+    const gain = ((count * sumMD) - (sumM * sumD)) / det;
+    return { gain, offset: (sumD - (gain * sumM)) / count };
+  }
+
+  function sumSquares(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i += 1) {
+      sum += values[i] * values[i];
+    }
+    return sum;
+  }
+
+  function solveLinear(matrix, rhs) {
+    // Gaussian elimination with partial pivoting on copies of the inputs.
+    const size = rhs.length;
+    const a = matrix.map((row) => Array.from(row));
+    const b = Array.from(rhs);
+    for (let column = 0; column < size; column += 1) {
+      let pivot = column;
+      for (let row = column + 1; row < size; row += 1) {
+        if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) {
+          pivot = row;
+        }
+      }
+      if (Math.abs(a[pivot][column]) < 1e-300) {
+        return null;
+      }
+      [a[column], a[pivot]] = [a[pivot], a[column]];
+      [b[column], b[pivot]] = [b[pivot], b[column]];
+      for (let row = column + 1; row < size; row += 1) {
+        const factor = a[row][column] / a[column][column];
+        for (let k = column; k < size; k += 1) {
+          a[row][k] -= factor * a[column][k];
+        }
+        b[row] -= factor * b[column];
+      }
+    }
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row -= 1) {
+      let sum = b[row];
+      for (let k = row + 1; k < size; k += 1) {
+        sum -= a[row][k] * solution[k];
+      }
+      solution[row] = sum / a[row][row];
+    }
+    return solution;
+  }
+
+  async function startLeastSquares(residualFn, params, steps, tolerance = 1e-6) {
+    // Levenberg-Marquardt state; `steps` are the finite-difference steps and
+    // set the natural scale of each parameter. The fit is done once a step
+    // lowers the cost by less than `tolerance` of itself. residualFn may
+    // return a promise, for residuals computed off the page.
+    const residuals = await residualFn(params);
+    return {
+      params: Array.from(params),
+      steps: Array.from(steps),
+      residuals,
+      cost: sumSquares(residuals),
+      lambda: 1e-2,
+      tolerance,
+      iteration: 0,
+      done: params.length === 0,
+    };
+  }
+
+  async function stepLeastSquares(residualFn, fit) {
+    // One Levenberg-Marquardt iteration with a forward-difference Jacobian.
+    // Resolves to the updated state; `done` is set once the cost stops improving.
+    const jacobian = [];
+    for (let index = 0; index < fit.params.length; index += 1) {
+      const trial = Array.from(fit.params);
+      trial[index] += fit.steps[index];
+      const shifted = await residualFn(trial);
+      jacobian.push(Float64Array.from(shifted, (residual, i) => (residual - fit.residuals[i]) / fit.steps[index]));
+    }
+    const normal = jacobian.map((a) => jacobian.map((b) => {
+      let sum = 0;
+      for (let i = 0; i < a.length; i += 1) {
+        sum += a[i] * b[i];
+      }
+      return sum;
+    }));
+    const gradient = jacobian.map((column) => {
+      let sum = 0;
+      for (let i = 0; i < column.length; i += 1) {
+        sum -= column[i] * fit.residuals[i];
+      }
+      return sum;
+    });
+
+    fit.iteration += 1;
+    while (fit.lambda < 1e10) {
+      const damped = normal.map((row, i) => row.map((value, j) => (
+        i === j ? value + (fit.lambda * Math.max(value, 1e-12)) : value
+      )));
+      const delta = solveLinear(damped, gradient);
+      if (delta) {
+        const trial = fit.params.map((value, index) => value + delta[index]);
+        const residuals = await residualFn(trial);
+        const cost = sumSquares(residuals);
+        if (cost < fit.cost) {
+          const gain = (fit.cost - cost) / fit.cost;
+          const moved = delta.some((value, index) => Math.abs(value) > 1e-4 * fit.steps[index]);
+          Object.assign(fit, { params: trial, residuals, cost, lambda: Math.max(fit.lambda / 3, 1e-7) });
+          fit.done = gain < fit.tolerance || !moved;
+          return fit;
+        }
+      }
+      fit.lambda *= 4;
+    }
+    fit.done = true;
+    return fit;
+  }
+
+  window.MeasurementFit = Object.freeze({
+    TRACE_BINS,
+    parseTraceCsv,
+    binTrace,
+    findTem00Peaks,
+    linearizeTrace,
+    parseImageCsv,
+    imageCentroid,
+    integralImage,
+    boxMean,
+    linearScale,
+    startLeastSquares,
+    stepLeastSquares,
+  });
+})();
@@ -0,0 +1,344 @@
+"use strict";
+
+(() => {
+  // Beams are handled through their inverse q parameter,
+  // 1/q = 1/R - i * lambda / (pi * w^2), stored as { re, im }.
+  const DEFAULT_CATALOG_MM = Object.freeze([
+    -100, -75, -50, 50, 75, 100, 125, 150, 200, 250, 300, 400, 500, 750, 1000,
+  ]);
+
+  const SINGLE_SAMPLES = 400;
+  const PAIR_SAMPLES = 48;
+  // Positions are quoted with the lens shift that costs this much coupling.
+  const TOLERANCE_DROP = 0.01;
+
+  function waistInverseQ(waist, wavelength) {
+    return { re: 0, im: -wavelength / (Math.PI * waist * waist) };
+  }
+
+  function propagate(inverseQ, distance) {
+    const denom = (inverseQ.re * inverseQ.re) + (inverseQ.im * inverseQ.im);
+    const qRe = (inverseQ.re / denom) + distance;
+    const qIm = -inverseQ.im / denom;
+    const next = (qRe * qRe) + (qIm * qIm);
+    return { re: qRe / next, im: -qIm / next };
+  }
+
+  function thinLens(inverseQ, focalLength) {
+    return { re: inverseQ.re - (1 / focalLength), im: inverseQ.im };
+  }
+
+  function spotSize(inverseQ, wavelength) {
+    return Math.sqrt(-wavelength / (Math.PI * inverseQ.im));
+  }
+
+  function overlap1D(a, b, wavelength) {
+    // |<u_a|u_b>|^2 for two 1D Gaussian beams at the same plane.
+    const k = (2 * Math.PI) / wavelength;
+    const sumRe = (-k / 2) * (a.im + b.im);
+    const sumIm = (k / 2) * (a.re - b.re);
+    const wa = spotSize(a, wavelength);
+    const wb = spotSize(b, wavelength);
+    return 2 / (wa * wb * Math.hypot(sumRe, sumIm));
+  }
+
+  function coupling(beam, target, wavelength) {
+    return overlap1D(beam, target.x, wavelength) * overlap1D(beam, target.y, wavelength);
+  }
+
+  function beamAtMirror(laser, lenses, wavelength) {
+    // The mirror sits at z = 0 and the laser waist at z = -distance; lens
+    // positions are distances upstream from the mirror.
+    let inverseQ = waistInverseQ(laser.waist, wavelength);
+    let z = -laser.distance;
+    lenses
+      .slice()
+      .sort((a, b) => b.position - a.position)
+      .forEach((lens) => {
+        inverseQ = thinLens(propagate(inverseQ, -lens.position - z), lens.focal);
+        z = -lens.position;
+      });
+    return propagate(inverseQ, -z);
+  }
+
+  function goldenMaximum(evaluate, low, high, iterations = 40) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = low;
+    let b = high;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = evaluate(c);
+    let fd = evaluate(d);
+    for (let i = 0; i < iterations; i += 1) {
+      if (fc > fd) {
+        b = d;
+        d = c;
+        fd = fc;
+        c = b - ratio * (b - a);
+        fc = evaluate(c);
+      } else {
+        a = c;
+        c = d;
+        fc = fd;
+        d = a + ratio * (b - a);
+        fd = evaluate(d);
+      }
+    }
+    return fc > fd ? { x: c, value: fc } : { x: d, value: fd };
+  }
+
+  function positionTolerance(evaluate, positions, index, bounds, best) {
+    // Shift one lens either way until the coupling has dropped by
+    // TOLERANCE_DROP and keep the tighter side.
+    const [low, high] = bounds[index];
+    const shifted = (delta) => {
+      const trial = positions.slice();
+      trial[index] += delta;
+      return evaluate(trial);
+    };
+    const side = (direction) => {
+      const limit = direction > 0 ? high - positions[index] : positions[index] - low;
+      if (limit <= 0 || shifted(direction * limit) >= best - TOLERANCE_DROP) {
+        return Math.max(0, limit);
+      }
+      let inside = 0;
+      let outside = limit;
+      for (let i = 0; i < 40; i += 1) {
+        const middle = (inside + outside) / 2;
+        if (shifted(direction * middle) >= best - TOLERANCE_DROP) {
+          inside = middle;
+        } else {
+          outside = middle;
+        }
+      }
+      return inside;
+    };
+    return Math.min(side(1), side(-1));
+  }
+
+  function describeSolution(focals, positions, value, evaluate, bounds, laser, wavelength) {
+    const lenses = focals.map((focal, index) => ({
+      focal,
+      position: positions[index],
+      tolerance: positionTolerance(evaluate, positions, index, bounds, value),
+    }));
+    const beam = beamAtMirror(laser, lenses, wavelength);
+    return {
+      lenses,
+      coupling: value,
+      wMirror: spotSize(beam, wavelength),
+      // Positive for a beam converging onto the mirror, like the cavity ROC.
+      rocMirror: beam.re === 0 ? Infinity : -1 / beam.re,
+    };
+  }
+
+  function searchSingleLens(focal, options) {
+    const { laser, target, wavelength, clearance } = options;
+    const low = clearance;
+    const high = laser.distance - clearance;
+    if (high <= low) {
+      return [];
+    }
+    const evaluate = (positions) => coupling(beamAtMirror(laser, [{ focal, position: positions[0] }], wavelength), target, wavelength);
+    const step = (high - low) / (SINGLE_SAMPLES - 1);
+    const values = [];
+    for (let i = 0; i < SINGLE_SAMPLES; i += 1) {
+      values.push(evaluate([low + i * step]));
+    }
+
+    const solutions = [];
+    for (let i = 0; i < SINGLE_SAMPLES; i += 1) {
+      const left = i === 0 ? -Infinity : values[i - 1];
+      const right = i === SINGLE_SAMPLES - 1 ? -Infinity : values[i + 1];
+      if (values[i] >= left && values[i] >= right) {
+        const peak = goldenMaximum(
+          (position) => evaluate([position]),
+          Math.max(low, low + (i - 1) * step),
+          Math.min(high, low + (i + 1) * step),
+        );
+        solutions.push(describeSolution([focal], [peak.x], peak.value, evaluate, [[low, high]], laser, wavelength));
+      }
+    }
+    return solutions;
+  }
+
+  function searchLensPair(focalFar, focalNear, options) {
+    const { laser, target, wavelength, clearance } = options;
+    const low = clearance;
+    const high = laser.distance - clearance;
+    if (high - low <= clearance) {
+      return null;
+    }
+    const evaluate = (positions) => coupling(
+      beamAtMirror(laser, [{ focal: focalFar, position: positions[0] }, { focal: focalNear, position: positions[1] }], wavelength),
+      target,
+      wavelength,
+    );
+
+    // Coarse grid over far > near + clearance, then alternate golden-section
+    // refinements of each lens while the other one stays put.
+    const step = (high - low) / (PAIR_SAMPLES - 1);
+    let best = { positions: null, value: -Infinity };
+    for (let i = 0; i < PAIR_SAMPLES; i += 1) {
+      for (let j = 0; j < PAIR_SAMPLES; j += 1) {
+        const far = low + i * step;
+        const near = low + j * step;
+        if (far - near < clearance) {
+          continue;
+        }
+        const value = evaluate([far, near]);
+        if (value > best.value) {
+          best = { positions: [far, near], value };
+        }
+      }
+    }
+    if (!best.positions) {
+      return null;
+    }
+
+    const positions = best.positions.slice();
+    let value = best.value;
+    let span = step;
+    for (let round = 0; round < 12; round += 1) {
+      const farPeak = goldenMaximum(
+        (far) => evaluate([far, positions[1]]),
+        Math.max(positions[1] + clearance, positions[0] - span),
+        Math.min(high, positions[0] + span),
+      );
+      if (farPeak.value > value) {
+        [positions[0], value] = [farPeak.x, farPeak.value];
+      }
+      const nearPeak = goldenMaximum(
+        (near) => evaluate([positions[0], near]),
+        Math.max(low, positions[1] - span),
+        Math.min(positions[0] - clearance, positions[1] + span),
+      );
+      if (nearPeak.value > value) {
+        [positions[1], value] = [nearPeak.x, nearPeak.value];
+      }
+      span *= 0.7;
+    }
+
+    const bounds = [[positions[1] + clearance, high], [low, positions[0] - clearance]];
+    return describeSolution([focalFar, focalNear], positions, value, evaluate, bounds, laser, wavelength);
+  }
+
+  function compareSolutions(a, b) {
+    // Couplings equal to 0.01 % are ranked by how forgiving the lens placement is.
+    const bucket = (solution) => Math.round(solution.coupling * 1e4);
+    if (bucket(a) !== bucket(b)) {
+      return bucket(b) - bucket(a);
+    }
+    const slack = (solution) => Math.min(...solution.lenses.map((lens) => lens.tolerance));
+    return slack(b) - slack(a);
+  }
+
+  function designModeMatching(options) {
+    const { laser, target, wavelength, focalLengths, maxResults = 8 } = options;
+    const direct = coupling(beamAtMirror(laser, [], wavelength), target, wavelength);
+    const singles = focalLengths
+      .flatMap((focal) => searchSingleLens(focal, options))
+      .sort(compareSolutions);
+    const pairs = [];
+    focalLengths.forEach((focalFar) => {
+      focalLengths.forEach((focalNear) => {
+        const solution = searchLensPair(focalFar, focalNear, options);
+        if (solution) {
+          pairs.push(solution);
+        }
+      });
+    });
+    pairs.sort(compareSolutions);
+
+    // Keep the best single lens in the list even when pairs outrank it: one
+    // lens is usually the easier build.
+    const results = [...singles.slice(0, 1), ...pairs, ...singles.slice(1)]
+      .sort(compareSolutions)
+      .slice(0, maxResults);
+    if (singles.length && !results.includes(singles[0])) {
+      results[results.length - 1] = singles[0];
+    }
+    return { direct, results: results.sort(compareSolutions) };
+  }
+
+  function parseFocalCatalog(text) {
+    return String(text)
+      .split(/[\s,;]+/)
+      .map(Number)
+      .filter((value) => Number.isFinite(value) && value !== 0);
+  }
+
+  function parseCausticPoints(text) {
+    // One "distance, radius" pair per line; blank lines and # comments are skipped.
+    return String(text)
+      .split(/\n/)
+      .map((line) => line.replace(/#.*/, "").trim())
+      .filter(Boolean)
+      .map((line) => line.split(/[\s,;]+/).map(Number))
+      .filter((pair) => pair.length >= 2 && Number.isFinite(pair[0]) && pair[1] > 0)
+      .map(([position, radius]) => ({ position, radius }));
+  }
+
+  function fitCaustic(points, wavelength) {
+    // ISO 11146 style fit of w^2 = a + b z + c z^2, which gives the waist,
+    // its position and M^2 = pi w0 sqrt(c) / lambda.
+    if (points.length < 3) {
+      return null;
+    }
+    const sums = new Float64Array(5);
+    const rhs = new Float64Array(3);
+    points.forEach(({ position, radius }) => {
+      const w2 = radius * radius;
+      for (let power = 0; power < 5; power += 1) {
+        sums[power] += position ** power;
+      }
+      for (let power = 0; power < 3; power += 1) {
+        rhs[power] += w2 * (position ** power);
+      }
+    });
+    const det3 = (m) => (
+      m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+      - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+      + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])
+    );
+    const normal = [0, 1, 2].map((row) => [0, 1, 2].map((column) => sums[row + column]));
+    const det = det3(normal);
+    if (Math.abs(det) < 1e-300) {
+      return null;
+    }
+    const [a, b, c] = [0, 1, 2].map((column) => det3(normal.map((row, index) => row.map((value, j) => (j === column ? rhs[index] : value)))) / det);
+    const waistSquared = a - (b * b) / (4 * c);
+    if (!(c > 0) || !(waistSquared > 0)) {
+      return null;
+    }
+
+    const waist = Math.sqrt(waistSquared);
+    const position = -b / (2 * c);
+    const residual = points.reduce((sum, point) => {
+      const fitted = Math.sqrt(a + b * point.position + c * point.position * point.position);
+      return sum + (fitted - point.radius) ** 2;
+    }, 0);
+    return {
+      waist,
+      position,
+      m2: (Math.PI * waist * Math.sqrt(c)) / wavelength,
+      rms: Math.sqrt(residual / points.length),
+    };
+  }
+
+  window.ModeMatching = Object.freeze({
+    DEFAULT_CATALOG_MM,
+    TOLERANCE_DROP,
+    waistInverseQ,
+    propagate,
+    thinLens,
+    spotSize,
+    overlap1D,
+    coupling,
+    beamAtMirror,
+    designModeMatching,
+    parseFocalCatalog,
+    parseCausticPoints,
+    fitCaustic,
+  });
+})();
@@ -0,0 +1,33 @@
+"use strict";
+
+// Runs mode-scan simulations off the page's thread. Messages in are
+// { id, job }; messages out are { id, progress }, then { id, result } or
+// { id, error }.
+importScripts("mode-simulation.js");
+
+const { simulateModeScan, resultBuffers } = self.ModeSimulation;
+
+// Short runs finish without reporting progress, so the page does not flash
+// an indicator for them.
+const PROGRESS_DELAY_MS = 120;
+const PROGRESS_INTERVAL_MS = 50;
+
+self.addEventListener("message", (event) => {
+  const { id, job } = event.data;
+  const started = performance.now();
+  let reported = started + PROGRESS_DELAY_MS - PROGRESS_INTERVAL_MS;
+  const onProgress = (fraction) => {
+    const now = performance.now();
+    if (now - reported >= PROGRESS_INTERVAL_MS) {
+      reported = now;
+      self.postMessage({ id, progress: fraction });
+    }
+  };
+
+  try {
+    const result = simulateModeScan(job, onProgress);
+    self.postMessage({ id, result }, resultBuffers(result));
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -1,82 +1,350 @@
 "use strict";
 
 const {
+  TOPOLOGIES,
+  SPEED_OF_LIGHT,
   clamp,
   formatNumber,
-  computeCavityMode,
+  computeCavityPlanes,
   stabilityLabel,
-  readCavityStateFromSearch,
+  sanitizeCavityState,
+  sanitizeSettings,
+  readUrlState,
+  replaceUrlSoon,
   buildViewerUrl,
+  buildModeScanUrl,
+  cavityCoatings,
+  peakTransmission,
+  computeSpectralProperties,
+  CAVITY_LIMITS,
 } = window.CavityCore;
 
+const {
+  DEFAULT_CATALOG_MM,
+  TOLERANCE_DROP,
+  designModeMatching,
+  parseFocalCatalog,
+  parseCausticPoints,
+  fitCaustic,
+  waistInverseQ,
+  propagate,
+  spotSize,
+} = window.ModeMatching;
+
+const {
+  parseTraceCsv,
+  binTrace,
+  findTem00Peaks,
+  linearizeTrace,
+  parseImageCsv,
+  imageCentroid,
+  integralImage,
+  boxMean,
+  linearScale,
+  startLeastSquares,
+  stepLeastSquares,
+} = window.MeasurementFit;
+
+const {
+  GAUSS_NORM,
+  maxValue,
+  linspace,
+  getBasis,
+  analyticAxisOverlap,
+  laguerreGaussField,
+  decomposeInput,
+  modeIntensity,
+  cavityTransfer,
+  airyAntiderivative,
+  meanAiry,
+  transferAmplitudes,
+  scanSignal,
+  normalize,
+  simulateModeScan,
+} = window.ModeSimulation;
+
+const { captureContext, addExportButtons, summaryRows } = window.ExportTools;
+const { readSession, writeSession, sameCavity, createLibraryPanel } = window.ConfigLibrary;
+
+const BEAM_FORMS = [
+  { value: 0, label: "Field at mirror (w, ROC)" },
+  { value: 1, label: "Waist and position (w0, z0)" },
+  { value: 2, label: "Complex q at mirror" },
+  { value: 3, label: "Measured caustic (M^2 fit)" },
+];
+
+const BASES = [
+  { value: 0, label: "Hermite-Gauss (TEM_nm)" },
+  { value: 1, label: "Laguerre-Gauss (LG_pl)" },
+];
+
+const INPUT_MIRRORS = [
+  { value: 1, label: "Mirror 1 (M1)" },
+  { value: 2, label: "Mirror 2 (M2)" },
+];
+
+const DEFAULT_CAUSTIC = [
+  "# distance upstream of mirror [mm], beam radius 1/e^2 [mm]",
+  "100, 0.50",
+  "300, 0.36",
+  "500, 0.30",
+  "700, 0.36",
+  "900, 0.50",
+  "1200, 0.76",
+].join("\n");
+
 const SIM_DEFS = [
-  { key: "xOffUm", label: "x offset", min: 0, max: 1000, step: 1, digits: 0, unit: "um" },
-  { key: "yOffUm", label: "y offset", min: 0, max: 1000, step: 1, digits: 0, unit: "um" },
+  { key: "xOffUm", label: "x offset", min: -1000, max: 1000, step: 1, digits: 0, unit: "um" },
+  { key: "yOffUm", label: "y offset", min: -1000, max: 1000, step: 1, digits: 0, unit: "um" },
+  { key: "xTiltUrad", label: "x tilt", min: -5000, max: 5000, step: 1, digits: 0, unit: "urad" },
+  { key: "yTiltUrad", label: "y tilt", min: -5000, max: 5000, step: 1, digits: 0, unit: "urad" },
   { key: "scanRangeFsr", label: "Scan range", min: 1, max: 5, step: 1, digits: 0, unit: "FSR" },
-  { key: "nMax", label: "Max HG order", min: 1, max: 15, step: 1, digits: 0, unit: "" },
-  { key: "beamWaistMm", label: "Input waist", min: 0.005, max: 5.0, step: 0.001, digits: 3, unit: "mm" },
-  { key: "beamRocMm", label: "Input ROC", min: 1, max: 2000, step: 1, digits: 0, unit: "mm" },
+  { key: "nMax", label: "Max HG order", min: 1, max: 30, step: 1, digits: 0, unit: "" },
+  { key: "inputP", label: "Input LG p", min: 0, max: 5, step: 1, digits: 0, unit: "", bases: [1] },
+  { key: "inputL", label: "Input LG l", min: -5, max: 5, step: 1, digits: 0, unit: "", bases: [1] },
+  { key: "beamWaistMm", label: "Input waist", min: 0.005, max: 5.0, step: 0.001, digits: 3, unit: "mm", forms: [0] },
+  { key: "beamCurvature", label: "Input curvature", min: -1000, max: 1000, step: 0.01, digits: 2, unit: "1/m", forms: [0] },
+  { key: "beamW0Mm", label: "Beam w0", min: 0.005, max: 5.0, step: 0.001, digits: 3, unit: "mm", forms: [1] },
+  { key: "beamZ0Mm", label: "Waist before mirror", min: -5000, max: 5000, step: 1, digits: 0, unit: "mm", forms: [1] },
+  { key: "qReMm", label: "Re q", min: -5000, max: 5000, step: 0.1, digits: 1, unit: "mm", forms: [2] },
+  { key: "qImMm", label: "Im q", min: 0.1, max: 10000, step: 0.1, digits: 1, unit: "mm", forms: [2] },
+];
+
+const MIRROR_DEFS = [
+  { key: "reflectivity1", label: "R mirror 1", ...CAVITY_LIMITS.reflectivity1, step: 0.00001, digits: 5, unit: "" },
+  { key: "reflectivity2", label: "R mirror 2", ...CAVITY_LIMITS.reflectivity2, step: 0.00001, digits: 5, unit: "" },
+  { key: "loss1Ppm", label: "Loss mirror 1", ...CAVITY_LIMITS.loss1Ppm, step: 1, digits: 0, unit: "ppm" },
+  { key: "loss2Ppm", label: "Loss mirror 2", ...CAVITY_LIMITS.loss2Ppm, step: 1, digits: 0, unit: "ppm" },
+];
+
+const MAP_AXES = [
+  { value: 0, label: "x offset vs y offset" },
+  { value: 1, label: "x offset vs x tilt" },
+  { value: 2, label: "y offset vs y tilt" },
+];
+
+const MAP_DEFS = [
+  { key: "mapOffsetUm", label: "Offset span +/-", min: 10, max: 1000, step: 1, digits: 0, unit: "um" },
+  { key: "mapTiltUrad", label: "Tilt span +/-", min: 10, max: 5000, step: 10, digits: 0, unit: "urad" },
+];
+
+const MAP_CONTOURS = [
+  { level: 0.9, dash: [6, 4] },
+  { level: 0.95, dash: [2, 3] },
+  { level: 0.99, dash: [] },
+];
+
+const CAMERA_VIEWS = [
+  { value: 0, label: "Scan average" },
+  { value: 1, label: "At detuning cursor" },
+];
+
+// Limits follow the scan range; see syncCursorControl.
+const CURSOR_DEF = { key: "cursorFsr", label: "Detuning", min: -2, max: 2, step: 0.0005, digits: 4, unit: "FSR" };
+
+// One sweep across the full scan range during playback.
+const ANIMATION_SWEEP_MS = 8000;
+
+// Peak limits and steps follow the imported trace; see syncTraceControls.
+const TRACE_DEFS = [
+  { key: "peakA", label: "TEM00 peak A", min: 0, max: 1, step: 0.001, digits: 3, unit: "" },
+  { key: "peakB", label: "TEM00 peak B", min: 0, max: 1, step: 0.001, digits: 3, unit: "" },
+  { key: "fsrBetween", label: "Peak spacing", min: 1, max: 5, step: 1, digits: 0, unit: "FSR" },
+];
+
+const FIT_PARAMS = [
+  { key: "xOffUm", label: "x offset" },
+  { key: "yOffUm", label: "y offset" },
+  { key: "xTiltUrad", label: "x tilt" },
+  { key: "yTiltUrad", label: "y tilt" },
+  { key: "waist", label: "Waist" },
+  { key: "reflectivity", label: "Reflectivity" },
+];
+
+// Axis limits follow the imported image; see syncImageControls.
+const IMAGE_DEFS = [
+  { key: "pixelUm", label: "Pixel size", min: 0.1, max: 200, step: 0.01, digits: 2, unit: "um" },
+  { key: "centerXPx", label: "Axis column", min: 0, max: 1, step: 0.1, digits: 1, unit: "px" },
+  { key: "centerYPx", label: "Axis row", min: 0, max: 1, step: 0.1, digits: 1, unit: "px" },
+];
+
+const IMAGE_FIT_PARAMS = [
+  { key: "xOffUm", label: "x offset" },
+  { key: "yOffUm", label: "y offset" },
+  { key: "waist", label: "Waist" },
+];
+
+// Pixels outside the imported camera frame.
+const OUTSIDE_COLOR = [226, 232, 240];
+
+const MAX_FIT_ITERATIONS = 40;
+
+const DESIGN_DEFS = [
+  { key: "laserWaistMm", label: "Laser waist", min: 0.01, max: 5, step: 0.001, digits: 3, unit: "mm" },
+  { key: "laserDistanceMm", label: "Waist to mirror", min: 10, max: 5000, step: 1, digits: 0, unit: "mm" },
+  { key: "lensClearanceMm", label: "Min spacing", min: 0, max: 200, step: 1, digits: 0, unit: "mm" },
+];
+
+// Numerical settings of the simulation: camera grid, scan sampling and the
+// camera half-width in units of the largest spot.
+const NUMERICS_DEFS = [
+  { key: "nPix", label: "Camera pixels", min: 64, max: 512, step: 32, digits: 0, unit: "px" },
+  { key: "nScan", label: "Scan points", min: 101, max: 8001, step: 20, digits: 0, unit: "" },
+  { key: "fovFactor", label: "Half FOV", min: 2, max: 8, step: 0.5, digits: 1, unit: "w" },
 ];
 
 const FIXED_SETTINGS = Object.freeze({
-  mirrorReflectivity: 0.995,
-  nPix: 96,
-  // Keep the scan point count odd so zero detuning is sampled exactly.
-  nScan: 481,
-  fovFactor: 4,
+  // Odd, so the map has a sample on both zero axes.
+  mapPoints: 61,
 });
 
-const PI_QUARTER = Math.PI ** 0.25;
-const FACTORIALS = (() => {
-  const values = [1];
-  for (let i = 1; i <= 30; i += 1) {
-    values.push(values[i - 1] * i);
-  }
-  return values;
-})();
+// Uniform scan samples per linewidth below which the peaks would fall between
+// them without the refinement around each resonance.
+const MIN_SAMPLES_PER_LINEWIDTH = 2;
+
+// Scan-plot zoom per wheel step, and the narrowest zoomed span in linewidths.
+const SCAN_ZOOM_STEP = 1.25;
+const MIN_ZOOM_LINEWIDTHS = 4;
+
+// Share of the input power by which the grid-integrated mode coefficients may
+// differ from the closed-form ones before the mode content warns about it.
+const GRID_ERROR_LIMIT = 1e-3;
+
+// Pixel values the live camera may keep per result as group images (32 MB
+// of Float32).
+const GROUP_IMAGE_BUDGET = 2 ** 23;
+
+// Beam and scan settings the simulation reads; see simulationJob.
+const SIMULATION_KEYS = ["basis", "nMax", "inputP", "inputL", "xOffUm", "yOffUm", "xTiltUrad", "yTiltUrad", "scanRangeFsr"];
+
+// While the controls move, a stale simulation that runs longer than this is
+// abandoned instead of awaited.
+const CANCEL_AFTER_MS = 100;
+
+// Settings carried in the page URL next to the cavity; see readUrlState. The
+// cursor and the selected peak stay within the widest scan range.
+const URL_SETTING_DEFS = [
+  ...SIM_DEFS,
+  { key: "basis", options: BASES },
+  { key: "inputMirror", options: INPUT_MIRRORS },
+  { key: "beamForm", options: BEAM_FORMS },
+  { key: "caustic", text: true },
+  ...MAP_DEFS,
+  { key: "mapAxes", options: MAP_AXES },
+  ...DESIGN_DEFS,
+  ...NUMERICS_DEFS,
+  { key: "cameraView", options: CAMERA_VIEWS },
+  { key: "cursorFsr", min: -5, max: 5 },
+  { key: "peakFsr", min: -5, max: 5 },
+];
 
-const cavityState = readCavityStateFromSearch(window.location.search);
+const urlState = readUrlState(upgradeBeamRoc(new URLSearchParams(window.location.search)), URL_SETTING_DEFS);
+const cavityState = urlState.cavity;
 const controlState = new Map();
-const basisCache = new Map();
-
-let cavityMode = null;
-let cavityError = null;
-
-try {
-  cavityMode = computeCavityMode(
-    cavityState.r1Mm * 1e-3,
-    cavityState.r2Mm * 1e-3,
-    cavityState.lMm * 1e-3,
-    cavityState.wavelengthNm * 1e-9,
-    cavityState.nCenter,
-  );
-} catch (error) {
-  cavityError = error.message;
+
+const cavityPlanes = computeCavityPlanes(cavityState);
+const cavityError = cavityPlanes.error;
+
+function inputMirrorMode(inputMirror) {
+  // The basis at the input mirror is fixed by the cavity mode's spot size and
+  // wavefront ROC just after that mirror. In a linear cavity the wavefront
+  // matches the mirror surface; in a ring it follows from the arm's q.
+  const pick = (plane) => ({
+    wMirror: plane.mode ? (inputMirror === 2 ? plane.mode.wM2 : plane.mode.wM1) : NaN,
+    rocMm: plane.mode ? (inputMirror === 2 ? plane.mode.rocM2 : plane.mode.rocM1) * 1e3 : NaN,
+    gouyRoundTrip: plane.mode ? plane.mode.gouyRoundTrip : NaN,
+  });
+  return { x: pick(cavityPlanes.x), y: pick(cavityPlanes.y) };
 }
 
-function matchedBeamDefaults() {
-  if (!cavityMode) {
-    return {
-      beamWaistMm: 0.3,
-      beamRocMm: cavityState.r1Mm,
-    };
-  }
+function beamCurvature(rocMm) {
+  // Wavefront curvature in 1/m of a ROC in mm, 0 for a flat wavefront, within
+  // the Input curvature range.
+  const { min, max } = SIM_DEFS.find((def) => def.key === "beamCurvature");
+  return Number.isFinite(rocMm) && rocMm !== 0 ? clamp(1e3 / rocMm, min, max) : 0;
+}
 
+function matchedBeamDefaults(inputMirror = state.inputMirror) {
+  // The input beam is round, so an astigmatic cavity is matched by the
+  // geometric-mean spot size and the mean wavefront curvature. A ring's
+  // wavefront at the input mirror may be flat or diverging.
+  const { x, y } = inputMirrorMode(inputMirror);
   return {
-    beamWaistMm: cavityMode.wM1 * 1e3,
-    beamRocMm: cavityState.r1Mm,
+    beamWaistMm: cavityError ? 0.3 : Math.sqrt(x.wMirror * y.wMirror) * 1e3,
+    beamCurvature: cavityError
+      ? beamCurvature(cavityState.r1Mm)
+      : (beamCurvature(x.rocMm) + beamCurvature(y.rocMm)) / 2,
   };
 }
 
 const state = {
   xOffUm: 0,
   yOffUm: 0,
+  xTiltUrad: 0,
+  yTiltUrad: 0,
   scanRangeFsr: 2,
   nMax: 10,
-  ...matchedBeamDefaults(),
+  basis: 0,
+  inputP: 0,
+  inputL: 0,
+  inputMirror: 1,
+  beamForm: 0,
+  ...matchedBeamDefaults(1),
+  beamW0Mm: 0.3,
+  beamZ0Mm: 500,
+  qReMm: -100,
+  qImMm: 50,
+  caustic: DEFAULT_CAUSTIC,
+};
+
+const cameraState = {
+  cameraView: 0,
+  cursorFsr: 0,
+};
+
+const mapState = {
+  mapAxes: 0,
+  mapOffsetUm: 200,
+  mapTiltUrad: 1000,
+};
+
+const traceState = {
+  peakA: 0,
+  peakB: 1,
+  fsrBetween: 1,
+};
+
+// Parameters ticked for the trace fit. Tilts start unticked: the trace only
+// fixes the power per mode order, which an offset or a tilt can produce alike.
+const fitSelection = Object.fromEntries(FIT_PARAMS.map((param) => [param.key, !/Tilt/.test(param.key)]));
+
+const imageState = {
+  pixelUm: 5.5,
+  centerXPx: 0,
+  centerYPx: 0,
+};
+
+const imageFitSelection = Object.fromEntries(IMAGE_FIT_PARAMS.map((param) => [param.key, true]));
+
+const designState = {
+  laserWaistMm: 0.5,
+  laserDistanceMm: 1000,
+  lensClearanceMm: 20,
+};
+
+const numericsState = {
+  nPix: 256,
+  nScan: 481,
+  fovFactor: 4,
 };
 
 const controlsRoot = document.getElementById("simControls");
+const designControlsRoot = document.getElementById("designControls");
+const designCatalog = document.getElementById("designCatalog");
+const designSearchButton = document.getElementById("designSearchButton");
+const designResults = document.getElementById("designResults");
+const designStatus = document.getElementById("designStatus");
+const mirrorControlsRoot = document.getElementById("mirrorControls");
 const matchBeamButton = document.getElementById("matchBeamButton");
 const backToViewerLink = document.getElementById("backToViewerLink");
 const simSummary = document.getElementById("simSummary");
@@ -84,334 +352,562 @@ const modeSimStatus = document.getElementById("modeSimStatus");
 const cameraStatus = document.getElementById("cameraStatus");
 const scanStatus = document.getElementById("scanStatus");
 const cameraCanvas = document.getElementById("cameraCanvas");
+const mapCanvas = document.getElementById("mapCanvas");
+const contentCanvas = document.getElementById("contentCanvas");
+const contentStatus = document.getElementById("contentStatus");
+const mapControlsRoot = document.getElementById("mapControls");
+const mapStatus = document.getElementById("mapStatus");
 const scanCanvas = document.getElementById("scanCanvas");
+const peakTableBody = document.getElementById("peakTableBody");
+const cameraControlsRoot = document.getElementById("cameraControls");
+const cameraPlayButton = document.getElementById("cameraPlayButton");
+const traceControlsRoot = document.getElementById("traceControls");
+const traceFitOptions = document.getElementById("traceFitOptions");
+const traceFile = document.getElementById("traceFile");
+const traceFitButton = document.getElementById("traceFitButton");
+const traceClearButton = document.getElementById("traceClearButton");
+const traceStatus = document.getElementById("traceStatus");
+const imageCanvas = document.getElementById("imageCanvas");
+const imageControlsRoot = document.getElementById("imageControls");
+const imageFitOptions = document.getElementById("imageFitOptions");
+const imageFile = document.getElementById("imageFile");
+const imageFitButton = document.getElementById("imageFitButton");
+const imageClearButton = document.getElementById("imageClearButton");
+const imageStatus = document.getElementById("imageStatus");
+const libraryRoot = document.getElementById("libraryControls");
+const libraryStatus = document.getElementById("libraryStatus");
+const simProgress = document.getElementById("simProgress");
+const numericsControlsRoot = document.getElementById("numericsControls");
+const numericsDiagnostics = document.getElementById("numericsDiagnostics");
+const numericsStatus = document.getElementById("numericsStatus");
 
 let renderPending = false;
+let beamFormControls = null;
+// Last simulation and scan-plot mapping, kept for peak hover and selection.
+let lastResult = null;
+let lastCouplingMap = null;
+let lastErrorText = null;
+let scanLayout = null;
+// Zoomed scan window in FSR, null for the whole scan, and the curve
+// resampled over it.
+let scanZoom = null;
+let zoomCurve = null;
+let hoverPeak = null;
+let selectedPeakFsr = null;
+let cameraViewSelect = null;
+let animation = null;
+// Binned measured PD trace, and the least-squares fit running against a
+// measurement, if any.
+let measuredTrace = null;
+let activeFit = null;
+// Message for a trace or image status line, such as the outcome of a fit,
+// appended once the next run has redrawn that line.
+let statusNote = null;
+// Imported camera image with its summed-area table.
+let measuredImage = null;
+// Simulation worker (null when the browser refuses one), the run it is busy
+// with and the newest request waiting behind it.
+let simulationWorker = null;
+let runningSimulation = null;
+let pendingSimulation = null;
+let nextSimulationId = 1;
+let lastSimulationMs = 0;
+// Worker for the image fit's simulations and the one it is running.
+let fitWorker = null;
+let fitRequest = null;
+
+function resolveInputBeam() {
+  // Every form ends up as the spot size and wavefront ROC (positive when
+  // converging) of the input beam at the mirror. The free-space forms are
+  // given outside the cavity, so the ROC is scaled by n_center on the way in.
+  if (state.beamForm === 0) {
+    return { waist: state.beamWaistMm * 1e-3, roc: state.beamCurvature === 0 ? Infinity : 1 / state.beamCurvature };
+  }
 
-function maxValue(values) {
-  let max = Number.NEGATIVE_INFINITY;
-  for (let i = 0; i < values.length; i += 1) {
-    if (values[i] > max) {
-      max = values[i];
+  const wavelength = cavityState.wavelengthNm * 1e-9;
+  let inverseQ;
+  let fit = null;
+  if (state.beamForm === 1) {
+    inverseQ = propagate(waistInverseQ(state.beamW0Mm * 1e-3, wavelength), state.beamZ0Mm * 1e-3);
+  } else if (state.beamForm === 2) {
+    const qRe = state.qReMm * 1e-3;
+    const qIm = state.qImMm * 1e-3;
+    const magnitude = (qRe * qRe) + (qIm * qIm);
+    inverseQ = { re: qRe / magnitude, im: -qIm / magnitude };
+  } else {
+    const points = parseCausticPoints(state.caustic).map((point) => ({
+      position: point.position * 1e-3,
+      radius: point.radius * 1e-3,
+    }));
+    fit = fitCaustic(points, wavelength);
+    if (!fit) {
+      return { error: "The caustic needs at least three points that fit a beam waist." };
     }
+    // The TEM00 overlap uses the embedded Gaussian: same waist position and
+    // Rayleigh range, waist smaller by sqrt(M^2).
+    inverseQ = propagate(waistInverseQ(fit.waist / Math.sqrt(Math.max(fit.m2, 1)), wavelength), fit.position);
   }
-  return max;
+
+  return {
+    waist: spotSize(inverseQ, wavelength),
+    roc: inverseQ.re === 0 ? Infinity : -cavityState.nCenter / inverseQ.re,
+    fit,
+  };
 }
 
-function linspace(start, end, count) {
-  const values = new Float64Array(count);
-  if (count === 1) {
-    values[0] = start;
-    return values;
-  }
+function simulationFrame(inputBeam) {
+  const mirror = inputMirrorMode(state.inputMirror);
+  return {
+    wavelength: (cavityState.wavelengthNm * 1e-9) / cavityState.nCenter,
+    mirror,
+    // Both axes share one camera grid, sized for the larger of the two spots.
+    halfSize: numericsState.fovFactor * Math.max(mirror.x.wMirror, mirror.y.wMirror, inputBeam.waist),
+  };
+}
 
-  const step = (end - start) / (count - 1);
-  for (let i = 0; i < count; i += 1) {
-    values[i] = start + i * step;
+function simulationJob(inputBeam) {
+  // Everything simulateModeScan reads, as plain data that can be posted to
+  // the worker.
+  if (cavityError) {
+    throw new Error(cavityError);
   }
-  return values;
+  if (inputBeam.error) {
+    throw new Error(inputBeam.error);
+  }
+  return {
+    ...simulationFrame(inputBeam),
+    ...Object.fromEntries(SIMULATION_KEYS.map((key) => [key, state[key]])),
+    beam: { waist: inputBeam.waist, roc: inputBeam.roc },
+    nPix: Math.round(numericsState.nPix),
+    // Odd, so zero detuning is sampled exactly.
+    nScan: (2 * Math.round((numericsState.nScan - 1) / 2)) + 1,
+    astigmatic: cavityPlanes.astigmatic,
+    parityX: cavityPlanes.parityX,
+    coatings: cavityCoatings(cavityState),
+    fsrHz: SPEED_OF_LIGHT / cavityPlanes.layout.opticalRoundTrip,
+  };
 }
 
-function hermiteTable(xValues, maxOrder) {
-  const table = Array.from({ length: maxOrder + 1 }, () => new Float64Array(xValues.length));
-  if (table.length === 0) {
-    return table;
+function computeCouplingMap(inputBeam) {
+  // TEM00 power is |alpha_0|^2 |beta_0|^2, so only the order-0 basis is
+  // needed. Axes that are not swept stay at the current control values.
+  if (cavityError) {
+    throw new Error(cavityError);
+  }
+  if (inputBeam.error) {
+    throw new Error(inputBeam.error);
   }
 
-  for (let i = 0; i < xValues.length; i += 1) {
-    table[0][i] = 1;
+  const { wavelength, mirror, halfSize } = simulationFrame(inputBeam);
+  if (state.basis === 1 && (state.inputP !== 0 || state.inputL !== 0)) {
+    return computeLaguerreCouplingMap(inputBeam, wavelength, mirror, halfSize);
   }
-  if (maxOrder >= 1) {
-    for (let i = 0; i < xValues.length; i += 1) {
-      table[1][i] = 2 * xValues[i];
+  const basisX = getBasis(mirror.x.wMirror, mirror.x.rocMm * 1e-3, wavelength, halfSize, numericsState.nPix, 0);
+  const basisY = getBasis(mirror.y.wMirror, mirror.y.rocMm * 1e-3, wavelength, halfSize, numericsState.nPix, 0);
+  const tem00 = (basis, offsetUm, tiltUrad) => {
+    const coefficients = analyticAxisOverlap(basis, inputBeam.waist, inputBeam.roc, wavelength, offsetUm * 1e-6, tiltUrad * 1e-6);
+    return (coefficients.re[0] * coefficients.re[0]) + (coefficients.im[0] * coefficients.im[0]);
+  };
+
+  const { count, offsets, tilts, xAxis, yAxis } = couplingMapAxes();
+  const values = new Float64Array(count * count);
+
+  if (mapState.mapAxes === 0) {
+    const couplingX = Float64Array.from(offsets, (value) => tem00(basisX, value, state.xTiltUrad));
+    const couplingY = Float64Array.from(offsets, (value) => tem00(basisY, value, state.yTiltUrad));
+    for (let j = 0; j < count; j += 1) {
+      for (let i = 0; i < count; i += 1) {
+        values[(j * count) + i] = couplingX[i] * couplingY[j];
+      }
     }
-  }
-  for (let n = 2; n <= maxOrder; n += 1) {
-    const previous = table[n - 1];
-    const previousPrevious = table[n - 2];
-    const current = table[n];
-    for (let i = 0; i < xValues.length; i += 1) {
-      current[i] = (2 * xValues[i] * previous[i]) - (2 * (n - 1) * previousPrevious[i]);
+  } else {
+    const onX = mapState.mapAxes === 1;
+    const [basis, other] = onX ? [basisX, basisY] : [basisY, basisX];
+    const fixed = onX ? tem00(other, state.yOffUm, state.yTiltUrad) : tem00(other, state.xOffUm, state.xTiltUrad);
+    for (let j = 0; j < count; j += 1) {
+      for (let i = 0; i < count; i += 1) {
+        values[(j * count) + i] = tem00(basis, offsets[i], tilts[j]) * fixed;
+      }
     }
   }
 
-  return table;
+  const current = tem00(basisX, state.xOffUm, state.xTiltUrad) * tem00(basisY, state.yOffUm, state.yTiltUrad);
+  return { values, count, xAxis, yAxis, current };
 }
 
-function getBasis(wMirror, mirrorRoc, wavelength, beamWaist, nMax) {
-  const key = [
-    wMirror.toPrecision(9),
-    mirrorRoc.toPrecision(9),
-    wavelength.toPrecision(9),
-    beamWaist.toPrecision(9),
-    FIXED_SETTINGS.nPix,
-    FIXED_SETTINGS.fovFactor,
-    nMax,
-  ].join("|");
-
-  if (basisCache.has(key)) {
-    return basisCache.get(key);
+function couplingMapAxes() {
+  const count = FIXED_SETTINGS.mapPoints;
+  const offsets = linspace(-mapState.mapOffsetUm, mapState.mapOffsetUm, count);
+  const tilts = linspace(-mapState.mapTiltUrad, mapState.mapTiltUrad, count);
+  if (mapState.mapAxes === 0) {
+    return {
+      count,
+      offsets,
+      tilts,
+      xAxis: { label: "x offset (um)", values: offsets, current: state.xOffUm },
+      yAxis: { label: "y offset (um)", values: offsets, current: state.yOffUm },
+    };
   }
+  const onX = mapState.mapAxes === 1;
+  const axis = onX ? "x" : "y";
+  return {
+    count,
+    offsets,
+    tilts,
+    xAxis: { label: `${axis} offset (um)`, values: offsets, current: onX ? state.xOffUm : state.yOffUm },
+    yAxis: { label: `${axis} tilt (urad)`, values: tilts, current: onX ? state.xTiltUrad : state.yTiltUrad },
+  };
+}
 
-  const halfSize = FIXED_SETTINGS.fovFactor * Math.max(wMirror, beamWaist);
-  const x = linspace(-halfSize, halfSize, FIXED_SETTINGS.nPix);
-  const dx = x[1] - x[0];
+function shiftedGaussianRow(x, waist, roc, wavelength, offsetUm, tiltUrad) {
+  // Moving the input by (offset, tilt) is the same as moving TEM00 by
+  // (-offset, -tilt) against the unmoved input, up to a global phase. This
+  // row is that moved TEM00 along one axis.
   const k = (2 * Math.PI) / wavelength;
-  const xi = new Float64Array(x.length);
-  const hermites = [];
-  const phaseRe = new Float64Array(x.length);
-  const phaseIm = new Float64Array(x.length);
-  const envelope = new Float64Array(x.length);
-
+  const amplitude = GAUSS_NORM / Math.sqrt(waist);
+  const offset = offsetUm * 1e-6;
+  const tilt = tiltUrad * 1e-6;
+  const re = new Float64Array(x.length);
+  const im = new Float64Array(x.length);
   for (let i = 0; i < x.length; i += 1) {
-    const value = x[i];
-    xi[i] = Math.SQRT2 * value / wMirror;
-    envelope[i] = Math.exp(-(value * value) / (wMirror * wMirror));
-    if (Number.isFinite(mirrorRoc)) {
-      const angle = (-k * value * value) / (2 * mirrorRoc);
-      phaseRe[i] = Math.cos(angle);
-      phaseIm[i] = Math.sin(angle);
-    } else {
-      phaseRe[i] = 1;
-      phaseIm[i] = 0;
+    const shifted = x[i] + offset;
+    const envelope = amplitude * Math.exp(-(shifted * shifted) / (waist * waist));
+    let angle = -k * tilt * x[i];
+    if (Number.isFinite(roc)) {
+      angle += (-k * shifted * shifted) / (2 * roc);
     }
+    re[i] = envelope * Math.cos(angle);
+    im[i] = envelope * Math.sin(angle);
   }
+  return { re, im };
+}
 
-  hermites.push(...hermiteTable(xi, nMax));
+function computeLaguerreCouplingMap(inputBeam, wavelength, mirror, halfSize) {
+  // An LG_pl input is not separable, so the field is contracted with TEM00
+  // one axis at a time on the camera grid.
+  const x = linspace(-halfSize, halfSize, Math.round(numericsState.nPix));
+  const nPix = x.length;
+  const dx = x[1] - x[0];
+  const field = laguerreGaussField(x, { waist: inputBeam.waist, roc: inputBeam.roc, p: state.inputP, l: state.inputL }, wavelength);
+  const row = (offsetUm, tiltUrad) => shiftedGaussianRow(x, mirror.x.wMirror, mirror.x.rocMm * 1e-3, wavelength, offsetUm, tiltUrad);
+
+  // along = 0 sums over x for every y, along = 1 sums over y for every x.
+  const contract = (h, along) => {
+    const re = new Float64Array(nPix);
+    const im = new Float64Array(nPix);
+    for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+      for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+        const pixel = (yIndex * nPix) + xIndex;
+        const [target, weight] = along === 0 ? [yIndex, xIndex] : [xIndex, yIndex];
+        re[target] += ((h.re[weight] * field.re[pixel]) + (h.im[weight] * field.im[pixel])) * dx;
+        im[target] += ((h.re[weight] * field.im[pixel]) - (h.im[weight] * field.re[pixel])) * dx;
+      }
+    }
+    return { re, im };
+  };
+  const power = (h, vector) => {
+    let sumRe = 0;
+    let sumIm = 0;
+    for (let i = 0; i < nPix; i += 1) {
+      sumRe += (h.re[i] * vector.re[i]) + (h.im[i] * vector.im[i]);
+      sumIm += (h.re[i] * vector.im[i]) - (h.im[i] * vector.re[i]);
+    }
+    return ((sumRe * sumRe) + (sumIm * sumIm)) * dx * dx;
+  };
 
-  const uRe = [];
-  const uIm = [];
-  for (let n = 0; n <= nMax; n += 1) {
-    const prefactor = 1 / (Math.sqrt((2 ** n) * FACTORIALS[n]) * PI_QUARTER * Math.sqrt(wMirror));
-    const rowRe = new Float64Array(x.length);
-    const rowIm = new Float64Array(x.length);
-    for (let i = 0; i < x.length; i += 1) {
-      const scaled = prefactor * hermites[n][i] * envelope[i];
-      rowRe[i] = scaled * phaseRe[i];
-      rowIm[i] = scaled * phaseIm[i];
+  const { count, offsets, tilts, xAxis, yAxis } = couplingMapAxes();
+  const values = new Float64Array(count * count);
+  if (mapState.mapAxes === 0) {
+    const rowsY = Array.from(offsets, (value) => row(value, state.yTiltUrad));
+    for (let i = 0; i < count; i += 1) {
+      const column = contract(row(offsets[i], state.xTiltUrad), 0);
+      for (let j = 0; j < count; j += 1) {
+        values[(j * count) + i] = power(rowsY[j], column);
+      }
+    }
+  } else {
+    const onX = mapState.mapAxes === 1;
+    const reduced = onX
+      ? contract(row(state.yOffUm, state.yTiltUrad), 1)
+      : contract(row(state.xOffUm, state.xTiltUrad), 0);
+    for (let j = 0; j < count; j += 1) {
+      for (let i = 0; i < count; i += 1) {
+        values[(j * count) + i] = power(row(offsets[i], tilts[j]), reduced);
+      }
     }
-    uRe.push(rowRe);
-    uIm.push(rowIm);
   }
 
-  const basis = { x, dx, uRe, uIm };
-  basisCache.set(key, basis);
-  return basis;
+  const current = power(row(state.yOffUm, state.yTiltUrad), contract(row(state.xOffUm, state.xTiltUrad), 0));
+  return { values, count, xAxis, yAxis, current };
 }
 
-function computeAxisOverlap(basis, beamWaist, beamRoc, wavelength, offsetMeters) {
-  const coefficientsRe = new Float64Array(basis.uRe.length);
-  const coefficientsIm = new Float64Array(basis.uRe.length);
-  const amplitude = 1 / (PI_QUARTER * Math.sqrt(beamWaist));
-  const k = (2 * Math.PI) / wavelength;
+function instantaneousIntensity(result, groupIndices, detuningFsr) {
+  // Coherent intensity from the given groups at one cavity length, with the
+  // transfer evaluated exactly rather than at the nearest scan sample.
+  const { rtAmp, ttAmp } = transferAmplitudes(result.coatings);
+  const weights = new Map(groupIndices.map((index) => [
+    index,
+    cavityTransfer((2 * Math.PI * detuningFsr) + result.groups[index].gouyPhase, rtAmp, ttAmp),
+  ]));
+  return modeIntensity(result.modes, [weights]);
+}
 
-  for (let i = 0; i < basis.x.length; i += 1) {
-    const shifted = basis.x[i] - offsetMeters;
-    const envelope = amplitude * Math.exp(-(shifted * shifted) / (beamWaist * beamWaist));
-    let fieldRe = envelope;
-    let fieldIm = 0;
-
-    if (Number.isFinite(beamRoc)) {
-      const angle = (-k * shifted * shifted) / (2 * beamRoc);
-      fieldRe = envelope * Math.cos(angle);
-      fieldIm = envelope * Math.sin(angle);
-    }
-
-    for (let n = 0; n < basis.uRe.length; n += 1) {
-      const modeRe = basis.uRe[n][i];
-      const modeIm = basis.uIm[n][i];
-      coefficientsRe[n] += (modeRe * fieldRe + modeIm * fieldIm) * basis.dx;
-      coefficientsIm[n] += (modeRe * fieldIm - modeIm * fieldRe) * basis.dx;
-    }
-  }
-
-  return { re: coefficientsRe, im: coefficientsIm };
-}
-
-function buildOrderImages(basis, alpha, beta, nMax) {
-  const orderCount = (2 * nMax) + 1;
-  const imageSize = basis.x.length * basis.x.length;
-  const orderImages = Array.from({ length: orderCount }, () => ({
-    re: new Float64Array(imageSize),
-    im: new Float64Array(imageSize),
-  }));
-  const powerByOrder = new Float64Array(orderCount);
-
-  for (let order = 0; order < orderCount; order += 1) {
-    const image = orderImages[order];
-    const nStart = Math.max(0, order - nMax);
-    const nEnd = Math.min(nMax, order);
-
-    for (let n = nStart; n <= nEnd; n += 1) {
-      const m = order - n;
-      const alphaRe = alpha.re[n];
-      const alphaIm = alpha.im[n];
-      const betaRe = beta.re[m];
-      const betaIm = beta.im[m];
-      const coeffRe = (alphaRe * betaRe) - (alphaIm * betaIm);
-      const coeffIm = (alphaRe * betaIm) + (alphaIm * betaRe);
-
-      powerByOrder[order] += ((alphaRe * alphaRe) + (alphaIm * alphaIm))
-        * ((betaRe * betaRe) + (betaIm * betaIm));
-
-      for (let yIndex = 0; yIndex < basis.x.length; yIndex += 1) {
-        const modeYRe = basis.uRe[m][yIndex];
-        const modeYIm = basis.uIm[m][yIndex];
-        const rowOffset = yIndex * basis.x.length;
-
-        for (let xIndex = 0; xIndex < basis.x.length; xIndex += 1) {
-          const modeXRe = basis.uRe[n][xIndex];
-          const modeXIm = basis.uIm[n][xIndex];
-          const outerRe = (modeYRe * modeXRe) - (modeYIm * modeXIm);
-          const outerIm = (modeYRe * modeXIm) + (modeYIm * modeXRe);
-          const pixelIndex = rowOffset + xIndex;
-
-          image.re[pixelIndex] += (coeffRe * outerRe) - (coeffIm * outerIm);
-          image.im[pixelIndex] += (coeffRe * outerIm) + (coeffIm * outerRe);
-        }
+function groupImages(result) {
+  // Intensity of each resonance group on its own, built on the first live
+  // frame and kept with the result, so an exposure frame is a weighted sum.
+  // When the groups do not all fit the budget (astigmatic cavities split
+  // every TEM_nm into its own group), none are kept and each frame goes
+  // through modeIntensity, which is then the cheaper way anyway.
+  if (!result.groupImages) {
+    const { modes } = result;
+    const inUse = Array.from(new Set(Array.from(modes.active, (mode) => modes.group[mode])));
+    const keep = inUse.length * (modes.profileX[0].length ** 2) <= GROUP_IMAGE_BUDGET;
+    const cached = new Map();
+    const peaks = new Map();
+    inUse.forEach((index) => {
+      const image = modeIntensity(modes, [new Map([[index, { re: 1, im: 0 }]])]);
+      peaks.set(index, maxValue(image));
+      if (keep) {
+        cached.set(index, Float32Array.from(image));
       }
-    }
+    });
+    result.groupImages = { cached, rest: keep ? [] : inUse, peaks };
   }
-
-  return { orderImages, powerByOrder };
+  return result.groupImages;
 }
 
-function computeTransfer(orderCount, wavelength, gProduct, scanRangeFsr) {
-  const fsrLength = wavelength / 2;
-  const dL = linspace(
-    -scanRangeFsr * fsrLength,
-    scanRangeFsr * fsrLength,
-    FIXED_SETTINGS.nScan,
+function exposureIntensity(result, fromFsr, toFsr) {
+  // Camera frame integrated while the length sweeps from fromFsr to toFsr.
+  // Groups resonate at different lengths, so within one frame they add
+  // incoherently and each is weighted by its Airy average over the sweep.
+  const { rtAmp, ttAmp } = transferAmplitudes(result.coatings);
+  const weight = (index) => meanAiry(
+    (2 * Math.PI * fromFsr) + result.groups[index].gouyPhase,
+    (2 * Math.PI * toFsr) + result.groups[index].gouyPhase,
+    rtAmp,
+    ttAmp,
   );
-  const transfer = Array.from({ length: orderCount }, () => ({
-    re: new Float64Array(FIXED_SETTINGS.nScan),
-    im: new Float64Array(FIXED_SETTINGS.nScan),
-  }));
-  const corrRe = Array.from({ length: orderCount }, () => new Float64Array(orderCount));
-  const corrIm = Array.from({ length: orderCount }, () => new Float64Array(orderCount));
-  const k = (2 * Math.PI) / wavelength;
-  const zeta = Math.acos(Math.sqrt(clamp(gProduct, 0, 1)));
-  const rAmp = Math.sqrt(FIXED_SETTINGS.mirrorReflectivity);
-  const tAmp = Math.sqrt(1 - FIXED_SETTINGS.mirrorReflectivity);
-  const rtAmp = rAmp * rAmp;
-  const ttAmp = tAmp * tAmp;
-
-  for (let order = 0; order < orderCount; order += 1) {
-    const deltaL = -(order * zeta / k);
-    for (let i = 0; i < dL.length; i += 1) {
-      const phi = 2 * k * (dL[i] - deltaL);
-      const expPhiRe = Math.cos(phi);
-      const expPhiIm = Math.sin(phi);
-      const denomRe = 1 - (rtAmp * expPhiRe);
-      const denomIm = -(rtAmp * expPhiIm);
-      const denomMagSq = (denomRe * denomRe) + (denomIm * denomIm);
-      const halfPhiRe = Math.cos(phi / 2);
-      const halfPhiIm = Math.sin(phi / 2);
-      const numRe = ttAmp * halfPhiRe;
-      const numIm = ttAmp * halfPhiIm;
-
-      transfer[order].re[i] = ((numRe * denomRe) + (numIm * denomIm)) / denomMagSq;
-      transfer[order].im[i] = ((numIm * denomRe) - (numRe * denomIm)) / denomMagSq;
-    }
-  }
-
-  for (let p = 0; p < orderCount; p += 1) {
-    for (let q = 0; q < orderCount; q += 1) {
-      let sumRe = 0;
-      let sumIm = 0;
-      for (let i = 0; i < dL.length; i += 1) {
-        const pRe = transfer[p].re[i];
-        const pIm = transfer[p].im[i];
-        const qRe = transfer[q].re[i];
-        const qIm = transfer[q].im[i];
-        sumRe += (pRe * qRe) + (pIm * qIm);
-        sumIm += (pIm * qRe) - (pRe * qIm);
-      }
-      corrRe[p][q] = sumRe / dL.length;
-      corrIm[p][q] = sumIm / dL.length;
+  const { cached, rest } = groupImages(result);
+  const intensity = modeIntensity(result.modes, rest.map((index) => new Map([[index, { re: Math.sqrt(weight(index)), im: 0 }]])));
+  cached.forEach((image, index) => {
+    const groupWeight = weight(index);
+    for (let i = 0; i < intensity.length; i += 1) {
+      intensity[i] += groupWeight * image[i];
     }
+  });
+  return intensity;
+}
+
+function brightestResonance(result) {
+  // Peak pixel over all resonances; live-camera frames are scaled to it so
+  // off-resonance frames stay dark. No pixel at a peak beats the squared sum
+  // of |transfer| * sqrt(group peak) over the groups, so the peaks are imaged
+  // from the highest bound down until none can beat the brightest so far.
+  if (result.brightest === undefined) {
+    const { rtAmp, ttAmp } = transferAmplitudes(result.coatings);
+    const { peaks } = groupImages(result);
+    const allGroups = result.groups.map((_, index) => index);
+    // The transfer repeats every FSR, and so does the image at each peak.
+    const detunings = new Map();
+    result.peaks.forEach(({ detuningFsr }) => {
+      const key = Math.round((((detuningFsr % 1) + 1) % 1) * 1e6) % 1e6;
+      if (!detunings.has(key)) {
+        detunings.set(key, detuningFsr);
+      }
+    });
+    const bounds = Array.from(detunings.values(), (detuningFsr) => {
+      let amplitude = 0;
+      peaks.forEach((groupPeak, index) => {
+        const transfer = cavityTransfer((2 * Math.PI * detuningFsr) + result.groups[index].gouyPhase, rtAmp, ttAmp);
+        amplitude += Math.hypot(transfer.re, transfer.im) * Math.sqrt(groupPeak);
+      });
+      return { detuningFsr, bound: amplitude * amplitude };
+    }).sort((a, b) => b.bound - a.bound);
+    result.brightest = 1e-18;
+    bounds.every(({ detuningFsr, bound }) => {
+      if (bound <= result.brightest) {
+        return false;
+      }
+      result.brightest = Math.max(result.brightest, maxValue(instantaneousIntensity(result, allGroups, detuningFsr)));
+      return true;
+    });
   }
+  return result.brightest;
+}
 
-  return { dL, transfer, corrRe, corrIm };
+function scaledImage(intensity, reference) {
+  return Float64Array.from(intensity, (value) => Math.min(1, value / reference));
 }
 
-function normalize(values) {
-  const peak = Math.max(maxValue(values), 1e-18);
-  const out = new Float64Array(values.length);
-  for (let i = 0; i < values.length; i += 1) {
-    out[i] = values[i] / peak;
+function traceModel(groups, groupPower, coatings, positions) {
+  // Unnormalized transmission at the measured positions (dL in FSR), averaged
+  // over each sample's bin like the binned scope trace. Neighbouring bins
+  // share an edge, so the Airy antiderivative is evaluated once per edge.
+  const { rtAmp, ttAmp } = transferAmplitudes(coatings);
+  const count = positions.length;
+  const edges = new Float64Array(count + 1);
+  edges[0] = positions[0] - ((positions[1] - positions[0]) / 2);
+  edges[count] = positions[count - 1] + ((positions[count - 1] - positions[count - 2]) / 2);
+  for (let i = 1; i < count; i += 1) {
+    edges[i] = (positions[i - 1] + positions[i]) / 2;
   }
-  return { values: out, peak };
+
+  const model = new Float64Array(count);
+  const total = groupPower.reduce((sum, value) => sum + value, 0);
+  groups.forEach((group, index) => {
+    if (!(groupPower[index] > 1e-9 * total)) {
+      return;
+    }
+    const weight = groupPower[index] * ttAmp * ttAmp;
+    let previous = airyAntiderivative((2 * Math.PI * edges[0]) + group.gouyPhase, rtAmp);
+    for (let i = 0; i < count; i += 1) {
+      const next = airyAntiderivative((2 * Math.PI * edges[i + 1]) + group.gouyPhase, rtAmp);
+      model[i] += (weight * (next - previous)) / (2 * Math.PI * (edges[i + 1] - edges[i]));
+      previous = next;
+    }
+  });
+  return model;
 }
 
-function simulateModeScan() {
-  if (!cavityMode) {
-    throw new Error(cavityError || "Cavity mode is unavailable.");
+function tracePositions() {
+  if (!measuredTrace || traceState.peakA === traceState.peakB) {
+    return null;
   }
+  return linearizeTrace(measuredTrace.x, traceState.peakA, traceState.peakB, traceState.fsrBetween);
+}
 
-  const wavelength = (cavityState.wavelengthNm * 1e-9) / cavityState.nCenter;
-  const r1 = cavityState.r1Mm * 1e-3;
-  const beamWaist = state.beamWaistMm * 1e-3;
-  const beamRoc = state.beamRocMm * 1e-3;
-  const basis = getBasis(cavityMode.wM1, r1, wavelength, beamWaist, state.nMax);
-  const alpha = computeAxisOverlap(basis, beamWaist, beamRoc, wavelength, state.xOffUm * 1e-6);
-  const beta = computeAxisOverlap(basis, beamWaist, beamRoc, wavelength, state.yOffUm * 1e-6);
-  const { orderImages, powerByOrder } = buildOrderImages(basis, alpha, beta, state.nMax);
-  const { dL, transfer, corrRe, corrIm } = computeTransfer(
-    orderImages.length,
-    wavelength,
-    cavityMode.g1 * cavityMode.g2,
-    state.scanRangeFsr,
-  );
+function traceResiduals(positions) {
+  // Residuals in the trace's own units after the best PD gain and dark offset.
+  const { groups, groupPower } = decomposeInput(simulationJob(resolveInputBeam()));
+  const model = traceModel(groups, groupPower, cavityCoatings(cavityState), positions);
+  const { gain, offset } = linearScale(model, measuredTrace.y);
+  return Float64Array.from(model, (value, i) => measuredTrace.y[i] - ((gain * value) + offset));
+}
 
-  const pdSignal = new Float64Array(dL.length);
-  for (let order = 0; order < orderImages.length; order += 1) {
-    for (let i = 0; i < dL.length; i += 1) {
-      const hRe = transfer[order].re[i];
-      const hIm = transfer[order].im[i];
-      pdSignal[i] += powerByOrder[order] * ((hRe * hRe) + (hIm * hIm));
-    }
+function compareTrace(result) {
+  // The measured trace in the units of the plotted scan, with its residual
+  // against the simulation.
+  const positions = tracePositions();
+  if (!positions) {
+    return null;
   }
+  const model = traceModel(result.groups, result.groupPower, result.coatings, positions);
+  const { gain, offset } = linearScale(model, measuredTrace.y);
+  if (!(gain > 0)) {
+    return null;
+  }
+  const scale = gain * result.pdPeak;
+  const measured = Float64Array.from(measuredTrace.y, (value) => (value - offset) / scale);
+  const residual = Float64Array.from(measured, (value, i) => value - (model[i] / result.pdPeak));
+  let sum = 0;
+  for (let i = 0; i < residual.length; i += 1) {
+    sum += residual[i] * residual[i];
+  }
+  return { positions, measured, residual, rms: Math.sqrt(sum / residual.length) };
+}
 
-  const image = new Float64Array(basis.x.length * basis.x.length);
-  for (let p = 0; p < orderImages.length; p += 1) {
-    const imageP = orderImages[p];
-    for (let q = 0; q < orderImages.length; q += 1) {
-      const weightRe = corrRe[p][q];
-      const weightIm = corrIm[p][q];
-      const imageQ = orderImages[q];
-
-      for (let pixel = 0; pixel < image.length; pixel += 1) {
-        const prodRe = (imageP.re[pixel] * imageQ.re[pixel]) + (imageP.im[pixel] * imageQ.im[pixel]);
-        const prodIm = (imageP.im[pixel] * imageQ.re[pixel]) - (imageP.re[pixel] * imageQ.im[pixel]);
-        image[pixel] += (weightRe * prodRe) - (weightIm * prodIm);
-      }
+function sampleMeasuredImage(grid, center = { x: imageState.centerXPx, y: imageState.centerYPx }) {
+  // Means of the measured image over the footprint of each pixel of a
+  // simulation grid ({ nPix, extentMm }), NaN where that footprint leaves the
+  // camera frame. Rows run upwards in the simulation and downwards in the
+  // camera image.
+  const { nPix } = grid;
+  const [minMm, maxMm] = grid.extentMm;
+  const pitchUm = ((maxMm - minMm) / (nPix - 1)) * 1e3;
+  const half = Math.max(0.5, pitchUm / (2 * imageState.pixelUm));
+  const values = new Float64Array(nPix * nPix);
+  for (let y = 0; y < nPix; y += 1) {
+    const v = center.y - (((minMm * 1e3) + (y * pitchUm)) / imageState.pixelUm);
+    for (let x = 0; x < nPix; x += 1) {
+      const u = center.x + (((minMm * 1e3) + (x * pitchUm)) / imageState.pixelUm);
+      values[(y * nPix) + x] = boxMean(measuredImage.integral, u, v, half);
     }
   }
+  return values;
+}
 
-  for (let pixel = 0; pixel < image.length; pixel += 1) {
-    image[pixel] = Math.max(0, image[pixel]);
+function imageFitScale(model, sampled) {
+  // Camera gain and dark level over the pixels inside the frame.
+  const inside = [];
+  for (let i = 0; i < sampled.length; i += 1) {
+    if (!Number.isNaN(sampled[i])) {
+      inside.push(i);
+    }
   }
+  const scale = linearScale(
+    Float64Array.from(inside, (i) => model[i]),
+    Float64Array.from(inside, (i) => sampled[i]),
+  );
+  return { ...scale, inside };
+}
 
-  const pdNorm = normalize(pdSignal);
-  const imageNorm = normalize(image);
-
-  let peakIndex = 0;
-  for (let i = 1; i < pdNorm.values.length; i += 1) {
-    if (pdNorm.values[i] > pdNorm.values[peakIndex]) {
-      peakIndex = i;
+function resampleCameraImage(result, grid) {
+  // Bilinear samples of the simulated image on another grid, zero outside.
+  const { nPix } = grid;
+  const [minMm, maxMm] = grid.extentMm;
+  const [fromMin, fromMax] = result.extentMm;
+  const scale = ((maxMm - minMm) / (nPix - 1)) / ((fromMax - fromMin) / (result.nPix - 1));
+  const start = (minMm - fromMin) / ((fromMax - fromMin) / (result.nPix - 1));
+  const source = result.cameraImage;
+  const values = new Float64Array(nPix * nPix);
+  for (let y = 0; y < nPix; y += 1) {
+    const gy = start + (y * scale);
+    const y0 = Math.floor(gy);
+    if (y0 < 0 || y0 >= result.nPix - 1) {
+      continue;
+    }
+    const fy = gy - y0;
+    for (let x = 0; x < nPix; x += 1) {
+      const gx = start + (x * scale);
+      const x0 = Math.floor(gx);
+      if (x0 < 0 || x0 >= result.nPix - 1) {
+        continue;
+      }
+      const fx = gx - x0;
+      const index = (y0 * result.nPix) + x0;
+      values[(y * nPix) + x] = ((1 - fx) * (1 - fy) * source[index])
+        + (fx * (1 - fy) * source[index + 1])
+        + ((1 - fx) * fy * source[index + result.nPix])
+        + (fx * fy * source[index + result.nPix + 1]);
     }
   }
+  return values;
+}
+
+function imageResiduals(result, center, grid) {
+  // Residuals in camera counts of the scan-averaged image on a grid held
+  // fixed during a fit, since the simulation grid follows the input waist.
+  // Outside the frame the simulated light the camera should have seen is the
+  // residual, so the fit cannot shed cost by moving the beam off the camera,
+  // and the whole vector is scaled to the share of the grid inside the frame.
+  const model = resampleCameraImage(result, grid);
+  const sampled = sampleMeasuredImage(grid, center);
+  const { gain, offset, inside } = imageFitScale(model, sampled);
+  const weight = Math.sqrt(sampled.length / Math.max(1, inside.length));
+  return Float64Array.from(sampled, (value, i) => weight * (
+    Number.isNaN(value) ? gain * model[i] : value - ((gain * model[i]) + offset)
+  ));
+}
 
+function compareImage(result) {
+  // The measured image on the simulation grid in the units of the normalized
+  // simulated image, and their difference.
+  const sampled = sampleMeasuredImage(result);
+  const { gain, offset, inside } = imageFitScale(result.cameraImage, sampled);
+  if (!(gain > 0)) {
+    return null;
+  }
+  const measured = Float64Array.from(sampled, (value) => (value - offset) / gain);
+  const difference = Float64Array.from(measured, (value, i) => value - result.cameraImage[i]);
+  let sum = 0;
+  inside.forEach((i) => {
+    sum += difference[i] * difference[i];
+  });
   return {
-    nPix: basis.x.length,
-    extentMm: [basis.x[0] * 1e3, basis.x[basis.x.length - 1] * 1e3],
-    dLFsr: Float64Array.from(dL, (value) => value / (wavelength / 2)),
-    pdSignal: pdNorm.values,
-    pdPeak: pdNorm.peak,
-    peakDetuningFsr: dL[peakIndex] / (wavelength / 2),
-    cameraImage: imageNorm.values,
-    cameraPeak: imageNorm.peak,
+    measured,
+    difference,
+    rms: Math.sqrt(sum / inside.length),
+    coverage: inside.length / sampled.length,
   };
 }
 
@@ -419,6 +915,10 @@ function setupCanvas(canvas) {
   const rect = canvas.getBoundingClientRect();
   const cssWidth = Math.max(320, Math.round(rect.width));
   const cssHeight = Math.max(280, Math.round(rect.height));
+  const exportContext = captureContext(canvas, cssWidth, cssHeight);
+  if (exportContext) {
+    return { ctx: exportContext, width: cssWidth, height: cssHeight };
+  }
   const dpr = window.devicePixelRatio || 1;
   const targetWidth = Math.round(cssWidth * dpr);
   const targetHeight = Math.round(cssHeight * dpr);
@@ -533,7 +1033,14 @@ function colorRamp(t) {
   return stops[stops.length - 1][1];
 }
 
-function rasterizeHeatmap(image, nPix) {
+function divergingRamp(t) {
+  // Blue below 0.5, white at 0.5, red above.
+  const clamped = clamp(t, 0, 1);
+  const [end, weight] = clamped < 0.5 ? [[28, 107, 177], (0.5 - clamped) * 2] : [[192, 80, 77], (clamped - 0.5) * 2];
+  return end.map((channel) => Math.round(255 + ((channel - 255) * weight)));
+}
+
+function rasterizeHeatmap(image, nPix, ramp = colorRamp) {
   const raster = document.createElement("canvas");
   raster.width = nPix;
   raster.height = nPix;
@@ -543,7 +1050,8 @@ function rasterizeHeatmap(image, nPix) {
   for (let y = 0; y < nPix; y += 1) {
     for (let x = 0; x < nPix; x += 1) {
       const sourceIndex = ((nPix - 1 - y) * nPix) + x;
-      const [r, g, b] = colorRamp(image[sourceIndex]);
+      const value = image[sourceIndex];
+      const [r, g, b] = Number.isNaN(value) ? OUTSIDE_COLOR : ramp(value);
       const offset = ((y * nPix) + x) * 4;
       imageData.data[offset] = r;
       imageData.data[offset + 1] = g;
@@ -556,7 +1064,7 @@ function rasterizeHeatmap(image, nPix) {
   return raster;
 }
 
-function drawCameraPlot(result, errorText) {
+function drawCameraPlot(result, errorText, view = null) {
   const { ctx, width, height } = setupCanvas(cameraCanvas);
   ctx.clearRect(0, 0, width, height);
   ctx.fillStyle = "#ffffff";
@@ -574,7 +1082,7 @@ function drawCameraPlot(result, errorText) {
 
   if (result) {
     const [minMm, maxMm] = result.extentMm;
-    const raster = rasterizeHeatmap(result.cameraImage, result.nPix);
+    const raster = rasterizeHeatmap(view ? view.image : result.cameraImage, result.nPix);
     ctx.imageSmoothingEnabled = false;
     ctx.drawImage(raster, plotLeft, plotTop, plotSize, plotSize);
 
@@ -597,7 +1105,7 @@ function drawCameraPlot(result, errorText) {
       yFormatter: (tick) => formatNumber(tick, 2),
     });
 
-    cameraStatus.textContent = "";
+    cameraStatus.textContent = view ? view.status : "";
   } else {
     ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
     ctx.strokeRect(plotLeft, plotTop, plotSize, plotSize);
@@ -616,7 +1124,7 @@ function drawCameraPlot(result, errorText) {
   ctx.fillStyle = "#1f2933";
   ctx.font = "600 16px Segoe UI";
   ctx.textAlign = "center";
-  ctx.fillText("Average Camera Intensity", width / 2, 22);
+  ctx.fillText(view ? view.title : "Average Camera Intensity", width / 2, 22);
   ctx.font = "12px Segoe UI";
   ctx.fillStyle = "#5e6d7d";
   ctx.fillText("x (mm)", plotLeft + (plotSize / 2), height - 14);
@@ -628,239 +1136,2113 @@ function drawCameraPlot(result, errorText) {
   ctx.restore();
 }
 
-function drawScanPlot(result, errorText) {
-  const { ctx, width, height } = setupCanvas(scanCanvas);
+function drawImageComparison(result, errorText) {
+  // Simulated, measured and difference images side by side on one grid.
+  const { ctx, width, height } = setupCanvas(imageCanvas);
   ctx.clearRect(0, 0, width, height);
   ctx.fillStyle = "#ffffff";
   ctx.fillRect(0, 0, width, height);
 
-  const margin = { left: 58, right: 20, top: 36, bottom: 46 };
-  const plotWidth = width - margin.left - margin.right;
-  const plotHeight = height - margin.top - margin.bottom;
-  const xMin = result ? result.dLFsr[0] : -1;
-  const xMax = result ? result.dLFsr[result.dLFsr.length - 1] : 1;
-  const yMin = 0;
-  const yMax = 1.05;
-
-  const mapX = (value) => margin.left + ((value - xMin) / (xMax - xMin)) * plotWidth;
-  const mapY = (value) => margin.top + (1 - ((value - yMin) / (yMax - yMin))) * plotHeight;
+  const comparison = result ? result.imageComparison : null;
+  const margin = { left: 56, right: 16, top: 36, bottom: 44 };
+  const gap = 44;
+  const plotSize = Math.max(40, Math.min(
+    (width - margin.left - margin.right - (2 * gap)) / 3,
+    height - margin.top - margin.bottom,
+  ));
+  const plotTop = margin.top + ((height - margin.top - margin.bottom - plotSize) / 2);
 
-  ctx.strokeStyle = "rgba(90, 112, 138, 0.18)";
-  ctx.lineWidth = 1;
-  for (let i = 0; i <= 6; i += 1) {
-    const gx = margin.left + ((plotWidth * i) / 6);
-    const gy = margin.top + ((plotHeight * i) / 6);
-    ctx.beginPath();
-    ctx.moveTo(gx, margin.top);
-    ctx.lineTo(gx, margin.top + plotHeight);
-    ctx.stroke();
-    ctx.beginPath();
-    ctx.moveTo(margin.left, gy);
-    ctx.lineTo(margin.left + plotWidth, gy);
-    ctx.stroke();
+  if (!result || !comparison) {
+    ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+    ctx.strokeRect(margin.left, plotTop, width - margin.left - margin.right, plotSize);
+    const message = !result ? errorText : measuredImage ? "The camera frame does not overlap the simulated grid" : "No camera image loaded";
+    drawRoundedLabel(ctx, width / 2, plotTop + (plotSize / 2), message, "rgba(255, 255, 255, 0.95)", "#d6dee9", "#5e6d7d");
+    return;
   }
 
-  ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
-  ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
-
-  if (result) {
-    ctx.beginPath();
-    ctx.moveTo(mapX(result.dLFsr[0]), mapY(result.pdSignal[0]));
-    for (let i = 1; i < result.dLFsr.length; i += 1) {
-      ctx.lineTo(mapX(result.dLFsr[i]), mapY(result.pdSignal[i]));
-    }
-    ctx.strokeStyle = "#1c6bb1";
-    ctx.lineWidth = 2;
-    ctx.stroke();
+  const span = Math.max(0.02, maxValue(comparison.difference.map((value) => (Number.isNaN(value) ? 0 : Math.abs(value)))));
+  const panels = [
+    { title: "Simulated", image: result.cameraImage, ramp: colorRamp },
+    { title: "Measured", image: comparison.measured, ramp: colorRamp },
+    {
+      title: `Difference (+/- ${formatNumber(span, 2)})`,
+      image: comparison.difference.map((value) => 0.5 + (value / (2 * span))),
+      ramp: divergingRamp,
+    },
+  ];
+  const [minMm, maxMm] = result.extentMm;
+  panels.forEach((panel, index) => {
+    const plotLeft = margin.left + (index * (plotSize + gap));
+    const raster = rasterizeHeatmap(panel.image, result.nPix, panel.ramp);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(raster, plotLeft, plotTop, plotSize, plotSize);
+    ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+    ctx.strokeRect(plotLeft, plotTop, plotSize, plotSize);
 
-    scanStatus.textContent = "";
-  } else {
-    drawRoundedLabel(
-      ctx,
-      margin.left + (plotWidth / 2),
-      margin.top + (plotHeight / 2),
-      errorText,
-      "rgba(255, 255, 255, 0.95)",
-      "#e3b3b3",
-      "#b33f3f",
-    );
-    scanStatus.textContent = "No scan available";
-  }
+    const mapX = (value) => plotLeft + ((value - minMm) / (maxMm - minMm)) * plotSize;
+    const mapY = (value) => plotTop + (1 - ((value - minMm) / (maxMm - minMm))) * plotSize;
+    drawAxisTicks(ctx, {
+      xTicks: [minMm, maxMm],
+      yTicks: index === 0 ? [minMm, maxMm] : [],
+      mapX,
+      mapY,
+      plotLeft,
+      plotTop,
+      plotWidth: plotSize,
+      plotHeight: plotSize,
+      xFormatter: (tick) => formatNumber(tick, 2),
+      yFormatter: (tick) => formatNumber(tick, 2),
+    });
 
-  drawAxisTicks(ctx, {
-    xTicks: [xMin, (xMin + xMax) / 2, xMax],
-    yTicks: [0, 0.25, 0.5, 0.75, 1.0],
-    mapX,
-    mapY,
-    plotLeft: margin.left,
-    plotTop: margin.top,
-    plotWidth,
-    plotHeight,
-    xFormatter: (tick) => formatNumber(tick, Math.abs(tick) < 10 ? 2 : 1),
-    yFormatter: (tick) => formatNumber(tick, 2),
+    ctx.fillStyle = "#1f2933";
+    ctx.font = "600 13px Segoe UI";
+    ctx.textAlign = "center";
+    ctx.fillText(panel.title, plotLeft + (plotSize / 2), plotTop - 10);
+    ctx.font = "12px Segoe UI";
+    ctx.fillStyle = "#5e6d7d";
+    ctx.fillText("x (mm)", plotLeft + (plotSize / 2), plotTop + plotSize + 30);
   });
 
-  ctx.fillStyle = "#1f2933";
-  ctx.font = "600 16px Segoe UI";
-  ctx.textAlign = "center";
-  ctx.fillText("Cavity Transmission vs Length Scan", width / 2, 22);
-  ctx.font = "12px Segoe UI";
-  ctx.fillStyle = "#5e6d7d";
-  ctx.fillText("dL (FSR)", margin.left + (plotWidth / 2), height - 14);
-
   ctx.save();
-  ctx.translate(margin.left - 38, margin.top + (plotHeight / 2));
+  ctx.fillStyle = "#5e6d7d";
+  ctx.font = "12px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.translate(margin.left - 38, plotTop + (plotSize / 2));
   ctx.rotate(-Math.PI / 2);
-  ctx.fillText("Normalized transmission", 0, 0);
+  ctx.fillText("y (mm)", 0, 0);
   ctx.restore();
 }
 
-function updateSummary(simulationResult) {
-  const [statusText] = stabilityLabel(cavityMode ? cavityMode.g1 : NaN, cavityMode ? cavityMode.g2 : NaN);
-  const matched = matchedBeamDefaults();
-  const rows = [
-    ["R1", `${formatNumber(cavityState.r1Mm, 2)} mm`],
-    ["R2", `${formatNumber(cavityState.r2Mm, 2)} mm`],
-    ["Length", `${formatNumber(cavityState.lMm, 2)} mm`],
-    ["Wavelength", `${formatNumber(cavityState.wavelengthNm, 0)} nm`],
-    ["n_center", formatNumber(cavityState.nCenter, 2)],
-    ["Status", cavityMode ? statusText : "Unavailable"],
-    ["Matched waist", `${formatNumber(matched.beamWaistMm, 4)} mm`],
-    ["Matched ROC", `${formatNumber(matched.beamRocMm, 0)} mm`],
-    ["Beam waist", `${formatNumber(state.beamWaistMm, 4)} mm`],
-    ["Beam ROC", `${formatNumber(state.beamRocMm, 0)} mm`],
-    ["Offsets x / y um", `${formatNumber(state.xOffUm, 0)} / ${formatNumber(state.yOffUm, 0)}`],
-    ["Scan / Max HG order", `${formatNumber(state.scanRangeFsr, 1)} FSR / ${state.nMax}`],
-  ];
+function traceContour(values, count, level) {
+  // Marching squares on the sample grid; points are in sample-index units.
+  const segments = [];
+  const crossing = (a, b, ax, ay, bx, by) => {
+    if ((a >= level) === (b >= level)) {
+      return null;
+    }
+    const t = (level - a) / (b - a);
+    return [ax + (bx - ax) * t, ay + (by - ay) * t];
+  };
+
+  for (let j = 0; j < count - 1; j += 1) {
+    for (let i = 0; i < count - 1; i += 1) {
+      const v00 = values[(j * count) + i];
+      const v10 = values[(j * count) + i + 1];
+      const v01 = values[((j + 1) * count) + i];
+      const v11 = values[((j + 1) * count) + i + 1];
+      const points = [
+        crossing(v00, v10, i, j, i + 1, j),
+        crossing(v10, v11, i + 1, j, i + 1, j + 1),
+        crossing(v01, v11, i, j + 1, i + 1, j + 1),
+        crossing(v00, v01, i, j, i, j + 1),
+      ].filter(Boolean);
+      for (let k = 0; k + 1 < points.length; k += 2) {
+        segments.push([points[k], points[k + 1]]);
+      }
+    }
+  }
+  return joinSegments(segments);
+}
+
+function joinSegments(segments) {
+  // Neighbouring cells compute shared edge crossings identically, so the
+  // segments chain into polylines by exact endpoint match. Dashes then run
+  // along the whole contour instead of restarting in every cell.
+  const key = (point) => `${point[0]},${point[1]}`;
+  const byPoint = new Map();
+  segments.forEach((segment, index) => {
+    segment.forEach((point) => {
+      const list = byPoint.get(key(point)) || [];
+      list.push(index);
+      byPoint.set(key(point), list);
+    });
+  });
+
+  const used = new Uint8Array(segments.length);
+  const lines = [];
+  const extend = (line) => {
+    for (;;) {
+      const tail = line[line.length - 1];
+      const next = (byPoint.get(key(tail)) || []).find((index) => !used[index]);
+      if (next === undefined) {
+        return;
+      }
+      used[next] = 1;
+      const [start, end] = segments[next];
+      line.push(key(start) === key(tail) ? end : start);
+    }
+  };
+
+  segments.forEach((segment, index) => {
+    if (used[index]) {
+      return;
+    }
+    used[index] = 1;
+    const line = [segment[0], segment[1]];
+    extend(line);
+    line.reverse();
+    extend(line);
+    lines.push(line);
+  });
+  return lines;
+}
+
+function drawMapPlot(map, errorText) {
+  const { ctx, width, height } = setupCanvas(mapCanvas);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  const margin = { left: 72, right: 20, top: 36, bottom: 44 };
+  const outerPlotW = width - margin.left - margin.right;
+  const outerPlotH = height - margin.top - margin.bottom;
+  const plotSize = Math.min(outerPlotW, outerPlotH);
+  const plotLeft = margin.left + ((outerPlotW - plotSize) / 2);
+  const plotTop = margin.top + ((outerPlotH - plotSize) / 2);
+
+  ctx.fillStyle = "#f5f9ff";
+  ctx.fillRect(plotLeft, plotTop, plotSize, plotSize);
+
+  if (map) {
+    const { count, xAxis, yAxis } = map;
+    const [xMin, xMax] = [xAxis.values[0], xAxis.values[count - 1]];
+    const [yMin, yMax] = [yAxis.values[0], yAxis.values[count - 1]];
+    const mapX = (value) => plotLeft + ((value - xMin) / (xMax - xMin)) * plotSize;
+    const mapY = (value) => plotTop + (1 - ((value - yMin) / (yMax - yMin))) * plotSize;
+    // Sample centers sit on the pixel centers of the raster.
+    const cell = plotSize / count;
+    const indexX = (index) => plotLeft + ((index + 0.5) * cell);
+    const indexY = (index) => plotTop + plotSize - ((index + 0.5) * cell);
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(rasterizeHeatmap(map.values, count), plotLeft, plotTop, plotSize, plotSize);
+
+    ctx.save();
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 1.4;
+    MAP_CONTOURS.forEach(({ level, dash }) => {
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      traceContour(map.values, count, level).forEach((line) => {
+        line.forEach(([i, j], index) => {
+          if (index === 0) {
+            ctx.moveTo(indexX(i), indexY(j));
+          } else {
+            ctx.lineTo(indexX(i), indexY(j));
+          }
+        });
+      });
+      ctx.stroke();
+    });
+    ctx.restore();
+
+    const pointX = clamp(xAxis.current, xMin, xMax);
+    const pointY = clamp(yAxis.current, yMin, yMax);
+    ctx.save();
+    ctx.strokeStyle = "#1f2933";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(mapX(pointX) - 6, mapY(pointY));
+    ctx.lineTo(mapX(pointX) + 6, mapY(pointY));
+    ctx.moveTo(mapX(pointX), mapY(pointY) - 6);
+    ctx.lineTo(mapX(pointX), mapY(pointY) + 6);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+    ctx.strokeRect(plotLeft, plotTop, plotSize, plotSize);
+
+    drawAxisTicks(ctx, {
+      xTicks: [xMin, 0, xMax],
+      yTicks: [yMin, 0, yMax],
+      mapX,
+      mapY,
+      plotLeft,
+      plotTop,
+      plotWidth: plotSize,
+      plotHeight: plotSize,
+      xFormatter: (tick) => formatNumber(tick, 0),
+      yFormatter: (tick) => formatNumber(tick, 0),
+    });
+
+    mapStatus.textContent = `TEM00 coupling here ${formatNumber(map.current * 100, 2)} %; contours at 90 (dashed), 95 (dotted) and 99 % (solid)`;
+  } else {
+    ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+    ctx.strokeRect(plotLeft, plotTop, plotSize, plotSize);
+    drawRoundedLabel(
+      ctx,
+      plotLeft + (plotSize / 2),
+      plotTop + (plotSize / 2),
+      errorText,
+      "rgba(255, 255, 255, 0.95)",
+      "#e3b3b3",
+      "#b33f3f",
+    );
+    mapStatus.textContent = "No coupling map";
+  }
+
+  const xLabel = map ? map.xAxis.label : "";
+  const yLabel = map ? map.yAxis.label : "";
+  ctx.fillStyle = "#1f2933";
+  ctx.font = "600 16px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.fillText("TEM00 Coupling", width / 2, 22);
+  ctx.font = "12px Segoe UI";
+  ctx.fillStyle = "#5e6d7d";
+  ctx.fillText(xLabel, plotLeft + (plotSize / 2), height - 14);
+
+  ctx.save();
+  ctx.translate(plotLeft - 50, plotTop + (plotSize / 2));
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText(yLabel, 0, 0);
+  ctx.restore();
+}
+
+function describePeak(peak, fsrHz) {
+  const detuningMhz = (peak.detuningFsr * fsrHz) / 1e6;
+  const width = peak.widthFsr === null ? "" : ` · FWHM ${formatWidth(peak.widthFsr, fsrHz)}`;
+  return `${peak.label} · ${formatNumber(peak.height * 100, 1)} % · ${formatNumber(peak.detuningFsr, 3)} FSR · ${formatNumber(detuningMhz, 2)} MHz${width}`;
+}
+
+function formatWidth(widthFsr, fsrHz) {
+  const widthMhz = (widthFsr * fsrHz) / 1e6;
+  return widthMhz >= 0.1 ? `${formatNumber(widthMhz, 2)} MHz` : `${formatNumber(widthMhz * 1e3, 2)} kHz`;
+}
+
+function drawPeakLabels(ctx, result, mapX, mapY, xMin, xMax, activePeak) {
+  // Peaks are labelled strongest first; a label that would collide with a
+  // stronger one is dropped and left to the peak table, as are peaks outside
+  // a zoomed window.
+  ctx.save();
+  ctx.font = "11px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  const visible = (peak) => peak.detuningFsr >= xMin && peak.detuningFsr <= xMax;
+  const placed = [];
+  result.peaks
+    .filter(visible)
+    .sort((a, b) => b.height - a.height)
+    .forEach((peak) => {
+      const text = `${peak.label} ${formatNumber(peak.height * 100, peak.height >= 0.1 ? 0 : 1)} %`;
+      const textWidth = ctx.measureText(text).width;
+      const x = clamp(mapX(peak.detuningFsr), mapX(xMin) + (textWidth / 2) + 2, mapX(xMax) - (textWidth / 2) - 2);
+      const y = Math.max(mapY(peak.height) - 4, 14);
+      const box = { left: x - (textWidth / 2) - 3, right: x + (textWidth / 2) + 3, top: y - 13, bottom: y };
+      if (placed.some((other) => box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top)) {
+        return;
+      }
+      placed.push(box);
+      ctx.fillStyle = peak === activePeak ? "#c0504d" : "#1f2933";
+      ctx.fillText(text, x, y);
+    });
+
+  if (activePeak && visible(activePeak)) {
+    ctx.fillStyle = "#c0504d";
+    ctx.beginPath();
+    ctx.arc(mapX(activePeak.detuningFsr), mapY(activePeak.height), 4.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function scanCurve(result) {
+  // The whole scan, or the zoomed window resampled from the resonances
+  // rather than stretched, so peaks narrower than the full-scan step keep
+  // their shape. Normalized like the full scan.
+  const last = result.dLFsr.length - 1;
+  if (!scanZoom) {
+    return { xMin: result.dLFsr[0], xMax: result.dLFsr[last], dLFsr: result.dLFsr, pdSignal: result.pdSignal };
+  }
+  const { fromFsr, toFsr } = scanZoom;
+  if (!zoomCurve || zoomCurve.result !== result || zoomCurve.xMin !== fromFsr || zoomCurve.xMax !== toFsr) {
+    const scan = scanSignal(result.groups, result.groupPower, result.coatings, fromFsr, toFsr, result.scanSampling.uniform);
+    zoomCurve = {
+      result,
+      xMin: fromFsr,
+      xMax: toFsr,
+      dLFsr: scan.dLFsr,
+      pdSignal: scan.pdSignal.map((value) => value / result.pdPeak),
+    };
+  }
+  return zoomCurve;
+}
+
+function zoomScan(centerFsr, factor) {
+  // Scales the window about centerFsr, keeping it at the same place on the
+  // plot; zooming out to the whole scan clears the zoom.
+  const last = lastResult.dLFsr.length - 1;
+  const [startFsr, endFsr] = [lastResult.dLFsr[0], lastResult.dLFsr[last]];
+  const [fromFsr, toFsr] = scanZoom ? [scanZoom.fromFsr, scanZoom.toFsr] : [startFsr, endFsr];
+  const minSpan = Math.min(endFsr - startFsr, 2 * MIN_ZOOM_LINEWIDTHS * lastResult.scanSampling.halfWidthFsr);
+  const span = clamp((toFsr - fromFsr) * factor, minSpan, endFsr - startFsr);
+  if (span >= endFsr - startFsr) {
+    scanZoom = null;
+  } else {
+    const share = (centerFsr - fromFsr) / (toFsr - fromFsr);
+    const start = clamp(centerFsr - (share * span), startFsr, endFsr - span);
+    scanZoom = { fromFsr: start, toFsr: start + span };
+  }
+  redrawScanPlot();
+}
+
+function redrawScanPlot() {
+  // Only the scan plot depends on the zoom, so the camera is left alone.
+  const live = Boolean(lastResult) && cameraState.cameraView === 1;
+  drawScanPlot(lastResult, lastErrorText, live ? null : hoverPeak || selectedPeak(), live ? cameraState.cursorFsr : null);
+}
+
+function drawScanPlot(result, errorText, activePeak = null, cursorFsr = null) {
+  const { ctx, width, height } = setupCanvas(scanCanvas);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  const margin = { left: 58, right: 20, top: 36, bottom: 46 };
+  const plotWidth = width - margin.left - margin.right;
+  const trace = result ? result.trace : null;
+  // A measured trace gets a residual strip under the transmission plot.
+  const residualGap = 12;
+  const fullHeight = height - margin.top - margin.bottom;
+  const plotHeight = trace ? fullHeight * 0.72 : fullHeight;
+  const curve = result ? scanCurve(result) : null;
+  const xMin = curve ? curve.xMin : -1;
+  const xMax = curve ? curve.xMax : 1;
+  const yMin = 0;
+  const yMax = 1.05;
+
+  const mapX = (value) => margin.left + ((value - xMin) / (xMax - xMin)) * plotWidth;
+  const mapY = (value) => margin.top + (1 - ((value - yMin) / (yMax - yMin))) * plotHeight;
+  scanLayout = {
+    mapX,
+    mapY,
+    unmapX: (pixel) => xMin + (((pixel - margin.left) / plotWidth) * (xMax - xMin)),
+    contains: (value) => value >= xMin && value <= xMax,
+  };
+
+  ctx.strokeStyle = "rgba(90, 112, 138, 0.18)";
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= 6; i += 1) {
+    const gx = margin.left + ((plotWidth * i) / 6);
+    const gy = margin.top + ((plotHeight * i) / 6);
+    ctx.beginPath();
+    ctx.moveTo(gx, margin.top);
+    ctx.lineTo(gx, margin.top + plotHeight);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(margin.left, gy);
+    ctx.lineTo(margin.left + plotWidth, gy);
+    ctx.stroke();
+  }
+
+  ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+  ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+
+  if (result) {
+    if (trace) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+      ctx.clip();
+      traceLine(ctx, trace.positions, trace.measured, mapX, mapY);
+      ctx.strokeStyle = "rgba(217, 130, 43, 0.85)";
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    traceLine(ctx, curve.dLFsr, curve.pdSignal, mapX, mapY);
+    ctx.strokeStyle = "#1c6bb1";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    drawPeakLabels(ctx, result, mapX, mapY, xMin, xMax, activePeak);
+
+    const zoomHint = scanZoom ? "scroll or double-click for the whole scan" : "Ctrl+scroll to zoom";
+    if (cursorFsr !== null) {
+      ctx.save();
+      ctx.strokeStyle = "#c0504d";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+      ctx.clip();
+      ctx.beginPath();
+      ctx.moveTo(mapX(cursorFsr), margin.top);
+      ctx.lineTo(mapX(cursorFsr), margin.top + plotHeight);
+      ctx.stroke();
+      ctx.restore();
+      scanStatus.textContent = `Click or drag on the scan to move the detuning cursor; ${zoomHint}`;
+    } else {
+      scanStatus.textContent = activePeak
+        ? describePeak(activePeak, result.fsrHz)
+        : `${result.peaks.length} peaks; hover or click one to see its camera image, ${zoomHint}`;
+    }
+  } else {
+    drawRoundedLabel(
+      ctx,
+      margin.left + (plotWidth / 2),
+      margin.top + (plotHeight / 2),
+      errorText,
+      "rgba(255, 255, 255, 0.95)",
+      "#e3b3b3",
+      "#b33f3f",
+    );
+    scanStatus.textContent = "No scan available";
+  }
+
+  const xTicks = [xMin, (xMin + xMax) / 2, xMax];
+  // Enough digits to tell the ticks of a zoomed window apart.
+  const xDigits = clamp(Math.ceil(-Math.log10(xMax - xMin)) + 2, 2, 8);
+  const xFormatter = (tick) => formatNumber(tick, Math.abs(tick) < 10 ? xDigits : 1);
+  drawAxisTicks(ctx, {
+    xTicks: trace ? [] : xTicks,
+    yTicks: [0, 0.25, 0.5, 0.75, 1.0],
+    mapX,
+    mapY,
+    plotLeft: margin.left,
+    plotTop: margin.top,
+    plotWidth,
+    plotHeight,
+    xFormatter,
+    yFormatter: (tick) => formatNumber(tick, 2),
+  });
+
+  if (trace) {
+    drawResidualStrip(ctx, trace, {
+      mapX,
+      xTicks,
+      xFormatter,
+      plotLeft: margin.left,
+      plotTop: margin.top + plotHeight + residualGap,
+      plotWidth,
+      plotHeight: fullHeight - plotHeight - residualGap,
+    });
+    drawTraceLegend(ctx, margin.left + plotWidth - 8, margin.top + (plotHeight * 0.3));
+  }
+
+  ctx.fillStyle = "#1f2933";
+  ctx.font = "600 16px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.fillText("Cavity Transmission vs Length Scan", width / 2, 22);
+  ctx.font = "12px Segoe UI";
+  ctx.fillStyle = "#5e6d7d";
+  ctx.fillText("dL (FSR)", margin.left + (plotWidth / 2), height - 14);
+
+  ctx.save();
+  ctx.translate(margin.left - 38, margin.top + (plotHeight / 2));
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText("Normalized transmission", 0, 0);
+  ctx.restore();
+}
+
+function traceLine(ctx, positions, values, mapX, mapY) {
+  ctx.beginPath();
+  ctx.moveTo(mapX(positions[0]), mapY(values[0]));
+  for (let i = 1; i < positions.length; i += 1) {
+    ctx.lineTo(mapX(positions[i]), mapY(values[i]));
+  }
+}
+
+function drawResidualStrip(ctx, trace, layout) {
+  const { mapX, plotLeft, plotTop, plotWidth, plotHeight } = layout;
+  const span = Math.max(0.05, 1.1 * maxValue(trace.residual.map(Math.abs)));
+  const mapY = (value) => plotTop + ((0.5 - (value / (2 * span))) * plotHeight);
+
+  ctx.save();
+  ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(plotLeft, plotTop, plotWidth, plotHeight);
+  ctx.strokeStyle = "rgba(90, 112, 138, 0.35)";
+  ctx.beginPath();
+  ctx.moveTo(plotLeft, mapY(0));
+  ctx.lineTo(plotLeft + plotWidth, mapY(0));
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.rect(plotLeft, plotTop, plotWidth, plotHeight);
+  ctx.clip();
+  traceLine(ctx, trace.positions, trace.residual, mapX, mapY);
+  ctx.strokeStyle = "#5e6d7d";
+  ctx.stroke();
+  ctx.restore();
+
+  drawAxisTicks(ctx, {
+    ...layout,
+    mapY,
+    yTicks: [-span, span],
+    yFormatter: (tick) => formatNumber(tick, 2),
+  });
+
+  ctx.save();
+  ctx.font = "11px Segoe UI";
+  ctx.fillStyle = "#5e6d7d";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillText(`Residual, rms ${formatNumber(trace.rms * 100, 2)} %`, plotLeft + 6, plotTop + 4);
+  ctx.restore();
+}
+
+function drawTraceLegend(ctx, right, top) {
+  const entries = [
+    { label: "Simulation", color: "#1c6bb1" },
+    { label: "Measured", color: "rgba(217, 130, 43, 0.85)" },
+  ];
+  ctx.save();
+  ctx.font = "11px Segoe UI";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  entries.forEach((entry, index) => {
+    const y = top + 6 + (index * 16);
+    ctx.fillStyle = "#5e6d7d";
+    ctx.fillText(entry.label, right, y);
+    const textWidth = ctx.measureText(entry.label).width;
+    ctx.strokeStyle = entry.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(right - textWidth - 26, y);
+    ctx.lineTo(right - textWidth - 6, y);
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+function drawModeContentPlot(result, errorText) {
+  const { ctx, width, height } = setupCanvas(contentCanvas);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  const margin = { left: 52, right: 20, top: 36, bottom: 44 };
+  const plotHeight = height - margin.top - margin.bottom;
+  const gridMaxWidth = (width - margin.left - margin.right) * 0.45;
+  const gridLeft = margin.left;
+
+  ctx.fillStyle = "#1f2933";
+  ctx.font = "600 16px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.fillText(state.basis === 1 ? "Input Power per LG_pl" : "Input Power per TEM_nm", width / 2, 22);
+
+  if (!result) {
+    drawRoundedLabel(
+      ctx,
+      width / 2,
+      margin.top + (plotHeight / 2),
+      errorText,
+      "rgba(255, 255, 255, 0.95)",
+      "#e3b3b3",
+      "#b33f3f",
+    );
+    contentStatus.textContent = "No mode content";
+    return;
+  }
+
+  // Cells use a log color scale from 1e-4 to 1 so weak modes stay visible.
+  const {
+    nMax,
+    rows,
+    cols,
+    colStart,
+    power,
+    byOrder,
+    captured,
+  } = result.modeContent;
+  const cell = Math.min(gridMaxWidth / cols, plotHeight / rows);
+  const gridWidth = cell * cols;
+  const gridHeight = cell * rows;
+  const gridTop = margin.top + ((plotHeight - gridHeight) / 2);
+  const shade = (value) => clamp(1 + (Math.log10(Math.max(value, 1e-12)) / 4), 0, 1);
+  ctx.font = `${Math.min(11, Math.floor(cell / 3.2))}px Segoe UI`;
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#f5f9ff";
+  ctx.fillRect(gridLeft, gridTop, gridWidth, gridHeight);
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      // NaN marks index pairs outside the basis.
+      const value = power[(row * cols) + col];
+      if (Number.isNaN(value)) {
+        continue;
+      }
+      const t = shade(value);
+      const [r, g, b] = colorRamp(t);
+      const left = gridLeft + (col * cell);
+      const top = gridTop + gridHeight - ((row + 1) * cell);
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fillRect(left, top, cell, cell);
+      if (cell >= 24 && value >= 1e-3) {
+        ctx.fillStyle = t > 0.62 ? "#1f2933" : "#ffffff";
+        ctx.fillText(formatNumber(value * 100, value >= 0.1 ? 0 : 1), left + (cell / 2), top + (cell / 2));
+      }
+    }
+  }
+  ctx.strokeStyle = "rgba(97, 115, 137, 0.45)";
+  ctx.strokeRect(gridLeft, gridTop, gridWidth, gridHeight);
+
+  const indexTicks = (start, count) => {
+    const step = Math.max(1, Math.ceil(count / 8));
+    const ticks = [];
+    for (let value = Math.ceil(start / step) * step; value < start + count; value += step) {
+      ticks.push(value);
+    }
+    return ticks;
+  };
+  drawAxisTicks(ctx, {
+    xTicks: indexTicks(colStart, cols),
+    yTicks: indexTicks(0, rows),
+    mapX: (index) => gridLeft + ((index - colStart + 0.5) * cell),
+    mapY: (index) => gridTop + gridHeight - ((index + 0.5) * cell),
+    plotLeft: gridLeft,
+    plotTop: gridTop,
+    plotWidth: gridWidth,
+    plotHeight: gridHeight,
+    xFormatter: (tick) => String(tick),
+    yFormatter: (tick) => String(tick),
+  });
+
+  // Order groups up to nMax are complete; in the HG basis higher n + m
+  // groups only hold the terms with both indices inside the basis.
+  let partial = 0;
+  for (let order = nMax + 1; order < byOrder.length; order += 1) {
+    partial += byOrder[order];
+  }
+  const { orderLabel } = result.modeContent;
+  const bars = Array.from({ length: nMax + 1 }, (_, order) => ({ label: `${orderLabel} = ${order}`, value: byOrder[order], color: "#1c6bb1" }));
+  if (byOrder.length > nMax + 1) {
+    bars.push({ label: `> ${nMax} (partial)`, value: partial, color: "#7fa7d1" });
+  }
+  bars.push({ label: "Lost", value: Math.max(0, 1 - captured), color: "#c0504d" });
+  const barsLeft = gridLeft + gridWidth + 104;
+  const barsWidth = Math.max(60, width - margin.right - 64 - barsLeft);
+
+  const rowHeight = plotHeight / bars.length;
+  const barHeight = Math.max(2, Math.min(18, rowHeight - 4));
+  ctx.font = `${Math.min(11, Math.max(8, Math.floor(rowHeight - 2)))}px Segoe UI`;
+  bars.forEach((bar, index) => {
+    const center = margin.top + ((index + 0.5) * rowHeight);
+    ctx.fillStyle = "#eef3fa";
+    ctx.fillRect(barsLeft, center - (barHeight / 2), barsWidth, barHeight);
+    ctx.fillStyle = bar.color;
+    ctx.fillRect(barsLeft, center - (barHeight / 2), barsWidth * clamp(bar.value, 0, 1), barHeight);
+    ctx.fillStyle = "#5e6d7d";
+    ctx.textAlign = "right";
+    ctx.fillText(bar.label, barsLeft - 8, center);
+    ctx.textAlign = "left";
+    ctx.fillText(`${formatNumber(bar.value * 100, 2)} %`, barsLeft + barsWidth + 6, center);
+  });
+
+  ctx.font = "12px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = "#5e6d7d";
+  ctx.fillText(result.modeContent.xLabel, gridLeft + (gridWidth / 2), Math.min(height - 14, gridTop + gridHeight + 34));
+  ctx.save();
+  ctx.translate(gridLeft - 34, gridTop + (gridHeight / 2));
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText(result.modeContent.yLabel, 0, 0);
+  ctx.restore();
+
+  const lost = Math.max(0, 1 - captured);
+  const { gridError } = result.modeContent;
+  const gridNote = gridError !== null && gridError > GRID_ERROR_LIMIT
+    ? `; integrating on the camera grid would be off by ${formatNumber(gridError * 100, 2)} % of the power, so the camera image clips this beam`
+    : "";
+  contentStatus.textContent = (lost > 0.01
+    ? `Captured ${formatNumber(captured * 100, 2)} %; ${formatNumber(lost * 100, 2)} % lies beyond Max HG order, raise it for this beam`
+    : `Captured ${formatNumber(captured * 100, 2)} % within Max HG order ${nMax}`) + gridNote;
+}
+
+function formatShare(value) {
+  // Shares of the input power, down to rounding-level ones.
+  return value >= 1e-5 ? `${formatNumber(value * 100, 3)} %` : `${(value * 100).toExponential(1)} %`;
+}
+
+function updateDiagnostics(result) {
+  // Convergence checks for the numerical settings: how much of the input the
+  // basis and the camera grid hold, and whether the uniform scan step resolves
+  // a linewidth away from the refined resonances.
+  numericsDiagnostics.innerHTML = "";
+  if (!result) {
+    numericsStatus.textContent = "";
+    return;
+  }
+
+  const { captured, gridError, outsideFov } = result.modeContent;
+  const { finesse } = computeSpectralProperties(cavityPlanes.layout.opticalRoundTrip, cavityState.wavelengthNm * 1e-9, result.coatings);
+  const { stepFsr, refined, samples } = result.scanSampling;
+  const perLinewidth = 1 / (finesse * stepFsr);
+  const pixelUm = ((result.extentMm[1] - result.extentMm[0]) * 1e3) / (result.nPix - 1);
+  const rows = [
+    ["Sum |c|^2", formatNumber(captured, 6)],
+    ["Power outside FOV", formatShare(outsideFov)],
+    ["Camera pixel", `${formatNumber(pixelUm, 2)} um`],
+    ["Scan step", `${formatNumber(stepFsr * 1e3, 3)} mFSR`],
+    ["Linewidth", `${formatNumber(1e3 / finesse, 3)} mFSR`],
+    ["Samples per linewidth", formatNumber(perLinewidth, perLinewidth < 1 ? 3 : 1)],
+    ["Scan samples", `${samples} (${refined} resonances refined)`],
+  ];
+  if (gridError !== null) {
+    rows.splice(2, 0, ["Grid vs analytic overlap", formatShare(gridError)]);
+  }
+  rows.forEach(([term, value]) => {
+    const wrapper = document.createElement("div");
+    const dt = document.createElement("dt");
+    const dd = document.createElement("dd");
+    dt.textContent = term;
+    dd.textContent = value;
+    wrapper.append(dt, dd);
+    numericsDiagnostics.appendChild(wrapper);
+  });
+
+  const warnings = [];
+  if (perLinewidth < MIN_SAMPLES_PER_LINEWIDTH) {
+    warnings.push(`At finesse ${formatNumber(finesse, 0)} the uniform scan has ${formatNumber(perLinewidth, perLinewidth < 1 ? 3 : 1)} points per linewidth; `
+      + `the samples are refined around ${refined} resonances, so peak heights and widths stay exact, and zooming the scan resamples it.`);
+  }
+  if (outsideFov > 1e-3) {
+    warnings.push(`${formatShare(outsideFov)} of the input power falls outside the camera; raise Half FOV.`);
+  }
+  numericsStatus.textContent = warnings.length
+    ? warnings.join(" ")
+    : "The scan resolves the linewidth and the camera holds the beam.";
+}
+
+function describeRoc(rocMm) {
+  if (!Number.isFinite(rocMm) || Math.abs(rocMm) > 1e7) {
+    return "flat";
+  }
+  return `${formatNumber(rocMm, 0)} mm${rocMm < 0 ? " (diverging)" : ""}`;
+}
+
+function updateSummary(simulationResult, inputBeam) {
+  const { x, y, astigmatic } = cavityPlanes;
+  const pair = (xValue, yValue) => (astigmatic ? `${xValue} / ${yValue}` : xValue);
+  const suffix = astigmatic ? " x / y" : "";
+  const matched = matchedBeamDefaults();
+  const [mirror1, mirror2] = cavityCoatings(cavityState);
+  const rows = [
+    [`R1${suffix}`, `${pair(formatNumber(x.r1Mm, 2), formatNumber(y.r1Mm, 2))} mm`],
+    [`R2${suffix}`, `${pair(formatNumber(x.r2Mm, 2), formatNumber(y.r2Mm, 2))} mm`],
+    ["Topology", TOPOLOGIES.find((item) => item.value === cavityPlanes.topology).label],
+    [
+      cavityPlanes.topology === 0 ? "Length" : "Round trip",
+      `${formatNumber((cavityPlanes.topology === 0 ? cavityState.lMm : cavityPlanes.layout.roundTripLength * 1e3), 2)} mm`,
+    ],
+    ["Wavelength", `${formatNumber(cavityState.wavelengthNm, 0)} nm`],
+    ["n_center", formatNumber(cavityState.nCenter, 2)],
+    [`Status${suffix}`, pair(stabilityLabel(x.g1, x.g2)[0], stabilityLabel(y.g1, y.g2)[0])],
+    ["R1 / R2", `${formatNumber(mirror1.reflectivity, 5)} / ${formatNumber(mirror2.reflectivity, 5)}`],
+    ["T1 / T2 ppm", `${formatNumber(mirror1.transmission * 1e6, 0)} / ${formatNumber(mirror2.transmission * 1e6, 0)}`],
+    ["Loss1 / Loss2 ppm", `${formatNumber(mirror1.loss * 1e6, 0)} / ${formatNumber(mirror2.loss * 1e6, 0)}`],
+    ["Peak transmission", `${formatNumber(peakTransmission([mirror1, mirror2]) * 100, 2)} %`],
+    ["Matched waist", `${formatNumber(matched.beamWaistMm, 4)} mm`],
+    ["Matched ROC", describeRoc(matched.beamCurvature === 0 ? Infinity : 1e3 / matched.beamCurvature)],
+    ["Input beam", BEAM_FORMS.find((item) => item.value === state.beamForm).label],
+  ];
+  const { coatingNote } = computeSpectralProperties(cavityPlanes.layout.opticalRoundTrip, cavityState.wavelengthNm * 1e-9, [mirror1, mirror2], cavityPlanes);
+  if (coatingNote) {
+    rows.splice(rows.findIndex(([term]) => term === "Peak transmission") + 1, 0, ["Coatings", coatingNote]);
+  }
+
+  if (inputBeam.fit) {
+    const { fit } = inputBeam;
+    rows.push(["Fit w0 / z0", `${formatNumber(fit.waist * 1e3, 4)} mm / ${formatNumber(fit.position * 1e3, 1)} mm`]);
+    rows.push(["Fit M^2 / rms", `${formatNumber(fit.m2, 3)} / ${formatNumber(fit.rms * 1e6, 1)} um`]);
+  }
+  if (!inputBeam.error) {
+    rows.push(["Beam waist", `${formatNumber(inputBeam.waist * 1e3, 4)} mm`]);
+    rows.push(["Beam ROC", describeRoc(inputBeam.roc * 1e3)]);
+  }
+
+  rows.push(
+    ["Offsets x / y um", `${formatNumber(state.xOffUm, 0)} / ${formatNumber(state.yOffUm, 0)}`],
+    ["Tilts x / y urad", `${formatNumber(state.xTiltUrad, 0)} / ${formatNumber(state.yTiltUrad, 0)}`],
+    ["Scan / Max HG order", `${formatNumber(state.scanRangeFsr, 1)} FSR / ${state.nMax}`],
+    ["Mode basis", state.basis === 1 ? `LG, input LG${state.inputP},${state.inputL}` : "HG"],
+    ["Input mirror", `M${state.inputMirror}`],
+  );
+
+  if (!cavityError) {
+    const gouyDeg = (plane) => formatNumber((plane.mode.gouyRoundTrip * 180) / Math.PI, 2);
+    const spacing = (plane) => formatNumber(plane.mode.gouyRoundTrip / (2 * Math.PI), 4);
+    rows.push([`w(M1)${suffix}`, `${pair(formatNumber(x.mode.wM1 * 1e3, 4), formatNumber(y.mode.wM1 * 1e3, 4))} mm`]);
+    rows.push([`w(M2)${suffix}`, `${pair(formatNumber(x.mode.wM2 * 1e3, 4), formatNumber(y.mode.wM2 * 1e3, 4))} mm`]);
+    rows.push([`Round-trip Gouy${suffix}`, `${pair(gouyDeg(x), gouyDeg(y))} deg`]);
+    rows.push([`Mode spacing${suffix}`, `${pair(spacing(x), spacing(y))} FSR`]);
+  }
+
+  if (simulationResult) {
+    rows.push(["Scan peak transmission", `${formatNumber(simulationResult.pdPeak * 100, 2)} %`]);
+    rows.push(["Peak dL", `${formatNumber(simulationResult.peakDetuningFsr, 3)} FSR`]);
+    rows.push(["Image FOV", `${formatNumber(simulationResult.extentMm[1] - simulationResult.extentMm[0], 2)} mm`]);
+  }
+
+  simSummary.innerHTML = "";
+  rows.forEach(([term, value]) => {
+    const wrapper = document.createElement("div");
+    const dt = document.createElement("dt");
+    const dd = document.createElement("dd");
+    dt.textContent = term;
+    dd.textContent = value;
+    wrapper.append(dt, dd);
+    simSummary.appendChild(wrapper);
+  });
+}
+
+function syncControl(key) {
+  const control = controlState.get(key);
+  const { def, target } = control;
+  const isInteger = def.step === 1 && def.digits === 0;
+  const value = isInteger
+    ? clamp(Math.round(target[key]), def.min, def.max)
+    : clamp(target[key], def.min, def.max);
+
+  target[key] = value;
+  control.slider.value = String(value);
+  control.number.value = String(value);
+}
+
+function createControl(def, root = controlsRoot, target = state, onChange = scheduleRender) {
+  const row = document.createElement("div");
+  row.className = "control-row";
+
+  const label = document.createElement("label");
+  label.className = "control-label";
+  label.textContent = def.unit ? `${def.label} [${def.unit}]` : def.label;
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = String(def.min);
+  slider.max = String(def.max);
+  slider.step = String(def.step);
+
+  const number = document.createElement("input");
+  number.type = "number";
+  number.step = String(def.step);
+
+  row.append(label, slider, number);
+  root.appendChild(row);
+  controlState.set(def.key, { row, label, slider, number, def, target });
+
+  slider.addEventListener("input", () => {
+    target[def.key] = Number(slider.value);
+    number.value = String(target[def.key]);
+    onChange();
+  });
+
+  const handleNumberEdit = () => {
+    if (!Number.isFinite(number.valueAsNumber)) {
+      return;
+    }
+    target[def.key] = number.valueAsNumber;
+    syncControl(def.key);
+    onChange();
+  };
+
+  number.addEventListener("change", handleNumberEdit);
+
+  syncControl(def.key);
+}
+
+function scheduleRender() {
+  if (renderPending) {
+    return;
+  }
+  renderPending = true;
+  window.requestAnimationFrame(() => {
+    renderPending = false;
+    render();
+  });
+}
+
+function startSimulationWorker() {
+  // Browsers may refuse workers on pages opened from disk; the simulation
+  // then runs on the page.
+  let worker;
+  try {
+    worker = new Worker("mode-scan-worker.js");
+  } catch (error) {
+    simulationWorker = null;
+    return;
+  }
+  worker.addEventListener("message", handleSimulationMessage);
+  worker.addEventListener("error", (event) => {
+    if (worker !== simulationWorker) {
+      return;
+    }
+    event.preventDefault();
+    worker.terminate();
+    simulationWorker = null;
+    const request = pendingSimulation || runningSimulation;
+    runningSimulation = null;
+    pendingSimulation = null;
+    if (request) {
+      runSimulation(request);
+    }
+  });
+  simulationWorker = worker;
+}
+
+function runSimulation(request) {
+  if (!request.job || !simulationWorker) {
+    let result = null;
+    let errorText = null;
+    try {
+      result = request.job ? simulateModeScan(request.job) : null;
+    } catch (error) {
+      errorText = error.message;
+    }
+    showSimulationProgress(null);
+    request.done(result, errorText);
+    return;
+  }
+  runningSimulation = { ...request, id: nextSimulationId, started: performance.now() };
+  nextSimulationId += 1;
+  simulationWorker.postMessage({ id: runningSimulation.id, job: request.job });
+}
+
+function fitSimulation(job) {
+  // Image-fit runs get their own worker, so they neither wait behind nor
+  // cancel the runs for the plots. Without workers they run on the page
+  // after yielding to it.
+  if (!fitWorker && simulationWorker) {
+    try {
+      fitWorker = new Worker("mode-scan-worker.js");
+      fitWorker.addEventListener("message", handleFitMessage);
+      fitWorker.addEventListener("error", (event) => {
+        event.preventDefault();
+        stopFitWorker("The fit simulation failed.");
+      });
+    } catch (error) {
+      fitWorker = null;
+    }
+  }
+  if (!fitWorker) {
+    return new Promise((resolve) => window.setTimeout(resolve, 0)).then(() => simulateModeScan(job));
+  }
+  return new Promise((resolve, reject) => {
+    fitRequest = { id: nextSimulationId, resolve, reject };
+    nextSimulationId += 1;
+    fitWorker.postMessage({ id: fitRequest.id, job });
+  });
+}
+
+function handleFitMessage(event) {
+  const { id, progress, result, error } = event.data;
+  if (!fitRequest || id !== fitRequest.id || progress !== undefined) {
+    return;
+  }
+  const { resolve, reject } = fitRequest;
+  fitRequest = null;
+  if (error) {
+    reject(new Error(error));
+  } else {
+    resolve(result);
+  }
+}
+
+function stopFitWorker(message) {
+  if (fitWorker) {
+    fitWorker.terminate();
+    fitWorker = null;
+  }
+  if (fitRequest) {
+    fitRequest.reject(new Error(message));
+    fitRequest = null;
+  }
+}
+
+function requestSimulation(job, done) {
+  // Only the newest request is shown. A stale run is abandoned when runs are
+  // slow; otherwise it finishes and its result is dropped.
+  const request = { job, done };
+  if (!runningSimulation) {
+    runSimulation(request);
+    return;
+  }
+  pendingSimulation = request;
+  if (Math.max(lastSimulationMs, performance.now() - runningSimulation.started) > CANCEL_AFTER_MS) {
+    simulationWorker.terminate();
+    runningSimulation = null;
+    pendingSimulation = null;
+    startSimulationWorker();
+    runSimulation(request);
+  }
+}
+
+function handleSimulationMessage(event) {
+  const { id, progress, result, error } = event.data;
+  if (!runningSimulation || id !== runningSimulation.id) {
+    return;
+  }
+  if (progress !== undefined) {
+    showSimulationProgress(progress);
+    return;
+  }
+  lastSimulationMs = performance.now() - runningSimulation.started;
+  const { done } = runningSimulation;
+  runningSimulation = null;
+  if (pendingSimulation) {
+    const next = pendingSimulation;
+    pendingSimulation = null;
+    runSimulation(next);
+    return;
+  }
+  showSimulationProgress(null);
+  done(result || null, error || null);
+}
+
+function showSimulationProgress(fraction) {
+  simProgress.hidden = fraction === null;
+  if (fraction !== null) {
+    simProgress.value = fraction;
+  }
+}
+
+function syncMirrorControls() {
+  MIRROR_DEFS.forEach((def) => syncControl(def.key));
+  Object.assign(cavityState, sanitizeCavityState(cavityState));
+  MIRROR_DEFS.forEach((def) => syncControl(def.key));
+}
+
+function createSelectControl(key, labelText, options, root = controlsRoot, target = state) {
+  const row = document.createElement("div");
+  row.className = "control-row select-row";
+
+  const label = document.createElement("label");
+  label.className = "control-label";
+  label.textContent = labelText;
+
+  const select = document.createElement("select");
+  options.forEach((option) => {
+    const item = document.createElement("option");
+    item.value = String(option.value);
+    item.textContent = option.label;
+    select.appendChild(item);
+  });
+  select.value = String(target[key]);
+
+  row.append(label, select);
+  root.appendChild(row);
+
+  select.addEventListener("change", () => {
+    target[key] = Number(select.value);
+    scheduleRender();
+  });
+
+  return { row, select };
+}
+
+function createBeamFormControls() {
+  // The form selector goes right above the beam controls it switches between.
+  const anchor = controlState.get(SIM_DEFS.find((def) => def.forms).key).row;
+  const { row, select } = createSelectControl("beamForm", "Input beam", BEAM_FORMS);
+  controlsRoot.insertBefore(row, anchor);
+
+  const causticRow = document.createElement("div");
+  causticRow.className = "control-row caustic-row";
+  const causticLabel = document.createElement("label");
+  causticLabel.className = "control-label";
+  causticLabel.textContent = "Caustic [mm]";
+  const textarea = document.createElement("textarea");
+  textarea.rows = 6;
+  textarea.spellcheck = false;
+  textarea.value = state.caustic;
+  causticRow.append(causticLabel, textarea);
+  controlsRoot.appendChild(causticRow);
+  textarea.addEventListener("input", () => {
+    state.caustic = textarea.value;
+    scheduleRender();
+  });
+
+  return { select, causticRow };
+}
+
+function syncBeamForm() {
+  beamFormControls.select.value = String(state.beamForm);
+  beamFormControls.causticRow.hidden = state.beamForm !== 3;
+  SIM_DEFS.forEach((def) => {
+    const hidden = (def.forms && !def.forms.includes(state.beamForm))
+      || (def.bases && !def.bases.includes(state.basis));
+    controlState.get(def.key).row.hidden = Boolean(hidden);
+  });
+}
+
+function selectedPeak() {
+  // A selection survives re-renders while a peak stays within 0.01 FSR of it.
+  if (!lastResult || selectedPeakFsr === null) {
+    return null;
+  }
+  return lastResult.peaks.find((peak) => Math.abs(peak.detuningFsr - selectedPeakFsr) < 0.01) || null;
+}
+
+function cursorView(result) {
+  const cursor = cameraState.cursorFsr;
+  const from = animation ? animation.from : cursor;
+  const intensity = from === cursor
+    ? instantaneousIntensity(result, result.groups.map((_, index) => index), cursor)
+    : exposureIntensity(result, from, cursor);
+  const reference = brightestResonance(result);
+  return {
+    image: scaledImage(intensity, reference),
+    title: animation ? "Live Camera While Scanning" : "Camera at Detuning Cursor",
+    status: `${formatNumber(cursor, 4)} FSR (${formatNumber((cursor * result.fsrHz) / 1e6, 2)} MHz), `
+      + `${formatNumber((maxValue(intensity) / reference) * 100, 1)} % of the brightest resonance`,
+  };
+}
+
+function currentCameraView() {
+  // The camera shows the cursor slice in live view, otherwise the hovered or
+  // selected peak, and the scan average when `view` is null.
+  const live = Boolean(lastResult) && cameraState.cameraView === 1;
+  const active = live ? null : hoverPeak || selectedPeak();
+  let view = null;
+  if (live) {
+    view = cursorView(lastResult);
+  } else if (active) {
+    view = {
+      image: normalize(instantaneousIntensity(lastResult, active.groups, active.detuningFsr)).values,
+      title: `Camera at ${active.label}`,
+      status: `${formatNumber(active.detuningFsr, 3)} FSR, ${formatNumber(active.height * 100, 1)} % of the highest peak`,
+    };
+  }
+  return { live, active, view };
+}
+
+function drawPeakViews(errorText = null) {
+  // Every render, cursor move and peak selection ends here, so the links follow.
+  syncPageUrls();
+  const { live, active, view } = currentCameraView();
+  drawCameraPlot(lastResult, errorText, view);
+  drawScanPlot(lastResult, errorText, active, live ? cameraState.cursorFsr : null);
+  Array.from(peakTableBody.children).forEach((row, index) => {
+    row.classList.toggle("is-active", Boolean(lastResult) && lastResult.peaks[index] === active);
+  });
+}
 
-  if (cavityMode) {
-    rows.push(["w(M1)", `${formatNumber(cavityMode.wM1 * 1e3, 4)} mm`]);
-    rows.push(["w(M2)", `${formatNumber(cavityMode.wM2 * 1e3, 4)} mm`]);
+function updatePeakTable(result) {
+  peakTableBody.innerHTML = "";
+  if (!result) {
+    return;
   }
+  result.peaks.forEach((peak) => {
+    const row = document.createElement("tr");
+    [
+      peak.label,
+      `${formatNumber(peak.height * 100, 2)} %`,
+      formatNumber(peak.detuningFsr, 4),
+      formatNumber((peak.detuningFsr * result.fsrHz) / 1e6, 2),
+      peak.widthFsr === null ? "–" : formatWidth(peak.widthFsr, result.fsrHz),
+    ].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    row.addEventListener("mouseenter", () => setHoverPeak(peak));
+    row.addEventListener("mouseleave", () => setHoverPeak(null));
+    row.addEventListener("click", () => {
+      if (cameraState.cameraView === 1) {
+        setCursor(peak.detuningFsr);
+      } else {
+        toggleSelectedPeak(peak);
+      }
+    });
+    peakTableBody.appendChild(row);
+  });
+}
 
-  if (simulationResult) {
-    rows.push(["Peak dL", `${formatNumber(simulationResult.peakDetuningFsr, 3)} FSR`]);
-    rows.push(["Image FOV", `${formatNumber(simulationResult.extentMm[1] - simulationResult.extentMm[0], 2)} mm`]);
+function setHoverPeak(peak) {
+  if (peak === hoverPeak || cameraState.cameraView === 1) {
+    return;
   }
+  hoverPeak = peak;
+  drawPeakViews();
+}
 
-  simSummary.innerHTML = "";
-  rows.forEach(([term, value]) => {
-    const wrapper = document.createElement("div");
-    const dt = document.createElement("dt");
-    const dd = document.createElement("dd");
-    dt.textContent = term;
-    dd.textContent = value;
-    wrapper.append(dt, dd);
-    simSummary.appendChild(wrapper);
-  });
+function toggleSelectedPeak(peak) {
+  const current = selectedPeak();
+  selectedPeakFsr = peak && peak !== current ? peak.detuningFsr : null;
+  drawPeakViews();
 }
 
-function syncControl(key) {
-  const def = SIM_DEFS.find((item) => item.key === key);
-  const control = controlState.get(key);
-  const isInteger = def.step === 1 && def.digits === 0;
-  const value = isInteger
-    ? clamp(Math.round(state[key]), def.min, def.max)
-    : clamp(state[key], def.min, def.max);
+function peakAtPointer(event) {
+  // Nearest shown peak within 10 px of the pointer, horizontally.
+  if (!lastResult || !scanLayout) {
+    return null;
+  }
+  const rect = scanCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  let best = null;
+  let bestDistance = 10;
+  lastResult.peaks.filter((peak) => scanLayout.contains(peak.detuningFsr)).forEach((peak) => {
+    const distance = Math.abs(scanLayout.mapX(peak.detuningFsr) - x);
+    if (distance < bestDistance) {
+      best = peak;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
 
-  state[key] = value;
-  control.slider.value = String(value);
-  control.number.value = String(value);
+function setCursor(detuningFsr) {
+  cameraState.cursorFsr = detuningFsr;
+  syncControl("cursorFsr");
+  drawPeakViews();
 }
 
-function createControl(def) {
-  const row = document.createElement("div");
-  row.className = "control-row";
+function cursorAtPointer(event) {
+  // Snap to a peak under the pointer, so resonances are easy to hit.
+  const peak = peakAtPointer(event);
+  if (peak) {
+    return peak.detuningFsr;
+  }
+  const rect = scanCanvas.getBoundingClientRect();
+  return scanLayout.unmapX(event.clientX - rect.left);
+}
 
-  const label = document.createElement("label");
-  label.className = "control-label";
-  label.textContent = def.unit ? `${def.label} [${def.unit}]` : def.label;
+function syncCursorControl() {
+  const control = controlState.get("cursorFsr");
+  control.def.min = -state.scanRangeFsr;
+  control.def.max = state.scanRangeFsr;
+  control.slider.min = String(control.def.min);
+  control.slider.max = String(control.def.max);
+  syncControl("cursorFsr");
+  cameraViewSelect.value = String(cameraState.cameraView);
+}
 
-  const slider = document.createElement("input");
-  slider.type = "range";
-  slider.min = String(def.min);
-  slider.max = String(def.max);
-  slider.step = String(def.step);
+function stepAnimation(time) {
+  if (!animation || !lastResult) {
+    stopAnimation();
+    return;
+  }
+  const range = state.scanRangeFsr;
+  const elapsed = animation.time === null ? 0 : Math.min(100, time - animation.time);
+  animation.time = time;
+  animation.from = cameraState.cursorFsr;
+  let next = cameraState.cursorFsr + ((2 * range * elapsed) / ANIMATION_SWEEP_MS);
+  if (next > range) {
+    next = -range;
+    animation.from = next;
+  }
+  cameraState.cursorFsr = next;
+  syncControl("cursorFsr");
+  drawPeakViews();
+  animation.frame = window.requestAnimationFrame(stepAnimation);
+}
 
-  const number = document.createElement("input");
-  number.type = "number";
-  number.step = String(def.step);
+function stopAnimation() {
+  if (!animation) {
+    return;
+  }
+  window.cancelAnimationFrame(animation.frame);
+  animation = null;
+  cameraPlayButton.textContent = "Play scan";
+}
 
-  row.append(label, slider, number);
-  controlsRoot.appendChild(row);
-  controlState.set(def.key, { slider, number });
+function toggleAnimation() {
+  if (animation) {
+    stopAnimation();
+    drawPeakViews();
+    return;
+  }
+  cameraState.cameraView = 1;
+  cameraViewSelect.value = "1";
+  animation = { frame: 0, time: null, from: cameraState.cursorFsr };
+  animation.frame = window.requestAnimationFrame(stepAnimation);
+  cameraPlayButton.textContent = "Pause";
+}
 
-  slider.addEventListener("input", () => {
-    state[def.key] = Number(slider.value);
-    number.value = String(state[def.key]);
-    scheduleRender();
+function syncTraceControls() {
+  // The peak controls take the units and range of the imported trace.
+  const xRange = measuredTrace ? [measuredTrace.x[0], measuredTrace.x[measuredTrace.x.length - 1]] : [0, 1];
+  ["peakA", "peakB"].forEach((key) => {
+    const control = controlState.get(key);
+    control.def.min = xRange[0];
+    control.def.max = xRange[1];
+    control.def.step = (xRange[1] - xRange[0]) / 2000;
+    control.slider.min = String(control.def.min);
+    control.slider.max = String(control.def.max);
+    control.slider.step = String(control.def.step);
+    control.number.step = "any";
+    control.label.textContent = measuredTrace
+      ? `${control.def.label} [${measuredTrace.xLabel}]`
+      : control.def.label;
+    syncControl(key);
   });
+  syncControl("fsrBetween");
+  traceFitButton.disabled = !measuredTrace || Boolean(activeFit) || Boolean(cavityError);
+  traceClearButton.disabled = !measuredTrace;
+}
 
-  const handleNumberEdit = () => {
-    if (!Number.isFinite(number.valueAsNumber)) {
-      return;
-    }
-    state[def.key] = number.valueAsNumber;
-    syncControl(def.key);
+function describeTrace(comparison) {
+  if (!measuredTrace) {
+    return "Load a two-column CSV (time or piezo voltage, signal) exported from the scope.";
+  }
+  if (!comparison) {
+    return "Pick two different TEM00 peaks to set the length axis.";
+  }
+  const { positions } = comparison;
+  return `${positions.length} points over ${formatNumber(positions[0], 2)} to ${formatNumber(positions[positions.length - 1], 2)} FSR; `
+    + `rms residual ${formatNumber(comparison.rms * 100, 2)} % of the highest peak.`;
+}
+
+async function loadTrace(file) {
+  stopFit();
+  let text = null;
+  try {
+    text = await file.text();
+  } catch (error) {
+    text = null;
+  }
+  const trace = text === null ? null : parseTraceCsv(text);
+  if (!trace) {
+    measuredTrace = null;
+    statusNote = {
+      status: traceStatus,
+      message: text === null ? `${file.name} could not be read.` : `${file.name} has no two-column numeric data.`,
+    };
     scheduleRender();
+    return;
+  }
+  measuredTrace = { ...binTrace(trace), name: file.name };
+  const peaks = findTem00Peaks(measuredTrace);
+  traceState.peakA = peaks ? peaks[0] : measuredTrace.x[0];
+  traceState.peakB = peaks ? peaks[1] : measuredTrace.x[measuredTrace.x.length - 1];
+  traceState.fsrBetween = 1;
+  scheduleRender();
+}
+
+function clearTrace() {
+  stopFit();
+  measuredTrace = null;
+  traceFile.value = "";
+  scheduleRender();
+}
+
+function beamFitParameters(keys) {
+  // Offsets and tilts are fitted directly; waist and mirror loss as log
+  // scales of their start values. Measurements see misalignment through
+  // mode powers that are even in it, so zero offsets and tilts start
+  // slightly off axis, where the cost has a slope.
+  const wavelength = cavityState.wavelengthNm * 1e-9;
+  const mirror = inputMirrorMode(state.inputMirror);
+  const waistUm = Math.sqrt(mirror.x.wMirror * mirror.y.wMirror) * 1e6;
+  const divergenceUrad = (wavelength / (Math.PI * waistUm * 1e-6)) * 1e6;
+  const startWaist = state.beamWaistMm;
+  const startLoss = [1 - cavityState.reflectivity1, 1 - cavityState.reflectivity2];
+  const linear = (key, scale) => {
+    const def = SIM_DEFS.find((item) => item.key === key);
+    return {
+      value: Math.abs(state[key]) < 0.1 * scale ? 0.1 * scale * (Math.sign(state[key]) || 1) : state[key],
+      step: 0.01 * scale,
+      apply: (value) => {
+        state[key] = clamp(value, def.min, def.max);
+      },
+    };
   };
 
-  number.addEventListener("change", handleNumberEdit);
+  const builders = {
+    xOffUm: () => linear("xOffUm", waistUm),
+    yOffUm: () => linear("yOffUm", waistUm),
+    xTiltUrad: () => linear("xTiltUrad", divergenceUrad),
+    yTiltUrad: () => linear("yTiltUrad", divergenceUrad),
+    waist: () => ({
+      value: 0,
+      step: 0.01,
+      apply: (value) => {
+        state.beamWaistMm = clamp(startWaist * Math.exp(value), 0.005, 5);
+      },
+    }),
+    reflectivity: () => ({
+      value: 0,
+      step: 0.01,
+      apply: (value) => {
+        // Through the shared limits, which also keep R + loss <= 1.
+        Object.assign(cavityState, sanitizeCavityState({
+          ...cavityState,
+          reflectivity1: 1 - (startLoss[0] * Math.exp(value)),
+          reflectivity2: 1 - (startLoss[1] * Math.exp(value)),
+        }));
+      },
+    }),
+  };
+  return keys.map((key) => builders[key]());
+}
 
-  syncControl(def.key);
+function useMirrorFieldForm() {
+  // The waist is fitted on the field at the mirror, so other input forms are
+  // converted first. Returns an error message when the beam cannot be resolved.
+  if (state.beamForm === 0) {
+    return null;
+  }
+  const inputBeam = resolveInputBeam();
+  if (inputBeam.error) {
+    return inputBeam.error;
+  }
+  state.beamForm = 0;
+  state.beamWaistMm = inputBeam.waist * 1e3;
+  state.beamCurvature = beamCurvature(inputBeam.roc * 1e3);
+  return null;
 }
 
-function scheduleRender() {
-  if (renderPending) {
+async function startFit(job) {
+  // `job` holds the parameters, the residual function (which may return a
+  // promise), the status element, an onStep hook for nuisance parameters
+  // shown outside the sliders and, optionally, the convergence tolerance.
+  if (activeFit || cavityError) {
     return;
   }
-  renderPending = true;
-  window.requestAnimationFrame(() => {
-    renderPending = false;
-    render();
+  const { params, residualFn, status } = job;
+  const current = { ...job, fit: null, timer: 0 };
+  activeFit = current;
+  status.textContent = "Fitting...";
+  scheduleRender();
+  try {
+    current.fit = await startLeastSquares(residualFn, params.map((param) => param.value), params.map((param) => param.step), job.tolerance);
+  } catch (error) {
+    if (activeFit === current) {
+      stopFit(error.message);
+    }
+    return;
+  }
+  if (activeFit === current) {
+    current.timer = window.setTimeout(stepFit, 0);
+  }
+}
+
+async function stepFit() {
+  // One iteration per task so the page stays responsive and the sliders
+  // follow the fit. A fit stopped while an iteration is out is left alone.
+  const current = activeFit;
+  const { params, residualFn, fit, status, onStep, note } = current;
+  try {
+    await stepLeastSquares(residualFn, fit);
+  } catch (error) {
+    if (activeFit === current) {
+      stopFit(error.message);
+    }
+    return;
+  }
+  if (activeFit !== current) {
+    return;
+  }
+  fit.params.forEach((value, index) => params[index].apply(value));
+  onStep(fit.params);
+  if (fit.done || fit.iteration >= MAX_FIT_ITERATIONS) {
+    const reason = fit.done ? "converged" : "stopped";
+    stopFit(`Fit ${reason} after ${fit.iteration} iterations. ${note}`);
+    return;
+  }
+  status.textContent = `Fitting, iteration ${fit.iteration}...`;
+  scheduleRender();
+  activeFit.timer = window.setTimeout(stepFit, 0);
+}
+
+function stopFit(message = null) {
+  if (!activeFit) {
+    return;
+  }
+  const { status, timer } = activeFit;
+  window.clearTimeout(timer);
+  activeFit = null;
+  stopFitWorker("Fit stopped.");
+  statusNote = message ? { status, message } : null;
+  scheduleRender();
+}
+
+function startTraceFit() {
+  const positions = tracePositions();
+  if (!positions) {
+    return;
+  }
+  const keys = FIT_PARAMS.filter((param) => fitSelection[param.key]).map((param) => param.key);
+  if (!keys.length) {
+    traceStatus.textContent = "Tick at least one parameter to fit.";
+    return;
+  }
+  const formError = keys.includes("waist") ? useMirrorFieldForm() : null;
+  if (formError) {
+    traceStatus.textContent = formError;
+    return;
+  }
+
+  // Two peak positions leave the length axis uncertain by about a sample,
+  // which matters for peaks only a few samples wide, so a shift and stretch
+  // of the axis are fitted as well and moved back into the peak controls.
+  const axis = { shift: 0, stretch: 0 };
+  const params = [
+    ...beamFitParameters(keys),
+    { value: 0, step: 1e-4, apply: (value) => { axis.shift = value; } },
+    { value: 0, step: 1e-4, apply: (value) => { axis.stretch = value; } },
+  ];
+  const scale = traceState.fsrBetween / (traceState.peakB - traceState.peakA);
+  const positionA = positions[0] - ((measuredTrace.x[0] - traceState.peakA) * scale);
+  const start = { peakA: traceState.peakA, peakB: traceState.peakB, positionA, scale };
+  startFit({
+    kind: "trace",
+    status: traceStatus,
+    params,
+    residualFn: (values) => {
+      params.forEach((param, index) => param.apply(values[index]));
+      return traceResiduals(positions.map((position) => (position * (1 + axis.stretch)) + axis.shift));
+    },
+    onStep: () => moveTracePeaks(start, axis),
+    note: "A PD trace cannot tell x from y, the sign of a misalignment, or an offset from a tilt.",
+  });
+}
+
+function moveTracePeaks(start, axis) {
+  // Peak positions on the trace axis that reproduce the fitted length axis.
+  const move = (peak, position) => peak + ((((position - axis.shift) / (1 + axis.stretch)) - position) / start.scale);
+  traceState.peakA = move(start.peakA, start.positionA);
+  traceState.peakB = move(start.peakB, start.positionA + traceState.fsrBetween);
+}
+
+function createFitOptions(params, selection, root) {
+  params.forEach((param) => {
+    const label = document.createElement("label");
+    label.className = "fit-option";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selection[param.key];
+    checkbox.addEventListener("change", () => {
+      selection[param.key] = checkbox.checked;
+    });
+    label.append(checkbox, document.createTextNode(param.label));
+    root.appendChild(label);
+  });
+}
+
+function syncImageControls() {
+  // The axis position is given in pixels of the imported image.
+  [["centerXPx", measuredImage ? measuredImage.width : 1], ["centerYPx", measuredImage ? measuredImage.height : 1]].forEach(([key, max]) => {
+    const control = controlState.get(key);
+    control.def.max = max;
+    control.slider.max = String(max);
+    syncControl(key);
+  });
+  syncControl("pixelUm");
+  imageFitButton.disabled = !measuredImage || Boolean(activeFit) || Boolean(cavityError);
+  imageClearButton.disabled = !measuredImage;
+}
+
+function describeImage(result) {
+  if (!measuredImage) {
+    return "Load a PNG or a CSV of pixel values. The pixel size is referred to the simulated camera plane at the input mirror.";
+  }
+  const comparison = result ? result.imageComparison : null;
+  const size = `${measuredImage.name}, ${measuredImage.width} x ${measuredImage.height} px`;
+  if (!comparison) {
+    return `${size}; it does not overlap the simulated grid.`;
+  }
+  return `${size}; ${formatNumber(comparison.coverage * 100, 0)} % of the grid is covered, `
+    + `rms difference ${formatNumber(comparison.rms * 100, 2)} % of the simulated peak.`;
+}
+
+async function readCameraFile(file) {
+  // CSV and text files hold pixel values; anything else is decoded as an
+  // image and reduced to the mean of its color channels.
+  if (/\.(csv|txt)$/i.test(file.name)) {
+    return parseImageCsv(await file.text());
+  }
+  const bitmap = await window.createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  const values = new Float64Array(bitmap.width * bitmap.height);
+  for (let i = 0; i < values.length; i += 1) {
+    values[i] = (data[4 * i] + data[(4 * i) + 1] + data[(4 * i) + 2]) / 3;
+  }
+  return { width: bitmap.width, height: bitmap.height, data: values };
+}
+
+async function loadImage(file) {
+  stopFit();
+  let image = null;
+  try {
+    image = await readCameraFile(file);
+  } catch (error) {
+    image = null;
+  }
+  if (!image) {
+    measuredImage = null;
+    statusNote = { status: imageStatus, message: `${file.name} could not be read as an image.` };
+    scheduleRender();
+    return;
+  }
+  measuredImage = { ...image, name: file.name, integral: integralImage(image) };
+  const centroid = imageCentroid(image);
+  imageState.centerXPx = centroid.x;
+  imageState.centerYPx = centroid.y;
+  scheduleRender();
+}
+
+function clearImage() {
+  stopFit();
+  measuredImage = null;
+  imageFile.value = "";
+  scheduleRender();
+}
+
+function startImageFit() {
+  if (!measuredImage || !lastResult) {
+    return;
+  }
+  const keys = IMAGE_FIT_PARAMS.filter((param) => imageFitSelection[param.key]).map((param) => param.key);
+  if (!keys.length) {
+    imageStatus.textContent = "Tick at least one parameter to fit.";
+    return;
+  }
+  const formError = keys.includes("waist") ? useMirrorFieldForm() : null;
+  if (formError) {
+    imageStatus.textContent = formError;
+    return;
+  }
+
+  // The camera axis is fitted along with the beam and moved back into the
+  // axis controls.
+  const start = { x: imageState.centerXPx, y: imageState.centerYPx };
+  const shift = { x: 0, y: 0 };
+  const grid = { nPix: lastResult.nPix, extentMm: lastResult.extentMm };
+  const params = [
+    ...beamFitParameters(keys),
+    { value: 0, step: 0.1, apply: (value) => { shift.x = value; } },
+    { value: 0, step: 0.1, apply: (value) => { shift.y = value; } },
+  ];
+  // Trial values are applied only while their job is built, so the plots
+  // redrawn during a fit show the accepted parameters.
+  let accepted = params.map((param) => param.value);
+  startFit({
+    kind: "image",
+    status: imageStatus,
+    params,
+    residualFn: async (values) => {
+      params.forEach((param, index) => param.apply(values[index]));
+      const center = { x: start.x + shift.x, y: start.y + shift.y };
+      let job = null;
+      try {
+        job = simulationJob(resolveInputBeam());
+      } finally {
+        params.forEach((param, index) => param.apply(accepted[index]));
+      }
+      return imageResiduals(await fitSimulation(job), center, grid);
+    },
+    onStep: (values) => {
+      accepted = Array.from(values);
+      imageState.centerXPx = start.x + shift.x;
+      imageState.centerYPx = start.y + shift.y;
+    },
+    // Each cost is a full simulation, so the image fit stops a little sooner.
+    tolerance: 1e-5,
+    note: "The scan-averaged image does not show the sign of an offset.",
   });
 }
 
 function render() {
   SIM_DEFS.forEach((def) => syncControl(def.key));
+  syncBeamForm();
+  syncMirrorControls();
+
+  // The plots are redrawn once the simulation comes back from the worker.
+  const inputBeam = resolveInputBeam();
+  let job = null;
+  let errorText = null;
+  try {
+    job = simulationJob(inputBeam);
+  } catch (error) {
+    errorText = error.message;
+  }
+  requestSimulation(job, (result, simulationError) => showSimulation(result, simulationError || errorText, inputBeam));
+}
 
-  let simulationResult = null;
-  let errorText = cavityError;
+function showSimulation(simulationResult, simulationError, inputBeam) {
+  let couplingMap = null;
+  let errorText = simulationError;
 
-  if (!errorText) {
+  if (simulationResult) {
     try {
-      simulationResult = simulateModeScan();
+      simulationResult.trace = measuredTrace ? compareTrace(simulationResult) : null;
+      simulationResult.imageComparison = measuredImage ? compareImage(simulationResult) : null;
+      couplingMap = computeCouplingMap(inputBeam);
     } catch (error) {
       errorText = error.message;
     }
   }
 
-  drawCameraPlot(simulationResult, errorText);
-  drawScanPlot(simulationResult, errorText);
-  updateSummary(simulationResult);
+  // A zoom outlives a new run unless the scan range changed under it.
+  if (!simulationResult || (scanZoom && scanZoom.toFsr > simulationResult.dLFsr[simulationResult.dLFsr.length - 1])) {
+    scanZoom = null;
+  }
+  lastResult = simulationResult;
+  lastCouplingMap = couplingMap;
+  lastErrorText = errorText;
+  writeSession({ cavity: sanitizeCavityState(cavityState), scan: scanSettings() });
+  hoverPeak = null;
+  syncCursorControl();
+  if (cameraState.cameraView === 0 || !simulationResult) {
+    stopAnimation();
+  }
+  drawPeakViews(errorText);
+  updatePeakTable(simulationResult);
+  drawMapPlot(couplingMap, errorText);
+  drawModeContentPlot(simulationResult, errorText);
+  updateSummary(simulationResult, inputBeam);
+  updateDiagnostics(simulationResult);
+  syncTraceControls();
+  if (!activeFit || activeFit.kind !== "trace") {
+    traceStatus.textContent = describeTrace(simulationResult ? simulationResult.trace : null);
+  }
+  syncImageControls();
+  drawImageComparison(simulationResult, errorText);
+  if (!activeFit || activeFit.kind !== "image") {
+    imageStatus.textContent = describeImage(simulationResult);
+  }
+  if (statusNote) {
+    statusNote.status.textContent = `${statusNote.status.textContent} ${statusNote.message}`;
+    statusNote = null;
+  }
 
   if (errorText) {
     modeSimStatus.textContent = errorText;
   } else {
-    modeSimStatus.textContent = "Beam is initialized to the cavity mode at mirror 1. Use Match cavity mode to restore it.";
+    modeSimStatus.textContent = cavityPlanes.astigmatic
+      ? `Beam enters through mirror ${state.inputMirror}. The round input beam can only approximate the astigmatic cavity mode.`
+      : `Beam enters through mirror ${state.inputMirror}. Use Match cavity mode to set it to the cavity mode there.`;
+  }
+}
+
+function exportParameters() {
+  return {
+    cavity: cavityState,
+    beam: state,
+    camera: cameraState,
+    map: mapState,
+    numerics: numericsState,
+    trace: measuredTrace ? { ...traceState, file: measuredTrace.name } : null,
+    image: measuredImage ? { ...imageState, file: measuredImage.name } : null,
+  };
+}
+
+function scanTable() {
+  if (!lastResult) {
+    return null;
+  }
+  const columns = [
+    { name: "dL [FSR]", values: lastResult.dLFsr },
+    { name: "PD signal (normalized)", values: lastResult.pdSignal },
+  ];
+  if (lastResult.trace) {
+    columns.push(
+      { name: "Measured dL [FSR]", values: lastResult.trace.positions },
+      { name: "Measured signal (scaled)", values: lastResult.trace.measured },
+    );
+  }
+  return { columns };
+}
+
+function cameraTable() {
+  // Rows run from the lowest y upwards, like the simulated image.
+  if (!lastResult) {
+    return null;
+  }
+  const { view } = currentCameraView();
+  const [minMm, maxMm] = lastResult.extentMm;
+  const axis = Array.from({ length: lastResult.nPix }, (_, i) => minMm + (((maxMm - minMm) * i) / (lastResult.nPix - 1)));
+  return { matrix: { label: "y / x [mm]", x: axis, y: axis, values: view ? view.image : lastResult.cameraImage } };
+}
+
+function createExports() {
+  const redrawPeakViews = () => drawPeakViews(lastErrorText);
+  [
+    {
+      root: "cameraExport",
+      name: "mode-scan-camera",
+      title: "Camera intensity",
+      data: cameraTable,
+      plot: { canvas: cameraCanvas, redraw: redrawPeakViews },
+      parameters: () => {
+        const { view } = currentCameraView();
+        return { ...exportParameters(), view: view ? view.title : "Scan-averaged camera" };
+      },
+    },
+    {
+      root: "scanExport",
+      name: "mode-scan-transmission",
+      title: "Cavity transmission scan",
+      data: scanTable,
+      plot: { canvas: scanCanvas, redraw: redrawPeakViews },
+    },
+    {
+      root: "imageExport",
+      name: "mode-scan-image-comparison",
+      title: "Simulated, measured and difference camera images",
+      plot: { canvas: imageCanvas, redraw: () => drawImageComparison(lastResult, lastErrorText) },
+    },
+    {
+      root: "mapExport",
+      name: "mode-scan-coupling-map",
+      title: "TEM00 coupling map",
+      plot: { canvas: mapCanvas, redraw: () => drawMapPlot(lastCouplingMap, lastErrorText) },
+    },
+    {
+      root: "contentExport",
+      name: "mode-scan-mode-content",
+      title: "Input power per transverse mode",
+      plot: { canvas: contentCanvas, redraw: () => drawModeContentPlot(lastResult, lastErrorText) },
+    },
+    { root: "summaryExport", name: "mode-scan-summary", title: "Cavity carry-over", data: () => ({ rows: summaryRows(simSummary) }) },
+  ].forEach(({ root, ...item }) => addExportButtons(document.getElementById(root), { parameters: exportParameters, ...item }));
+}
+
+function scanSettings() {
+  return {
+    beam: { ...state },
+    map: { ...mapState },
+    design: { ...designState },
+    numerics: { ...numericsState },
+    camera: { cameraView: cameraState.cameraView },
+  };
+}
+
+function settingTarget(key) {
+  return [state, mapState, designState, numericsState, cameraState].find((target) => key in target);
+}
+
+function applySettings(settings) {
+  // Settings already checked by sanitizeSettings against URL_SETTING_DEFS.
+  Object.entries(settings).forEach(([key, value]) => {
+    if (key === "peakFsr") {
+      selectedPeakFsr = value;
+    } else {
+      settingTarget(key)[key] = value;
+    }
+  });
+}
+
+function upgradeBeamRoc(settings) {
+  // Links, sessions and saved configurations from before the Input curvature
+  // control carry the input beam's ROC in mm as `beamRocMm`.
+  const map = settings instanceof URLSearchParams ? settings : new Map(Object.entries(settings || {}));
+  if (map.has("beamRocMm")) {
+    const rocMm = Number(map.get("beamRocMm"));
+    if (!map.has("beamCurvature") && Number.isFinite(rocMm)) {
+      map.set("beamCurvature", beamCurvature(rocMm));
+    }
+    map.delete("beamRocMm");
   }
+  return settings instanceof URLSearchParams ? map : Object.fromEntries(map);
+}
+
+function restoreScanSettings(scan) {
+  const { beam, map, design, numerics, camera } = scan;
+  applySettings(sanitizeSettings({ ...upgradeBeamRoc(beam), ...map, ...design, ...numerics, ...camera }, URL_SETTING_DEFS));
+}
+
+function urlSettings() {
+  // Every setting is written, even at its default, so a shared link is not
+  // overridden by the settings the recipient's session restores first.
+  const settings = {};
+  URL_SETTING_DEFS.forEach(({ key }) => {
+    if (key === "peakFsr") {
+      if (selectedPeakFsr !== null) {
+        settings.peakFsr = selectedPeakFsr;
+      }
+    } else {
+      settings[key] = settingTarget(key)[key];
+    }
+  });
+  return settings;
+}
+
+function syncPageUrls() {
+  // View settings from the viewer ride along unread in both links.
+  const settings = { ...urlState.passthrough, ...urlSettings() };
+  backToViewerLink.href = buildViewerUrl(window.location.href, cavityState, settings);
+  replaceUrlSoon(buildModeScanUrl(window.location.href, cavityState, settings));
+}
+
+function captureConfiguration() {
+  return { cavity: sanitizeCavityState(cavityState), view: readSession().view, scan: scanSettings() };
+}
+
+function applyConfiguration(config) {
+  // The cavity is fixed for the lifetime of this page, so the configuration
+  // is handed over through the session and the page reloads with its cavity.
+  writeSession({ cavity: config.cavity, view: config.view, scan: config.scan });
+  window.location.href = buildModeScanUrl(window.location.href, config.cavity);
 }
 
 function resetToMatchedBeam() {
   const matched = matchedBeamDefaults();
+  state.beamForm = 0;
   state.beamWaistMm = matched.beamWaistMm;
-  state.beamRocMm = matched.beamRocMm;
+  state.beamCurvature = matched.beamCurvature;
+  syncControl("beamWaistMm");
+  syncControl("beamCurvature");
+  scheduleRender();
+}
+
+function designTarget() {
+  // Cavity mode just inside the input mirror, expressed as the reduced q
+  // (q / n) that the free-space beam outside has to match.
+  const wavelength = cavityState.wavelengthNm * 1e-9;
+  const mirror = inputMirrorMode(state.inputMirror);
+  const inverseQ = (plane) => ({
+    re: -cavityState.nCenter / (plane.rocMm * 1e-3),
+    im: -wavelength / (Math.PI * plane.wMirror * plane.wMirror),
+  });
+  return { x: inverseQ(mirror.x), y: inverseQ(mirror.y) };
+}
+
+function applyDesign(solution) {
+  const rocMm = cavityState.nCenter * solution.rocMirror * 1e3;
+  const curvature = beamCurvature(rocMm);
+  state.beamForm = 0;
+  state.beamWaistMm = solution.wMirror * 1e3;
+  state.beamCurvature = curvature;
   syncControl("beamWaistMm");
-  syncControl("beamRocMm");
+  syncControl("beamCurvature");
+  if (Number.isFinite(rocMm) && Math.abs((curvature * rocMm) - 1e3) > 1e-6) {
+    designStatus.textContent = `Applied; the beam ROC of ${formatNumber(rocMm, 1)} mm was clamped to the Input curvature range.`;
+  }
   scheduleRender();
 }
 
+function describeLenses(solution) {
+  return solution.lenses
+    .map((lens) => `f ${formatNumber(lens.focal * 1e3, 0)} mm at ${formatNumber(lens.position * 1e3, 1)} mm (+/- ${formatNumber(lens.tolerance * 1e3, 1)})`)
+    .join(", then ");
+}
+
+function runDesign() {
+  designResults.innerHTML = "";
+  if (cavityError) {
+    designStatus.textContent = "The cavity has no stable mode to match.";
+    return;
+  }
+  const focalLengths = parseFocalCatalog(designCatalog.value).map((value) => value * 1e-3);
+  if (!focalLengths.length) {
+    designStatus.textContent = "Enter at least one focal length.";
+    return;
+  }
+
+  const wavelength = cavityState.wavelengthNm * 1e-9;
+  const { direct, results } = designModeMatching({
+    laser: { waist: designState.laserWaistMm * 1e-3, distance: designState.laserDistanceMm * 1e-3 },
+    target: designTarget(),
+    wavelength,
+    clearance: designState.lensClearanceMm * 1e-3,
+    focalLengths,
+  });
+
+  results.forEach((solution) => {
+    const item = document.createElement("li");
+    const row = document.createElement("div");
+    row.className = "design-result";
+    const value = document.createElement("span");
+    value.className = "design-coupling";
+    value.textContent = `${formatNumber(solution.coupling * 100, 2)} %`;
+    const lenses = document.createElement("span");
+    lenses.className = "design-lenses";
+    lenses.textContent = describeLenses(solution);
+    const apply = document.createElement("button");
+    apply.type = "button";
+    apply.className = "ghost-button";
+    apply.textContent = "Apply";
+    apply.addEventListener("click", () => applyDesign(solution));
+    row.append(value, lenses, apply);
+    item.appendChild(row);
+    designResults.appendChild(item);
+  });
+
+  designStatus.textContent = results.length
+    ? `TEM00 coupling into mirror ${state.inputMirror}; without lenses ${formatNumber(direct * 100, 2)} %. `
+      + `+/- is the lens shift that costs ${formatNumber(TOLERANCE_DROP * 100, 0)} % coupling.`
+    : "No placement fits between the laser and the mirror.";
+}
+
 function init() {
-  SIM_DEFS.forEach(createControl);
-  backToViewerLink.href = buildViewerUrl(window.location.href, cavityState);
+  const session = readSession();
+  if (session.scan && sameCavity(session.cavity, cavityState)) {
+    restoreScanSettings(session.scan);
+  }
+  applySettings(urlState.settings);
+  SIM_DEFS.forEach((def) => createControl(def));
+  const mirrorRow = createSelectControl("inputMirror", "Input mirror", INPUT_MIRRORS).row;
+  controlsRoot.insertBefore(mirrorRow, controlState.get(SIM_DEFS.find((def) => def.forms).key).row);
+  beamFormControls = createBeamFormControls();
+  const basisRow = createSelectControl("basis", "Mode basis", BASES).row;
+  controlsRoot.insertBefore(basisRow, controlState.get("nMax").row);
+  MIRROR_DEFS.forEach((def) => createControl(def, mirrorControlsRoot, cavityState));
+  createSelectControl("mapAxes", "Map axes", MAP_AXES, mapControlsRoot, mapState);
+  MAP_DEFS.forEach((def) => createControl(def, mapControlsRoot, mapState));
+  DESIGN_DEFS.forEach((def) => createControl(def, designControlsRoot, designState, () => {}));
+  NUMERICS_DEFS.forEach((def) => createControl(def, numericsControlsRoot, numericsState));
+  designCatalog.value = DEFAULT_CATALOG_MM.join(", ");
+  designSearchButton.addEventListener("click", runDesign);
+  designSearchButton.disabled = Boolean(cavityError);
   matchBeamButton.addEventListener("click", resetToMatchedBeam);
   matchBeamButton.disabled = Boolean(cavityError);
+  cameraViewSelect = createSelectControl("cameraView", "Camera", CAMERA_VIEWS, cameraControlsRoot, cameraState).select;
+  createControl(CURSOR_DEF, cameraControlsRoot, cameraState, () => drawPeakViews());
+  cameraPlayButton.addEventListener("click", toggleAnimation);
+  TRACE_DEFS.forEach((def) => createControl(def, traceControlsRoot, traceState));
+  createFitOptions(FIT_PARAMS, fitSelection, traceFitOptions);
+  traceFile.addEventListener("change", () => {
+    if (traceFile.files.length) {
+      loadTrace(traceFile.files[0]);
+    }
+  });
+  traceFitButton.addEventListener("click", startTraceFit);
+  traceClearButton.addEventListener("click", clearTrace);
+  IMAGE_DEFS.forEach((def) => createControl(def, imageControlsRoot, imageState));
+  createFitOptions(IMAGE_FIT_PARAMS, imageFitSelection, imageFitOptions);
+  imageFile.addEventListener("change", () => {
+    if (imageFile.files.length) {
+      loadImage(imageFile.files[0]);
+    }
+  });
+  imageFitButton.addEventListener("click", startImageFit);
+  imageClearButton.addEventListener("click", clearImage);
+  createExports();
+  createLibraryPanel(libraryRoot, libraryStatus, { capture: captureConfiguration, apply: applyConfiguration });
+  scanCanvas.addEventListener("pointermove", (event) => {
+    if (cameraState.cameraView === 1) {
+      if (event.buttons & 1 && !animation) {
+        setCursor(cursorAtPointer(event));
+      }
+      return;
+    }
+    setHoverPeak(peakAtPointer(event));
+  });
+  scanCanvas.addEventListener("pointerleave", () => setHoverPeak(null));
+  scanCanvas.addEventListener("click", (event) => {
+    if (cameraState.cameraView === 1) {
+      if (!animation && lastResult) {
+        setCursor(cursorAtPointer(event));
+      }
+      return;
+    }
+    toggleSelectedPeak(peakAtPointer(event));
+  });
+  scanCanvas.addEventListener("wheel", (event) => {
+    // The page scrolls past the whole scan; zooming in needs Ctrl (or a
+    // trackpad pinch), and a zoomed plot takes the wheel until zoomed out.
+    if (!lastResult || !scanLayout || (!scanZoom && !event.ctrlKey && !event.metaKey)) {
+      return;
+    }
+    event.preventDefault();
+    const rect = scanCanvas.getBoundingClientRect();
+    zoomScan(scanLayout.unmapX(event.clientX - rect.left), event.deltaY > 0 ? SCAN_ZOOM_STEP : 1 / SCAN_ZOOM_STEP);
+  }, { passive: false });
+  scanCanvas.addEventListener("dblclick", () => {
+    if (scanZoom) {
+      scanZoom = null;
+      redrawScanPlot();
+    }
+  });
   window.addEventListener("resize", scheduleRender);
+  startSimulationWorker();
   render();
 }
 
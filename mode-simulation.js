@@ -0,0 +1,1190 @@
+"use strict";
+
+// Mode-scan simulation shared by mode-scan.js and mode-scan-worker.js, so it
+// attaches to `self` rather than `window`.
+(() => {
+  // Normalization of a 1D Gaussian exp(-x^2 / w^2) to unit power is (2 / pi)^(1/4) / sqrt(w).
+  const GAUSS_NORM = (2 / Math.PI) ** 0.25;
+  const FACTORIALS = (() => {
+    const values = [1];
+    for (let i = 1; i <= 30; i += 1) {
+      values.push(values[i - 1] * i);
+    }
+    return values;
+  })();
+
+  // Modes and groups below this share of the input power are left out of
+  // the camera images; their field is below 1e-8 of the total.
+  const NEGLIGIBLE_POWER = 1e-16;
+  // Cholesky pivots below this fraction of the largest diagonal are rounding.
+  const CHOLESKY_FLOOR = 1e-14;
+  // Resonances of groups with at least this share of the strongest group's
+  // power get extra scan samples, at these distances in half widths.
+  const VISIBLE_POWER = 1e-5;
+  const RESONANCE_OFFSETS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13, 20];
+  // Golden-section and bisection steps for peak positions and half widths.
+  const REFINE_STEPS = 60;
+
+  const basisCache = new Map();
+
+  function maxValue(values) {
+    let max = Number.NEGATIVE_INFINITY;
+    for (let i = 0; i < values.length; i += 1) {
+      if (values[i] > max) {
+        max = values[i];
+      }
+    }
+    return max;
+  }
+
+  function linspace(start, end, count) {
+    const values = new Float64Array(count);
+    if (count === 1) {
+      values[0] = start;
+      return values;
+    }
+
+    const step = (end - start) / (count - 1);
+    for (let i = 0; i < count; i += 1) {
+      values[i] = start + i * step;
+    }
+    return values;
+  }
+
+  function hermiteTable(xValues, maxOrder) {
+    const table = Array.from({ length: maxOrder + 1 }, () => new Float64Array(xValues.length));
+    if (table.length === 0) {
+      return table;
+    }
+
+    for (let i = 0; i < xValues.length; i += 1) {
+      table[0][i] = 1;
+    }
+    if (maxOrder >= 1) {
+      for (let i = 0; i < xValues.length; i += 1) {
+        table[1][i] = 2 * xValues[i];
+      }
+    }
+    for (let n = 2; n <= maxOrder; n += 1) {
+      const previous = table[n - 1];
+      const previousPrevious = table[n - 2];
+      const current = table[n];
+      for (let i = 0; i < xValues.length; i += 1) {
+        current[i] = (2 * xValues[i] * previous[i]) - (2 * (n - 1) * previousPrevious[i]);
+      }
+    }
+
+    return table;
+  }
+
+  function getBasis(wMirror, mirrorRoc, wavelength, halfSize, nPix, nMax) {
+    const key = [
+      wMirror.toPrecision(9),
+      mirrorRoc.toPrecision(9),
+      wavelength.toPrecision(9),
+      halfSize.toPrecision(9),
+      nPix,
+      nMax,
+    ].join("|");
+
+    if (basisCache.has(key)) {
+      return basisCache.get(key);
+    }
+
+    const x = linspace(-halfSize, halfSize, nPix);
+    const dx = x[1] - x[0];
+    const k = (2 * Math.PI) / wavelength;
+    const xi = new Float64Array(x.length);
+    const hermites = [];
+    const phaseRe = new Float64Array(x.length);
+    const phaseIm = new Float64Array(x.length);
+    const envelope = new Float64Array(x.length);
+
+    for (let i = 0; i < x.length; i += 1) {
+      const value = x[i];
+      xi[i] = Math.SQRT2 * value / wMirror;
+      envelope[i] = Math.exp(-(value * value) / (wMirror * wMirror));
+      if (Number.isFinite(mirrorRoc)) {
+        const angle = (-k * value * value) / (2 * mirrorRoc);
+        phaseRe[i] = Math.cos(angle);
+        phaseIm[i] = Math.sin(angle);
+      } else {
+        phaseRe[i] = 1;
+        phaseIm[i] = 0;
+      }
+    }
+
+    hermites.push(...hermiteTable(xi, nMax));
+
+    // The real profiles without the wavefront phase, which every mode shares.
+    const profile = [];
+    const uRe = [];
+    const uIm = [];
+    for (let n = 0; n <= nMax; n += 1) {
+      const prefactor = GAUSS_NORM / (Math.sqrt((2 ** n) * FACTORIALS[n]) * Math.sqrt(wMirror));
+      const row = new Float64Array(x.length);
+      const rowRe = new Float64Array(x.length);
+      const rowIm = new Float64Array(x.length);
+      for (let i = 0; i < x.length; i += 1) {
+        row[i] = prefactor * hermites[n][i] * envelope[i];
+        rowRe[i] = row[i] * phaseRe[i];
+        rowIm[i] = row[i] * phaseIm[i];
+      }
+      profile.push(row);
+      uRe.push(rowRe);
+      uIm.push(rowIm);
+    }
+
+    const basis = { x, dx, waist: wMirror, roc: mirrorRoc, profile, uRe, uIm };
+    basisCache.set(key, basis);
+    return basis;
+  }
+
+  function computeAxisOverlap(basis, beamWaist, beamRoc, wavelength, offsetMeters, tiltRadians = 0) {
+    const coefficientsRe = new Float64Array(basis.uRe.length);
+    const coefficientsIm = new Float64Array(basis.uRe.length);
+    const amplitude = GAUSS_NORM / Math.sqrt(beamWaist);
+    const k = (2 * Math.PI) / wavelength;
+
+    for (let i = 0; i < basis.x.length; i += 1) {
+      const shifted = basis.x[i] - offsetMeters;
+      const envelope = amplitude * Math.exp(-(shifted * shifted) / (beamWaist * beamWaist));
+      // Wavefront curvature plus the linear ramp of a beam tilted about its
+      // own center; both are measured inside the cavity medium.
+      let angle = k * tiltRadians * shifted;
+      if (Number.isFinite(beamRoc)) {
+        angle += (-k * shifted * shifted) / (2 * beamRoc);
+      }
+      const fieldRe = envelope * Math.cos(angle);
+      const fieldIm = envelope * Math.sin(angle);
+
+      for (let n = 0; n < basis.uRe.length; n += 1) {
+        const modeRe = basis.uRe[n][i];
+        const modeIm = basis.uIm[n][i];
+        coefficientsRe[n] += (modeRe * fieldRe + modeIm * fieldIm) * basis.dx;
+        coefficientsIm[n] += (modeRe * fieldIm - modeIm * fieldRe) * basis.dx;
+      }
+    }
+
+    return { re: coefficientsRe, im: coefficientsIm };
+  }
+
+  function erfc(value) {
+    // Chebyshev fit with a relative error below 1.2e-7 everywhere, so far
+    // tails keep their size (Numerical Recipes, erfcc).
+    const z = Math.abs(value);
+    const t = 1 / (1 + (0.5 * z));
+    let series = 0;
+    [0.17087277, -0.82215223, 1.48851587, -1.13520398, 0.27886807, -0.18628806, 0.09678418, 0.37409196, 1.00002368, -1.26551223]
+      .forEach((coefficient) => {
+        series = (series * t) + coefficient;
+      });
+    const tail = t * Math.exp(-(z * z) + series);
+    return value >= 0 ? tail : 2 - tail;
+  }
+
+  function complexProduct(a, b) {
+    return { re: (a.re * b.re) - (a.im * b.im), im: (a.re * b.im) + (a.im * b.re) };
+  }
+
+  function complexQuotient(a, b) {
+    const norm = (b.re * b.re) + (b.im * b.im);
+    return { re: ((a.re * b.re) + (a.im * b.im)) / norm, im: ((a.im * b.re) - (a.re * b.im)) / norm };
+  }
+
+  function complexSqrt(a) {
+    const magnitude = Math.hypot(a.re, a.im);
+    return { re: Math.sqrt((magnitude + a.re) / 2), im: Math.sign(a.im) * Math.sqrt((magnitude - a.re) / 2) };
+  }
+
+  function analyticAxisOverlap(basis, beamWaist, beamRoc, wavelength, offsetMeters, tiltRadians = 0) {
+    // The overlaps of computeAxisOverlap without the grid. With the Hermite
+    // generating function, sum_n H_n(xi) t^n / n! = exp(2 xi t - t^2), the
+    // overlap becomes one Gaussian integral, C exp(P t + Q t^2), whose Taylor
+    // coefficients follow a three-term recurrence.
+    const size = basis.profile.length;
+    const k = (2 * Math.PI) / wavelength;
+    const a = offsetMeters;
+    // The conjugated mode is exp(-qMode x^2) and the input exp(-qBeam s^2 + i k tilt s), s = x - a.
+    const qMode = { re: 1 / (basis.waist * basis.waist), im: Number.isFinite(basis.roc) ? -k / (2 * basis.roc) : 0 };
+    const qBeam = { re: 1 / (beamWaist * beamWaist), im: Number.isFinite(beamRoc) ? k / (2 * beamRoc) : 0 };
+    const sum = { re: qMode.re + qBeam.re, im: qMode.im + qBeam.im };
+    const linear = { re: 2 * qBeam.re * a, im: (2 * qBeam.im * a) + (k * tiltRadians) };
+
+    const quadratic = complexQuotient(complexProduct(linear, linear), { re: 4 * sum.re, im: 4 * sum.im });
+    const exponent = {
+      re: quadratic.re - (qBeam.re * a * a),
+      im: quadratic.im - (qBeam.im * a * a) - (k * tiltRadians * a),
+    };
+    const magnitude = (Math.SQRT2 / Math.sqrt(Math.PI * basis.waist * beamWaist)) * Math.exp(exponent.re);
+    const root = complexSqrt(complexQuotient({ re: Math.PI, im: 0 }, sum));
+    const scale = complexProduct(root, { re: magnitude * Math.cos(exponent.im), im: magnitude * Math.sin(exponent.im) });
+    const p = complexQuotient(linear, sum);
+    p.re *= Math.SQRT2 / basis.waist;
+    p.im *= Math.SQRT2 / basis.waist;
+    const q = complexQuotient({ re: 2 / (basis.waist * basis.waist), im: 0 }, sum);
+    q.re -= 1;
+
+    // c_n = scale h_n with h_{n+1} = (P h_n + Q sqrt(2n) h_{n-1}) / sqrt(2(n + 1)).
+    const coefficientsRe = new Float64Array(size);
+    const coefficientsIm = new Float64Array(size);
+    let previous = { re: 0, im: 0 };
+    let current = { re: 1, im: 0 };
+    for (let n = 0; n < size; n += 1) {
+      const value = complexProduct(scale, current);
+      coefficientsRe[n] = value.re;
+      coefficientsIm[n] = value.im;
+      const fromCurrent = complexProduct(p, current);
+      const fromPrevious = complexProduct(q, previous);
+      const weight = Math.sqrt(2 * n);
+      const norm = Math.sqrt(2 * (n + 1));
+      previous = current;
+      current = {
+        re: (fromCurrent.re + (weight * fromPrevious.re)) / norm,
+        im: (fromCurrent.im + (weight * fromPrevious.im)) / norm,
+      };
+    }
+
+    return { re: coefficientsRe, im: coefficientsIm };
+  }
+
+  function gaussianCoefficients(job, basisX, basisY) {
+    // Per-axis coefficients of the Gaussian input, alpha_n along x and
+    // beta_m along y, in closed form. The same overlaps integrated on the
+    // camera grid are kept as a check: the power of c_nm - c_grid_nm shows
+    // where the grid truncates or undersamples the beam. outsideFov is the
+    // share of the input power that falls outside the camera grid.
+    const { beam, wavelength } = job;
+    const axes = [
+      [basisX, job.xOffUm * 1e-6, job.xTiltUrad * 1e-6],
+      [basisY, job.yOffUm * 1e-6, job.yTiltUrad * 1e-6],
+    ];
+    const [alpha, beta] = axes.map(([basis, offset, tilt]) => analyticAxisOverlap(basis, beam.waist, beam.roc, wavelength, offset, tilt));
+    const [alphaGrid, betaGrid] = axes.map(([basis, offset, tilt]) => computeAxisOverlap(basis, beam.waist, beam.roc, wavelength, offset, tilt));
+
+    const inner = (left, right) => {
+      const value = { re: 0, im: 0 };
+      for (let n = 0; n < left.re.length; n += 1) {
+        value.re += (left.re[n] * right.re[n]) + (left.im[n] * right.im[n]);
+        value.im += (left.re[n] * right.im[n]) - (left.im[n] * right.re[n]);
+      }
+      return value;
+    };
+    const cross = complexProduct(inner(alpha, alphaGrid), inner(beta, betaGrid));
+    const gridError = (inner(alpha, alpha).re * inner(beta, beta).re)
+      + (inner(alphaGrid, alphaGrid).re * inner(betaGrid, betaGrid).re)
+      - (2 * cross.re);
+    const outside = axes.map(([basis, offset]) => {
+      const halfSize = basis.x[basis.x.length - 1];
+      return 0.5 * (erfc((Math.SQRT2 * (halfSize - offset)) / beam.waist) + erfc((Math.SQRT2 * (halfSize + offset)) / beam.waist));
+    });
+    return {
+      alpha,
+      beta,
+      gridError: Math.max(0, gridError),
+      outsideFov: outside[0] + outside[1] - (outside[0] * outside[1]),
+    };
+  }
+
+  function laguerre(p, a, t) {
+    // Generalized Laguerre polynomial L_p^a(t) by the three-term recurrence.
+    let previous = 1;
+    if (p === 0) {
+      return previous;
+    }
+    let current = 1 + a - t;
+    for (let k = 1; k < p; k += 1) {
+      const next = (((2 * k) + 1 + a - t) * current - (k + a) * previous) / (k + 1);
+      previous = current;
+      current = next;
+    }
+    return current;
+  }
+
+  function laguerreGaussField(x, mode, wavelength) {
+    // LG_pl on the square camera grid, normalized to unit power, with the same
+    // wavefront-curvature and tilt conventions as computeAxisOverlap.
+    const { waist, roc, p, l, offset = [0, 0], tilt = [0, 0] } = mode;
+    const nPix = x.length;
+    const k = (2 * Math.PI) / wavelength;
+    const order = Math.abs(l);
+    const norm = Math.sqrt((2 * FACTORIALS[p]) / (Math.PI * FACTORIALS[p + order])) / waist;
+    const re = new Float64Array(nPix * nPix);
+    const im = new Float64Array(nPix * nPix);
+
+    for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+      const yValue = x[yIndex] - offset[1];
+      for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+        const xValue = x[xIndex] - offset[0];
+        const r2 = (xValue * xValue) + (yValue * yValue);
+        const t = (2 * r2) / (waist * waist);
+        const amplitude = norm * (Math.sqrt(t) ** order) * laguerre(p, order, t) * Math.exp(-r2 / (waist * waist));
+        let angle = (l * Math.atan2(yValue, xValue)) + (k * ((tilt[0] * xValue) + (tilt[1] * yValue)));
+        if (Number.isFinite(roc)) {
+          angle += (-k * r2) / (2 * roc);
+        }
+        const pixel = (yIndex * nPix) + xIndex;
+        re[pixel] = amplitude * Math.cos(angle);
+        im[pixel] = amplitude * Math.sin(angle);
+      }
+    }
+    return { re, im };
+  }
+
+  function describeLaguerreGroup(members, power) {
+    // Peak label: the order and its strongest members.
+    const strong = members
+      .map((member, index) => ({ member, value: power[index] }))
+      .filter(({ value }) => value >= 0.05 * Math.max(...power))
+      .sort((a, b) => b.value - a.value)
+      .slice(0, 2)
+      .map(({ member: [p, l] }) => `LG${p},${l}`);
+    return strong.join(" ");
+  }
+
+  function projectField(field, basisX, basisY, maxOrder) {
+    // HG coefficients <u_n v_m | field> of a field on the camera grid, taken
+    // one axis at a time, for the modes with n + m <= maxOrder.
+    const nPix = basisX.x.length;
+    const size = basisX.uRe.length;
+    const rowsRe = Array.from({ length: size }, () => new Float64Array(nPix));
+    const rowsIm = Array.from({ length: size }, () => new Float64Array(nPix));
+    for (let n = 0; n < size; n += 1) {
+      const modeRe = basisX.uRe[n];
+      const modeIm = basisX.uIm[n];
+      for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+        const rowOffset = yIndex * nPix;
+        let sumRe = 0;
+        let sumIm = 0;
+        for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+          const fieldRe = field.re[rowOffset + xIndex];
+          const fieldIm = field.im[rowOffset + xIndex];
+          sumRe += (modeRe[xIndex] * fieldRe) + (modeIm[xIndex] * fieldIm);
+          sumIm += (modeRe[xIndex] * fieldIm) - (modeIm[xIndex] * fieldRe);
+        }
+        rowsRe[n][yIndex] = sumRe * basisX.dx;
+        rowsIm[n][yIndex] = sumIm * basisX.dx;
+      }
+    }
+
+    const re = new Float64Array(size * size);
+    const im = new Float64Array(size * size);
+    for (let m = 0; m < size; m += 1) {
+      const modeRe = basisY.uRe[m];
+      const modeIm = basisY.uIm[m];
+      for (let n = 0; n + m <= maxOrder && n < size; n += 1) {
+        let sumRe = 0;
+        let sumIm = 0;
+        for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+          sumRe += (modeRe[yIndex] * rowsRe[n][yIndex]) + (modeIm[yIndex] * rowsIm[n][yIndex]);
+          sumIm += (modeRe[yIndex] * rowsIm[n][yIndex]) - (modeIm[yIndex] * rowsRe[n][yIndex]);
+        }
+        re[(m * size) + n] = sumRe * basisY.dx;
+        im[(m * size) + n] = sumIm * basisY.dx;
+      }
+    }
+    return { re, im };
+  }
+
+  function laguerreWeight(nl, ml, k) {
+    // b(n, m, k) of Beijersbergen et al. (1993), for the LG mode with
+    // p = min(n, m) and l = n - m: LG = sum_k i^k b(n, m, k) HG_{n+m-k, k}.
+    const order = nl + ml;
+    const choose = (top, bottom) => FACTORIALS[top] / (FACTORIALS[bottom] * FACTORIALS[top - bottom]);
+    let sum = 0;
+    for (let j = Math.max(0, k - ml); j <= Math.min(nl, k); j += 1) {
+      sum += (j % 2 === 0 ? 1 : -1) * choose(nl, j) * choose(ml, k - j);
+    }
+    return sum * Math.sqrt((FACTORIALS[order - k] * FACTORIALS[k]) / ((2 ** order) * FACTORIALS[nl] * FACTORIALS[ml]));
+  }
+
+  function cameraModes(basisX, basisY, coefficients, modeGroups) {
+    // What the camera images are built from: the real HG profiles along x
+    // and y (copied, as the basis stays cached), the mode coefficients, the
+    // resonance group of each mode (-1 for none) and the modes that carry
+    // more than a negligible share of the power.
+    const { re, im } = coefficients;
+    let total = 0;
+    for (let mode = 0; mode < re.length; mode += 1) {
+      if (modeGroups[mode] >= 0) {
+        total += (re[mode] * re[mode]) + (im[mode] * im[mode]);
+      }
+    }
+    const active = [];
+    for (let mode = 0; mode < re.length; mode += 1) {
+      if (modeGroups[mode] >= 0 && (re[mode] * re[mode]) + (im[mode] * im[mode]) > NEGLIGIBLE_POWER * total) {
+        active.push(mode);
+      }
+    }
+    return {
+      size: basisX.profile.length,
+      profileX: basisX.profile.map((row) => Float64Array.from(row)),
+      profileY: basisY.profile.map((row) => Float64Array.from(row)),
+      re,
+      im,
+      group: modeGroups,
+      active: Int32Array.from(active),
+    };
+  }
+
+  function decomposeLaguerre(job) {
+    // The input is projected on the HG basis, which spans the same order
+    // groups, so the camera images stay separable; the LG coefficients of
+    // each order follow from the HG ones of that order.
+    const { beam, wavelength, mirror, halfSize, nPix, nMax } = job;
+    if (job.astigmatic) {
+      throw new Error("The LG basis needs a cavity without astigmatism.");
+    }
+    const basis = getBasis(mirror.x.wMirror, mirror.x.rocMm * 1e-3, wavelength, halfSize, nPix, nMax);
+    const size = nMax + 1;
+    let coefficients;
+    // Only a Gaussian input has closed-form coefficients to check the grid against.
+    let gridError = null;
+    let outsideFov;
+    if (job.inputP === 0 && job.inputL === 0) {
+      const gaussian = gaussianCoefficients(job, basis, basis);
+      const { alpha, beta } = gaussian;
+      coefficients = { re: new Float64Array(size * size), im: new Float64Array(size * size) };
+      for (let m = 0; m < size; m += 1) {
+        for (let n = 0; n < size; n += 1) {
+          coefficients.re[(m * size) + n] = (alpha.re[n] * beta.re[m]) - (alpha.im[n] * beta.im[m]);
+          coefficients.im[(m * size) + n] = (alpha.re[n] * beta.im[m]) + (alpha.im[n] * beta.re[m]);
+        }
+      }
+      ({ gridError, outsideFov } = gaussian);
+    } else {
+      const field = laguerreGaussField(basis.x, {
+        waist: beam.waist,
+        roc: beam.roc,
+        p: job.inputP,
+        l: job.inputL,
+        offset: [job.xOffUm * 1e-6, job.yOffUm * 1e-6],
+        tilt: [job.xTiltUrad * 1e-6, job.yTiltUrad * 1e-6],
+      }, wavelength);
+      coefficients = projectField(field, basis, basis, nMax);
+      let gridPower = 0;
+      for (let pixel = 0; pixel < field.re.length; pixel += 1) {
+        gridPower += (field.re[pixel] * field.re[pixel]) + (field.im[pixel] * field.im[pixel]);
+      }
+      outsideFov = Math.max(0, 1 - (gridPower * basis.dx * basis.dx));
+    }
+
+    // Modes of equal order 2p+|l| share a round-trip Gouy phase.
+    const groups = Array.from({ length: nMax + 1 }, (_, order) => ({
+      gouyPhase: order * mirror.x.gouyRoundTrip,
+      order,
+      members: [],
+      power: [],
+    }));
+    const groupPower = new Float64Array(groups.length);
+    const modeGroups = new Int32Array(size * size).fill(-1);
+
+    const rows = Math.floor(nMax / 2) + 1;
+    const cols = (2 * nMax) + 1;
+    const power = new Float64Array(rows * cols).fill(NaN);
+    const byOrder = new Float64Array(nMax + 1);
+    let captured = 0;
+
+    groups.forEach((group) => {
+      const { order } = group;
+      for (let k = 0; k <= order; k += 1) {
+        modeGroups[(k * size) + order - k] = order;
+      }
+      for (let l = -order; l <= order; l += 2) {
+        const p = (order - Math.abs(l)) / 2;
+        // <LG | input> = sum_k i^k b <HG_{order-k,k} | input>; i^k rather
+        // than its conjugate gives l the sign used in laguerreGaussField.
+        let coeffRe = 0;
+        let coeffIm = 0;
+        for (let k = 0; k <= order; k += 1) {
+          const weight = laguerreWeight((order + l) / 2, (order - l) / 2, k);
+          const mode = (k * size) + order - k;
+          const [re, im] = [
+            [coefficients.re[mode], coefficients.im[mode]],
+            [-coefficients.im[mode], coefficients.re[mode]],
+            [-coefficients.re[mode], -coefficients.im[mode]],
+            [coefficients.im[mode], -coefficients.re[mode]],
+          ][k % 4];
+          coeffRe += weight * re;
+          coeffIm += weight * im;
+        }
+
+        const modePower = (coeffRe * coeffRe) + (coeffIm * coeffIm);
+        group.members.push([p, l]);
+        group.power.push(modePower);
+        groupPower[order] += modePower;
+        power[(p * cols) + l + nMax] = modePower;
+        byOrder[order] += modePower;
+        captured += modePower;
+      }
+      group.label = `N=${order} ${describeLaguerreGroup(group.members, group.power)}`;
+    });
+
+    return {
+      x: basis.x,
+      groups,
+      groupPower,
+      modes: cameraModes(basis, basis, coefficients, modeGroups),
+      modeContent: {
+        nMax,
+        rows,
+        cols,
+        colStart: -nMax,
+        power,
+        byOrder,
+        captured,
+        xLabel: "l (azimuthal)",
+        yLabel: "p (radial)",
+        orderLabel: "2p+|l|",
+        gridError,
+        outsideFov,
+      },
+    };
+  }
+
+  function decomposeHermite(job) {
+    const { wavelength, mirror, halfSize, nPix, nMax } = job;
+    const basisX = getBasis(mirror.x.wMirror, mirror.x.rocMm * 1e-3, wavelength, halfSize, nPix, nMax);
+    const basisY = getBasis(mirror.y.wMirror, mirror.y.rocMm * 1e-3, wavelength, halfSize, nPix, nMax);
+    const { alpha, beta, gridError, outsideFov } = gaussianCoefficients(job, basisX, basisY);
+    const groups = buildResonanceGroups(
+      nMax,
+      mirror.x.gouyRoundTrip,
+      mirror.y.gouyRoundTrip,
+      job.parityX,
+    );
+
+    // The round input beam separates, so c_nm = alpha_n beta_m.
+    const size = nMax + 1;
+    const re = new Float64Array(size * size);
+    const im = new Float64Array(size * size);
+    const modeGroups = new Int32Array(size * size);
+    const groupPower = new Float64Array(groups.length);
+    groups.forEach((group, groupIndex) => {
+      group.members.forEach(([n, m]) => {
+        const mode = (m * size) + n;
+        re[mode] = (alpha.re[n] * beta.re[m]) - (alpha.im[n] * beta.im[m]);
+        im[mode] = (alpha.re[n] * beta.im[m]) + (alpha.im[n] * beta.re[m]);
+        modeGroups[mode] = groupIndex;
+        groupPower[groupIndex] += (re[mode] * re[mode]) + (im[mode] * im[mode]);
+      });
+      // Astigmatism splits the n+m families, so those groups name their modes.
+      group.label = job.astigmatic && group.members.length <= 2
+        ? group.members.map(([n, m]) => `TEM${n},${m}`).join(" ")
+        : `n+m=${group.order}`;
+    });
+    return {
+      x: basisX.x,
+      groups,
+      groupPower,
+      modes: cameraModes(basisX, basisY, { re, im }, modeGroups),
+      modeContent: { ...computeModeContent(alpha, beta, nMax), gridError, outsideFov },
+    };
+  }
+
+  function decomposeInput(job) {
+    // Resonance groups of the input beam with the power each carries, and
+    // the HG modes the camera images are built from.
+    return job.basis === 1 ? decomposeLaguerre(job) : decomposeHermite(job);
+  }
+
+  function buildResonanceGroups(nMax, gouyX, gouyY, parityX = 0) {
+    // Modes whose round-trip Gouy phases agree modulo 2*pi resonate at the same
+    // cavity length. Without astigmatism this groups TEM_nm by n+m. Rings with an
+    // odd mirror count add pi per round trip to modes with odd n.
+    const groups = [];
+    const groupByPhase = new Map();
+    const fullTurn = 2 * Math.PI;
+
+    for (let order = 0; order <= 2 * nMax; order += 1) {
+      for (let n = Math.max(0, order - nMax); n <= Math.min(nMax, order); n += 1) {
+        const m = order - n;
+        const gouyPhase = (n * (gouyX + parityX)) + (m * gouyY);
+        const key = Math.round((((gouyPhase % fullTurn) + fullTurn) % fullTurn) * 1e9) % Math.round(fullTurn * 1e9);
+        if (!groupByPhase.has(key)) {
+          const group = { gouyPhase, order, members: [] };
+          groupByPhase.set(key, group);
+          groups.push(group);
+        }
+        groupByPhase.get(key).members.push([n, m]);
+      }
+    }
+
+    return groups;
+  }
+
+  function modeIntensity(modes, factors, onProgress = () => {}) {
+    // Camera intensity sum_r |sum_nm w_r[g] c_nm u_n(x) v_m(y)|^2, where g
+    // is the resonance group of mode (n, m) and each factor w_r is a Map
+    // from group index to a complex weight. The mirror-curvature phase is
+    // the same for every mode and drops out, so only the real HG profiles
+    // h_n(x) and g_m(y) enter and no 2D mode image is ever formed. Each
+    // factor is first summed over m into rows A_r[n](y). With few factors
+    // every field is then squared directly; with many, the rows are paired
+    // into the symmetric H[n][n'](y) = Re sum_r A_r[n] A_r[n']^*, and the
+    // image is sum_{n <= n'} (2 - delta_nn') h_n(x) h_n'(x) H[n][n'](y).
+    const { size, profileX, profileY, re, im, group, active } = modes;
+    const nPix = profileX[0].length;
+    const intensity = new Float64Array(nPix * nPix);
+    const membersOf = new Map();
+    active.forEach((mode) => {
+      if (!membersOf.has(group[mode])) {
+        membersOf.set(group[mode], []);
+      }
+      membersOf.get(group[mode]).push(mode);
+    });
+
+    const rowsOf = (weights) => {
+      const rows = new Map();
+      weights.forEach((weight, groupIndex) => {
+        (membersOf.get(groupIndex) || []).forEach((mode) => {
+          const n = mode % size;
+          const profile = profileY[(mode - n) / size];
+          const coeffRe = (weight.re * re[mode]) - (weight.im * im[mode]);
+          const coeffIm = (weight.re * im[mode]) + (weight.im * re[mode]);
+          if (!rows.has(n)) {
+            rows.set(n, { n, re: new Float64Array(nPix), im: new Float64Array(nPix) });
+          }
+          const row = rows.get(n);
+          for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+            row.re[yIndex] += coeffRe * profile[yIndex];
+            row.im[yIndex] += coeffIm * profile[yIndex];
+          }
+        });
+      });
+      return Array.from(rows.values());
+    };
+
+    // Work per image pixel of the two ways, counted from the rows each
+    // factor touches.
+    const touched = new Set();
+    let directCost = 0;
+    factors.forEach((weights) => {
+      const rows = new Set();
+      weights.forEach((_, groupIndex) => {
+        (membersOf.get(groupIndex) || []).forEach((mode) => rows.add(mode % size));
+      });
+      rows.forEach((n) => touched.add(n));
+      directCost += 2 * rows.size;
+    });
+    const pairCost = (touched.size * (touched.size + 1)) / 2;
+
+    if (directCost <= pairCost) {
+      const fieldRe = new Float64Array(nPix);
+      const fieldIm = new Float64Array(nPix);
+      factors.forEach((weights, index) => {
+        const rows = rowsOf(weights);
+        for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+          fieldRe.fill(0);
+          fieldIm.fill(0);
+          rows.forEach((row) => {
+            const profile = profileX[row.n];
+            const rowRe = row.re[yIndex];
+            const rowIm = row.im[yIndex];
+            for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+              fieldRe[xIndex] += rowRe * profile[xIndex];
+              fieldIm[xIndex] += rowIm * profile[xIndex];
+            }
+          });
+          const rowOffset = yIndex * nPix;
+          for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+            intensity[rowOffset + xIndex] += (fieldRe[xIndex] * fieldRe[xIndex]) + (fieldIm[xIndex] * fieldIm[xIndex]);
+          }
+        }
+        onProgress((index + 1) / factors.length);
+      });
+      return intensity;
+    }
+
+    const pairs = new Map();
+    factors.forEach((weights, index) => {
+      const rows = rowsOf(weights);
+      rows.forEach((a) => {
+        rows.forEach((b) => {
+          if (b.n < a.n) {
+            return;
+          }
+          const key = (a.n * size) + b.n;
+          if (!pairs.has(key)) {
+            pairs.set(key, new Float64Array(nPix));
+          }
+          const pair = pairs.get(key);
+          for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+            pair[yIndex] += (a.re[yIndex] * b.re[yIndex]) + (a.im[yIndex] * b.im[yIndex]);
+          }
+        });
+      });
+      onProgress((0.5 * (index + 1)) / factors.length);
+    });
+
+    const product = new Float64Array(nPix);
+    let done = 0;
+    pairs.forEach((pair, key) => {
+      const n = Math.floor(key / size);
+      const nOther = key % size;
+      const scale = n === nOther ? 1 : 2;
+      for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+        product[xIndex] = scale * profileX[n][xIndex] * profileX[nOther][xIndex];
+      }
+      for (let yIndex = 0; yIndex < nPix; yIndex += 1) {
+        const value = pair[yIndex];
+        if (value === 0) {
+          continue;
+        }
+        const rowOffset = yIndex * nPix;
+        for (let xIndex = 0; xIndex < nPix; xIndex += 1) {
+          intensity[rowOffset + xIndex] += value * product[xIndex];
+        }
+      }
+      done += 1;
+      onProgress(0.5 + ((0.5 * done) / pairs.size));
+    });
+    return intensity;
+  }
+
+  function cavityTransfer(phi, rtAmp, ttAmp) {
+    // Field transmission t1 t2 exp(i phi / 2) / (1 - r1 r2 exp(i phi)).
+    const denomRe = 1 - (rtAmp * Math.cos(phi));
+    const denomIm = -(rtAmp * Math.sin(phi));
+    const denomMagSq = (denomRe * denomRe) + (denomIm * denomIm);
+    const numRe = ttAmp * Math.cos(phi / 2);
+    const numIm = ttAmp * Math.sin(phi / 2);
+    return {
+      re: ((numRe * denomRe) + (numIm * denomIm)) / denomMagSq,
+      im: ((numIm * denomRe) - (numRe * denomIm)) / denomMagSq,
+    };
+  }
+
+  function airyAntiderivative(phi, rtAmp) {
+    // Antiderivative of 1 / (1 + r^2 - 2 r cos(phi)), unwrapped across periods.
+    const turns = Math.round(phi / (2 * Math.PI));
+    const local = phi - (turns * 2 * Math.PI);
+    const ratio = (1 + rtAmp) / (1 - rtAmp);
+    return ((turns * 2 * Math.PI) + (2 * Math.atan(ratio * Math.tan(local / 2)))) / (1 - (rtAmp * rtAmp));
+  }
+
+  function meanAiry(phiStart, phiEnd, rtAmp, ttAmp) {
+    // Average of |t|^2 over a round-trip phase interval, in closed form.
+    const span = phiEnd - phiStart;
+    if (Math.abs(span) < 1e-9) {
+      const value = cavityTransfer(phiStart, rtAmp, ttAmp);
+      return (value.re * value.re) + (value.im * value.im);
+    }
+    return (ttAmp * ttAmp * (airyAntiderivative(phiEnd, rtAmp) - airyAntiderivative(phiStart, rtAmp))) / span;
+  }
+
+  function transferAmplitudes(coatings) {
+    const [mirror1, mirror2] = coatings;
+    return {
+      rtAmp: Math.sqrt(mirror1.reflectivity * mirror2.reflectivity),
+      ttAmp: Math.sqrt(mirror1.transmission * mirror2.transmission),
+    };
+  }
+
+  function airyTransmission(phi, rtAmp, ttAmp) {
+    return (ttAmp * ttAmp) / (1 + (rtAmp * rtAmp) - (2 * rtAmp * Math.cos(phi)));
+  }
+
+  function airyHalfWidth(rtAmp) {
+    // Half width at half maximum of an Airy peak in FSR; peaks too shallow
+    // to halve get half an FSR.
+    const cosine = 1 - (((1 - rtAmp) ** 2) / (2 * rtAmp));
+    return cosine > -1 ? Math.acos(cosine) / (2 * Math.PI) : 0.5;
+  }
+
+  function scanSamples(groups, groupPower, rtAmp, startFsr, endFsr, nScan) {
+    // nScan uniform detunings, plus the resonances of every visible group and
+    // points at RESONANCE_OFFSETS half widths around them wherever the
+    // uniform step is coarser, so narrow peaks are never stepped over.
+    const step = (endFsr - startFsr) / Math.max(1, nScan - 1);
+    const halfWidth = airyHalfWidth(rtAmp);
+    const strongest = maxValue(groupPower);
+    const points = Array.from(linspace(startFsr, endFsr, nScan));
+    let refined = 0;
+    groups.forEach((group, index) => {
+      if (!(groupPower[index] >= VISIBLE_POWER * strongest)) {
+        return;
+      }
+      // 2 pi dL + gouyPhase is a multiple of 2 pi on resonance.
+      const shift = group.gouyPhase / (2 * Math.PI);
+      for (let order = Math.ceil(startFsr + shift); order - shift <= endFsr; order += 1) {
+        const center = order - shift;
+        refined += 1;
+        points.push(center);
+        RESONANCE_OFFSETS.forEach((offset) => {
+          const distance = offset * halfWidth;
+          if (distance < step) {
+            points.push(center - distance, center + distance);
+          }
+        });
+      }
+    });
+
+    points.sort((a, b) => a - b);
+    const dLFsr = [];
+    points.forEach((value) => {
+      if (value >= startFsr && value <= endFsr && (!dLFsr.length || value - dLFsr[dLFsr.length - 1] > 1e-12)) {
+        dLFsr.push(value);
+      }
+    });
+    return { dLFsr: Float64Array.from(dLFsr), stepFsr: step, halfWidthFsr: halfWidth, refined };
+  }
+
+  function signalFunction(groups, groupPower, coatings) {
+    // Unnormalized PD signal sum_g P_g |t_g|^2 at a detuning in FSR.
+    const { rtAmp, ttAmp } = transferAmplitudes(coatings);
+    const total = groupPower.reduce((sum, value) => sum + value, 0);
+    const active = [];
+    groupPower.forEach((value, index) => {
+      if (value > NEGLIGIBLE_POWER * total) {
+        active.push(index);
+      }
+    });
+    // cos(phi + psi_g) is expanded so each call needs one cosine and sine.
+    const cosines = Float64Array.from(active, (index) => Math.cos(groups[index].gouyPhase));
+    const sines = Float64Array.from(active, (index) => Math.sin(groups[index].gouyPhase));
+    const powers = Float64Array.from(active, (index) => groupPower[index]);
+    const [base, slope, gain] = [1 + (rtAmp * rtAmp), 2 * rtAmp, ttAmp * ttAmp];
+    return (detuningFsr) => {
+      const cosine = Math.cos(2 * Math.PI * detuningFsr);
+      const sine = Math.sin(2 * Math.PI * detuningFsr);
+      let sum = 0;
+      for (let g = 0; g < powers.length; g += 1) {
+        sum += powers[g] / (base - (slope * ((cosine * cosines[g]) - (sine * sines[g]))));
+      }
+      return gain * sum;
+    };
+  }
+
+  function scanSignal(groups, groupPower, coatings, startFsr, endFsr, nScan) {
+    // The unnormalized PD signal over [startFsr, endFsr] on adaptive samples;
+    // the scan plot resamples a zoomed range with it.
+    const { rtAmp } = transferAmplitudes(coatings);
+    const sampling = scanSamples(groups, groupPower, rtAmp, startFsr, endFsr, nScan);
+    const signal = signalFunction(groups, groupPower, coatings);
+    return { ...sampling, pdSignal: Float64Array.from(sampling.dLFsr, signal) };
+  }
+
+  function scanAverageFactors(groups, groupPower, coatings, startFsr, endFsr) {
+    // The scan-averaged image is sum_gh W_gh G_g G_h^* with the correlation
+    // W_gh = <t_g t_h^*> over the scan. With a = r e^{i psi_g}, b = r e^{i psi_h}
+    // and u = e^{i theta}, t_g t_h^* = T^2 e^{i (psi_g - psi_h) / 2}
+    // [1 / (1 - a u) + b^* / (u - b^*)] / (1 - a b^*), whose terms integrate
+    // over theta to logarithms, so W is exact at any finesse. W is Hermitian,
+    // so only its lower triangle is built, and it is split as L L^H by
+    // Cholesky: the columns of L are the factors for modeIntensity. Groups
+    // without power are left out.
+    const total = groupPower.reduce((sum, value) => sum + value, 0);
+    const active = [];
+    groupPower.forEach((value, index) => {
+      if (value > NEGLIGIBLE_POWER * total) {
+        active.push(index);
+      }
+    });
+
+    const { rtAmp, ttAmp } = transferAmplitudes(coatings);
+    const thetas = [2 * Math.PI * startFsr, 2 * Math.PI * endFsr];
+    const span = thetas[1] - thetas[0];
+    const logOneMinus = (phase) => {
+      // log(1 - r e^{i phase}); 1 - r e^{i phase} stays in the right half-plane.
+      const re = 1 - (rtAmp * Math.cos(phase));
+      const im = -rtAmp * Math.sin(phase);
+      return { re: 0.5 * Math.log((re * re) + (im * im)), im: Math.atan2(im, re) };
+    };
+    const count = active.length;
+    // Increments of log(1 - a e^{i theta}) and log(1 - b^* e^{-i theta}) over
+    // the scan; the second is the conjugate of the first for b.
+    const increments = active.map((index) => {
+      const gouyPhase = groups[index].gouyPhase;
+      const end = logOneMinus(thetas[1] + gouyPhase);
+      const start = logOneMinus(thetas[0] + gouyPhase);
+      return { re: end.re - start.re, im: end.im - start.im };
+    });
+
+    const lowerRe = new Float64Array(count * count);
+    const lowerIm = new Float64Array(count * count);
+    let maxDiagonal = 0;
+    for (let a = 0; a < count; a += 1) {
+      const gouyA = groups[active[a]].gouyPhase;
+      for (let b = 0; b <= a; b += 1) {
+        const difference = gouyA - groups[active[b]].gouyPhase;
+        // integral = span + i (increment_a - conj(increment_b))
+        const integral = {
+          re: span - (increments[a].im + increments[b].im),
+          im: increments[a].re - increments[b].re,
+        };
+        const denominator = {
+          re: 1 - (rtAmp * rtAmp * Math.cos(difference)),
+          im: -rtAmp * rtAmp * Math.sin(difference),
+        };
+        const value = complexProduct(
+          complexQuotient(integral, denominator),
+          { re: Math.cos(difference / 2), im: Math.sin(difference / 2) },
+        );
+        lowerRe[(a * count) + b] = (ttAmp * ttAmp * value.re) / span;
+        lowerIm[(a * count) + b] = (ttAmp * ttAmp * value.im) / span;
+      }
+      lowerIm[(a * count) + a] = 0;
+      maxDiagonal = Math.max(maxDiagonal, lowerRe[(a * count) + a]);
+    }
+
+    // In place; W is positive semidefinite, and a column whose pivot has
+    // dropped to rounding level is left at zero.
+    const factors = [];
+    for (let j = 0; j < count; j += 1) {
+      let pivot = lowerRe[(j * count) + j];
+      for (let k = 0; k < j; k += 1) {
+        pivot -= (lowerRe[(j * count) + k] ** 2) + (lowerIm[(j * count) + k] ** 2);
+      }
+      if (!(pivot > CHOLESKY_FLOOR * maxDiagonal)) {
+        for (let i = j; i < count; i += 1) {
+          lowerRe[(i * count) + j] = 0;
+          lowerIm[(i * count) + j] = 0;
+        }
+        continue;
+      }
+      const root = Math.sqrt(pivot);
+      const factor = new Map([[active[j], { re: root, im: 0 }]]);
+      lowerRe[(j * count) + j] = root;
+      lowerIm[(j * count) + j] = 0;
+      for (let i = j + 1; i < count; i += 1) {
+        let sumRe = lowerRe[(i * count) + j];
+        let sumIm = lowerIm[(i * count) + j];
+        for (let k = 0; k < j; k += 1) {
+          const aRe = lowerRe[(i * count) + k];
+          const aIm = lowerIm[(i * count) + k];
+          const bRe = lowerRe[(j * count) + k];
+          const bIm = lowerIm[(j * count) + k];
+          sumRe -= (aRe * bRe) + (aIm * bIm);
+          sumIm -= (aIm * bRe) - (aRe * bIm);
+        }
+        lowerRe[(i * count) + j] = sumRe / root;
+        lowerIm[(i * count) + j] = sumIm / root;
+        factor.set(active[i], { re: sumRe / root, im: sumIm / root });
+      }
+      factors.push(factor);
+    }
+    return factors;
+  }
+
+  function normalize(values) {
+    const peak = Math.max(maxValue(values), 1e-18);
+    const out = new Float64Array(values.length);
+    for (let i = 0; i < values.length; i += 1) {
+      out[i] = values[i] / peak;
+    }
+    return { values: out, peak };
+  }
+
+  function computeModeContent(alpha, beta, nMax) {
+    // Power in TEM_nm is |alpha_n|^2 |beta_m|^2 of the unit-power input field;
+    // whatever the truncated basis misses is lost beyond nMax.
+    const size = nMax + 1;
+    const power = new Float64Array(size * size);
+    const byOrder = new Float64Array((2 * nMax) + 1);
+    let captured = 0;
+    for (let m = 0; m < size; m += 1) {
+      const betaPower = (beta.re[m] * beta.re[m]) + (beta.im[m] * beta.im[m]);
+      for (let n = 0; n < size; n += 1) {
+        const value = ((alpha.re[n] * alpha.re[n]) + (alpha.im[n] * alpha.im[n])) * betaPower;
+        power[(m * size) + n] = value;
+        byOrder[n + m] += value;
+        captured += value;
+      }
+    }
+    return {
+      nMax,
+      rows: size,
+      cols: size,
+      colStart: 0,
+      power,
+      byOrder,
+      captured,
+      xLabel: "n (x order)",
+      yLabel: "m (y order)",
+      orderLabel: "n+m",
+    };
+  }
+
+  function detectPeaks(scan, groups, groupPower, coatings) {
+    // Local maxima of the sampled scan above 0.1 % of its highest sample,
+    // moved onto the true maximum of the signal by golden-section search
+    // between the neighbouring samples, with the full width at half maximum
+    // where both half crossings come before the next peak. Each peak is
+    // identified by the groups that carry at least a tenth of the strongest
+    // contribution there. Heights are unnormalized.
+    const { dLFsr, pdSignal } = scan;
+    const signal = signalFunction(groups, groupPower, coatings);
+    const { rtAmp, ttAmp } = transferAmplitudes(coatings);
+    const threshold = 1e-3 * maxValue(pdSignal);
+    const last = pdSignal.length - 1;
+
+    const halfCrossing = (inside, outside, half) => {
+      // Bisection between a point above half maximum and one below.
+      let [high, low] = [inside, outside];
+      for (let step = 0; step < REFINE_STEPS; step += 1) {
+        const middle = (high + low) / 2;
+        if (signal(middle) >= half) {
+          high = middle;
+        } else {
+          low = middle;
+        }
+      }
+      return (high + low) / 2;
+    };
+    const crossingSide = (i, peakFsr, half, direction) => {
+      // Walks away from the peak until the samples drop below half maximum;
+      // null if they rise again first or the scan ends.
+      let j = i;
+      while (j + direction >= 0 && j + direction <= last && pdSignal[j + direction] >= half) {
+        if (pdSignal[j + direction] > pdSignal[j]) {
+          return null;
+        }
+        j += direction;
+      }
+      if (j + direction < 0 || j + direction > last) {
+        return null;
+      }
+      return halfCrossing(j === i ? peakFsr : dLFsr[j], dLFsr[j + direction], half);
+    };
+
+    const peaks = [];
+    for (let i = 0; i <= last; i += 1) {
+      const left = i > 0 ? pdSignal[i - 1] : Number.NEGATIVE_INFINITY;
+      const right = i < last ? pdSignal[i + 1] : Number.NEGATIVE_INFINITY;
+      if (pdSignal[i] < threshold || pdSignal[i] <= left || pdSignal[i] < right) {
+        continue;
+      }
+
+      let low = dLFsr[Math.max(0, i - 1)];
+      let high = dLFsr[Math.min(last, i + 1)];
+      const ratio = (Math.sqrt(5) - 1) / 2;
+      for (let step = 0; step < REFINE_STEPS; step += 1) {
+        const lower = high - (ratio * (high - low));
+        const upper = low + (ratio * (high - low));
+        if (signal(lower) < signal(upper)) {
+          low = lower;
+        } else {
+          high = upper;
+        }
+      }
+      let peakFsr = (low + high) / 2;
+      let height = signal(peakFsr);
+      if (pdSignal[i] > height) {
+        peakFsr = dLFsr[i];
+        height = pdSignal[i];
+      }
+
+      const half = height / 2;
+      const leftFsr = crossingSide(i, peakFsr, half, -1);
+      const rightFsr = crossingSide(i, peakFsr, half, 1);
+
+      const contributions = groups.map((group, index) => groupPower[index]
+        * airyTransmission((2 * Math.PI * peakFsr) + group.gouyPhase, rtAmp, ttAmp));
+      const strongest = Math.max(...contributions);
+      const members = contributions
+        .map((value, index) => ({ value, index }))
+        .filter(({ value }) => value >= 0.1 * strongest)
+        .sort((a, b) => b.value - a.value)
+        .map(({ index }) => index);
+
+      peaks.push({
+        detuningFsr: peakFsr,
+        height,
+        widthFsr: leftFsr === null || rightFsr === null ? null : rightFsr - leftFsr,
+        groups: members,
+        label: members.map((index) => groups[index].label).join(" | "),
+      });
+    }
+    return peaks;
+  }
+
+  function simulateModeScan(job, onProgress = () => {}) {
+    // `job` is plain data so it can be posted to a worker: the input beam at
+    // the mirror, the medium wavelength, the cavity mode at the input mirror,
+    // the camera half-width and grid sizes, the beam and scan settings, and
+    // the coatings. onProgress receives the completed fraction of the run.
+    const { coatings, nScan, scanRangeFsr } = job;
+    const { x, groups, groupPower, modes, modeContent } = decomposeInput(job);
+    const scan = scanSignal(groups, groupPower, coatings, -scanRangeFsr, scanRangeFsr, nScan);
+    const peaks = detectPeaks(scan, groups, groupPower, coatings);
+
+    const image = modeIntensity(modes, scanAverageFactors(groups, groupPower, coatings, -scanRangeFsr, scanRangeFsr), onProgress);
+    for (let pixel = 0; pixel < image.length; pixel += 1) {
+      image[pixel] = Math.max(0, image[pixel]);
+    }
+
+    // The refined peaks can top every sample, so they set the scale.
+    let highest = null;
+    peaks.forEach((peak) => {
+      if (!highest || peak.height > highest.height) {
+        highest = peak;
+      }
+    });
+    const pdPeak = Math.max(maxValue(scan.pdSignal), highest ? highest.height : 0, 1e-18);
+    const pdSignal = Float64Array.from(scan.pdSignal, (value) => value / pdPeak);
+    peaks.forEach((peak) => {
+      peak.height /= pdPeak;
+    });
+    const imageNorm = normalize(image);
+
+    return {
+      coatings,
+      groups,
+      modes,
+      peaks,
+      fsrHz: job.fsrHz,
+      modeContent,
+      groupPower,
+      nPix: x.length,
+      extentMm: [x[0] * 1e3, x[x.length - 1] * 1e3],
+      dLFsr: scan.dLFsr,
+      pdSignal,
+      pdPeak,
+      peakDetuningFsr: highest ? highest.detuningFsr : scan.dLFsr[pdSignal.indexOf(1)],
+      scanSampling: {
+        uniform: nScan,
+        stepFsr: scan.stepFsr,
+        halfWidthFsr: scan.halfWidthFsr,
+        refined: scan.refined,
+        samples: scan.dLFsr.length,
+      },
+      cameraImage: imageNorm.values,
+      cameraPeak: imageNorm.peak,
+    };
+  }
+
+  function resultBuffers(result) {
+    // Buffers of every typed array in a result, for a transfer list.
+    const buffers = new Set();
+    const visit = (value) => {
+      if (ArrayBuffer.isView(value)) {
+        buffers.add(value.buffer);
+      } else if (value && typeof value === "object") {
+        Object.values(value).forEach(visit);
+      }
+    };
+    visit(result);
+    return Array.from(buffers);
+  }
+
+  self.ModeSimulation = Object.freeze({
+    GAUSS_NORM,
+    maxValue,
+    linspace,
+    getBasis,
+    computeAxisOverlap,
+    analyticAxisOverlap,
+    laguerreGaussField,
+    decomposeInput,
+    modeIntensity,
+    cavityTransfer,
+    airyAntiderivative,
+    meanAiry,
+    transferAmplitudes,
+    scanSignal,
+    normalize,
+    simulateModeScan,
+    resultBuffers,
+  });
+})();